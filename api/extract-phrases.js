@@ -1,14 +1,30 @@
 /**
  * Serverless endpoint that uses OpenAI Chat completions to extract key phrases
- * and assign each a connotation score between -1.0 and +1.0.
+ * and assign each a connotation score between -1.0 and +1.0, the emotions it
+ * carries (Plutchik's eight, each 0.0 to 1.0) and its arousal (0.0 calm to 1.0 intense).
  *
  * Expects POST { text: "...", max_phrases?: number }
- * Returns JSON: { phrases: [ { phrase: string, score: number }, ... ] }
+ * Returns JSON: { phrases: [ { phrase: string, score: number, emotions: { joy, trust, fear,
+ *   surprise, sadness, disgust, anger, anticipation }, arousal: number | null }, ... ] }
+ * An arousal the model left out or got wrong is null, not 0 (which would read as calm).
  *
  * IMPORTANT: set environment variable OPENAI_API_KEY in your deployment,
  * e.g. Vercel Environment Variables.
  */
 
+const EMOTIONS = ["joy", "trust", "fear", "surprise", "sadness", "disgust", "anger", "anticipation"];
+
+function unit(value) {
+  const n = Number(value);
+  return isFinite(n) ? Math.max(0, Math.min(1, n)) : 0;
+}
+
+function arousalOf(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return isFinite(n) ? Math.max(0, Math.min(1, n)) : null;
+}
+
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     res.status(405).json({ error: "Method not allowed" });
@@ -32,10 +48,12 @@ export default async function handler(req, res) {
 Each object must have:
 - "phrase": the extracted phrase (string)
 - "score": a number between -1.0 (very negative) and +1.0 (very positive)
+- "emotions": an object with the keys ${EMOTIONS.map((e) => `"${e}"`).join(", ")}, each a number between 0.0 (absent) and 1.0 (overwhelming)
+- "arousal": a number between 0.0 (calm) and 1.0 (intense)
 Return ONLY a JSON array. Do NOT include any commentary, markdown, or explanation.
 Prefer multi-word phrases where appropriate. Return at most ${max_phrases} items.`;
 
-  const user = `Extract important phrases from the following text and give each a connotation score between -1.0 and +1.0 (negative=negative connotation, positive=positive connotation). Text:
+  const user = `Extract important phrases from the following text and give each a connotation score between -1.0 and +1.0 (negative=negative connotation, positive=positive connotation), the emotions it carries and its arousal. Text:
 ---
 ${text}
 ---`;
@@ -54,7 +72,7 @@ ${text}
           { role: "user", content: user },
         ],
         temperature: 0.0,
-        max_tokens: 700,
+        max_tokens: 1500,
         n: 1,
       }),
     });
@@ -99,7 +117,7 @@ ${text}
       }
     }
 
-    // Validate parsed shape: array of { phrase, score }
+    // Validate parsed shape: array of { phrase, score, emotions, arousal }
     if (!Array.isArray(parsed)) {
       res.status(502).json({ error: "Model did not return a JSON array", raw: parsed });
       return;
@@ -117,7 +135,9 @@ ${text}
         }
         // clamp score
         score = Math.max(-1, Math.min(1, score));
-        return phrase ? { phrase, score } : null;
+        const emotions = {};
+        for (const e of EMOTIONS) emotions[e] = unit(it.emotions && it.emotions[e]);
+        return phrase ? { phrase, score, emotions, arousal: arousalOf(it.arousal) } : null;
       })
       .filter(Boolean)
       .slice(0, max_phrases);
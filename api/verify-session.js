@@ -0,0 +1,43 @@
+// Serverless check of a sealed session export (see src/hashChain.js)
+// - POST the exported infraread-session.json as the request body (or as { session }).
+// - Responds { status, ok, count, brokenAt, reason }: status is "verified", "broken" or "unsealed",
+//   and brokenAt is the index of the first history event whose hash doesn't match.
+//
+// Nothing is stored; the same check runs in the browser when a file is opened.
+
+import { webcrypto } from "node:crypto";
+import { verifySession } from "../src/hashChain.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  try {
+    let body = req.body;
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        return res.status(400).json({ error: "Body is not valid JSON" });
+      }
+    }
+    const doc = body && typeof body.session === "object" && body.session !== null ? body.session : body;
+    if (!doc || typeof doc !== "object" || !Array.isArray(doc.history)) {
+      return res.status(400).json({ error: "Expected an exported Infraread session with a history array" });
+    }
+
+    // Basic guard: a day of writing is a few hundred thousand events at most
+    const MAX_EVENTS = 500000;
+    if (doc.history.length > MAX_EVENTS) {
+      return res.status(413).json({ error: `Session too large, max ${MAX_EVENTS} events` });
+    }
+
+    const result = await verifySession(doc, webcrypto.subtle);
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("verify-session error:", err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
@@ -1,23 +1,148 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useDeferredValue, useSyncExternalStore } from "react";
 import "./app.css";
-import Dashboard from "./InfrareadDashboard.jsx";
+import Dashboard, { IntegrityBadge } from "./InfrareadDashboard.jsx";
 import Translator from "./Translator.jsx";
-import { autoAnnotateText, computeConnotationScoresForWords, scoreToColor, fetchLLMAnnotations } from "./autoAnnotate";
+import SessionLibrary from "./SessionLibrary.jsx";
+import ProgressView from "./ProgressView.jsx";
+import Graveyard from "./Graveyard.jsx";
+import EchoPanel from "./EchoPanel.jsx";
+import LexiconPanel from "./LexiconPanel.jsx";
+import DocumentModeSelector from "./components/DocumentModeSelector";
+import PoemGutter, { PoemStatus } from "./components/PoemGutter";
+import { computeConnotationScoresForWords, scoreToColor } from "./autoAnnotate";
+import { annotationProviders, defaultProviderIds, runProviders } from "./annotationProviders";
+import { createAnalysisClient, isCancelled } from "./analysisClient";
+import { runJob, runsInWorker } from "./analysisJobs";
+import { advanceAnnotations, annotatePhrases, mergeAnnotations, phraseEntries, segmentText } from "./annotations";
+import { layerEmotionLexicons, layerLexicons } from "./lexicons";
+import { EMOTION_COLORS, emotionColor, scoreEmotions } from "./emotions";
+import { appendChange, normalizeHistory } from "./history";
+import { analyzeProcess } from "./processAnalytics";
+import { dayKey } from "./progress";
+import { restorePassage } from "./editClassifier";
+import Playback from "./components/Playback";
+import { infraredColor } from "./offsetTracker";
+import { segmentAt } from "./segmentStats";
+import { analyzeReadability, hardestParagraphs } from "./lexicalAnalyzer";
+import { analyzePoem } from "./poetry";
+import { echoRanges, DEFAULT_REPETITION_OPTIONS, SEVERITY_COLORS } from "./repetition";
+import { createKeystrokeRecorder, timestamp } from "./engine/keystrokeRecorder";
+import { countWords, createSessionId, getLastSessionId, isStorageAvailable, listLexicons, loadSession, saveSession, setLastSessionId } from "./sessionStore";
+
+// overlay colours for text that wasn't typed, see ./provenance
+const ORIGIN_COLORS = {
+  pasted: "rgba(221, 42, 123, 0.28)",
+  composed: "rgba(79, 70, 229, 0.22)",
+  other: "rgba(245, 133, 41, 0.22)",
+  unrecorded: "rgba(148, 163, 184, 0.25)",
+};
+
+// the hardest paragraphs get tinted in the "readability" overlay; passive candidates are underlined
+const HARDEST_PARAGRAPHS = 3;
+const HARD_PARAGRAPH_COLOR = "rgba(221, 42, 123, 0.16)";
+
+// .editor-input: 18px type at line-height 1.75; the poem gutter rows must match it
+const EDITOR_LINE_HEIGHT = 31.5;
+
+const NO_ANNOTATIONS = { text: "", list: [] };
+
+// results of the analyzeText / trackProcess jobs (./analysisJobs) before the first one arrives
+const NO_TEXT_STATS = { text: "", readability: analyzeReadability(""), repetitions: [], arc: [] };
+const NO_PROCESS_STATS = { text: "", words: [], provenance: [], segments: { sentences: [], paragraphs: [] }, graveyard: [] };
+
+// wait this long after the last edit before re-running the per-change analyses
+const ANALYSIS_DEBOUNCE_MS = 150;
+
+// Caret moves closer together than this (a drag selection, a run of arrow keys) keep only the
+// last position, and a session keeps at most MAX_CARET_MOVES of them.
+const CARET_SETTLE_MS = 400;
+const MAX_CARET_MOVES = 2000;
+
+// Caret dwell (./offsetTracker) only uses the moves between edits: drop the ones from before the
+// history's first edit, then the oldest past the cap.
+function keepCaretMoves(moves, since) {
+  const kept = moves.filter((m) => m.time >= since);
+  return kept.length > MAX_CARET_MOVES ? kept.slice(-MAX_CARET_MOVES) : kept;
+}
+
+// The part of the textarea in view, as fractions of its scroll height. The connotation overlay
+// only renders annotations around this part; the rest of the text stays plain.
+function visibleFraction(el) {
+  if (!el || el.scrollHeight <= el.clientHeight) return { top: 0, bottom: 1 };
+  const round = (f) => Math.round(f * 1000) / 1000;
+  return { top: round(el.scrollTop / el.scrollHeight), bottom: round((el.scrollTop + el.clientHeight) / el.scrollHeight) };
+}
+
+function formatSeconds(ms = 0) {
+  return `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+}
+
+// Character offset of the overlay text under a viewport point, or -1. The overlay mirrors the
+// textarea's layout, so this is also the offset in the textarea.
+function offsetAtPoint(container, x, y) {
+  const hit = (range) => Array.from(range.getClientRects()).some((r) => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom);
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const range = document.createRange();
+  let base = 0;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const len = node.nodeValue.length;
+    range.selectNodeContents(node);
+    if (hit(range)) {
+      for (let k = 0; k < len; k++) {
+        range.setStart(node, k);
+        range.setEnd(node, k + 1);
+        if (hit(range)) return base + k;
+      }
+    }
+    base += len;
+  }
+  return -1;
+}
+
+function SegmentTooltip({ sentence, paragraph, x, y }) {
+  const line = (s) =>
+    `${formatSeconds(s.composeMs)} composing · ${s.revisions} revision${s.revisions === 1 ? "" : "s"} · longest pause ${formatSeconds(s.longestPauseMs)}${s.pasted ? " · pasted" : ""}`;
+  return (
+    <div className="segment-tooltip" style={{ left: x + 14, top: y + 18 }}>
+      <div>
+        <strong>Sentence {sentence.index + 1}</strong> · {line(sentence)}
+      </div>
+      {paragraph && (
+        <div>
+          <strong>Paragraph {paragraph.index + 1}</strong> · {line(paragraph)}
+        </div>
+      )}
+    </div>
+  );
+}
 
 export default function App() {
   const [text, setText] = useState("");
   const [heatMap, setHeatMap] = useState([]); // user-marked phrases
-  const [autoAnnotations, setAutoAnnotations] = useState([]); // generated automatically
+  const [autoAnnotations, setAutoAnnotations] = useState(NO_ANNOTATIONS); // generated automatically: { text, list } as of that text
   const [autoAnnotateEnabled, setAutoAnnotateEnabled] = useState(false);
   const [autoLiveEnabled, setAutoLiveEnabled] = useState(true); // live updates while typing
-  const [useLLMExtractor, setUseLLMExtractor] = useState(true); // new toggle: use server LLM extractor
+  const providers = useSyncExternalStore(annotationProviders.subscribe, annotationProviders.list); // see ./annotationProviders
+  const [enabledProviders, setEnabledProviders] = useState(() => defaultProviderIds(annotationProviders.list()));
+  const [lexicons, setLexicons] = useState([]); // imported + custom sentiment lexicons, see ./lexicons
+  const lexicon = useMemo(() => layerLexicons(lexicons), [lexicons]);
+  const emotionLexicon = useMemo(() => layerEmotionLexicons(lexicons), [lexicons]);
+  const [overlayMode, setOverlayMode] = useState("connotation"); // "connotation" | "emotion" | "revisions" | "dwell" | "provenance" | "readability" | "echoes"
 
-  const [replaying, setReplaying] = useState(false);
-  const [replayIndex, setReplayIndex] = useState(0);
-  const [history, setHistory] = useState([]);
+  const [replaying, setReplaying] = useState(false); // replay view (components/Playback) replaces the editor
+  const [history, setHistory] = useState([]); // diff events, see ./history.js
+  const [caretMoves, setCaretMoves] = useState([]); // [{ time, pos }] caret moves without an edit, for the dwell overlay
+  const pendingCaretMovesRef = useRef([]); // moves since the last edit, added to caretMoves with the next one
   const [analysis, setAnalysis] = useState(null);
+  const [mode, setMode] = useState("Manuscript");
+  const [poemForm, setPoemForm] = useState("free"); // see POEM_FORMS in ./poetry
+  const [echoWindow, setEchoWindow] = useState(DEFAULT_REPETITION_OPTIONS.windowWords);
   const textboxRef = useRef(null);
   const overlayRef = useRef(null);
+  const gutterRef = useRef(null);
+  const [viewport, setViewport] = useState({ top: 0, bottom: 1 }); // see visibleFraction
+  const recorderRef = useRef(null);
+  if (!recorderRef.current) recorderRef.current = createKeystrokeRecorder();
 
   // phrase marking UI state
   const [phraseToMark, setPhraseToMark] = useState("");
@@ -26,23 +151,251 @@ export default function App() {
   // debounce timer for live annotation
   const liveTimerRef = useRef(null);
 
+  // annotation, process analysis and the per-change panel stats run in a worker
+  // (./analysisClient); results are applied only while the document is still at the version
+  // they were computed for
+  const analysisRef = useRef(null);
+  const documentVersionRef = useRef(0);
+
+  // session library: id of the open session, bumped counter after each autosave
+  const [sessionId, setSessionId] = useState(null);
+  const [sessionStartedAt, setSessionStartedAt] = useState(() => timestamp()); // for time-to-first-keystroke
+  const [savedAt, setSavedAt] = useState(0);
+  const [progressKey, setProgressKey] = useState(0); // bumped when a save changed today's totals
+  const progressTotalsRef = useRef(null);
+  const [sessionGoal, setSessionGoal] = useState(null); // word goal of the open document
+  const [integrity, setIntegrity] = useState(null); // hash-chain check of the file the session was imported from, until the first edit
+  const persistedRef = useRef(false); // true once the open session exists in storage
+  const autosaveTimerRef = useRef(null);
+
   // -----------------------------
   // Handle typing + history tracking
   // -----------------------------
   const handleChange = (e) => {
     const newValue = e.target.value;
-    const time = typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
-    setHistory((prev) => [...prev, { value: newValue, time }]);
+    const time = timestamp();
+    const prevValue = text;
+    // tag the diff with what caused it (typing, paste, undo…) so a paste isn't read as keystrokes
+    const cause = recorderRef.current.takePendingEdit();
+    const meta = cause ? { source: cause.kind } : {};
+    commitCaretMoves(time);
+    setHistory((prev) => appendChange(prev, prevValue, newValue, time, meta));
     setText(newValue);
+    setIntegrity(null); // the check was of the file as opened, not of the edited document
   };
 
+  // Put a passage from the graveyard back where it used to be and select it.
+  function restoreFromGraveyard(entry) {
+    const { text: next, pos } = restorePassage(text, entry);
+    const prevValue = text;
+    const time = timestamp();
+    commitCaretMoves(time);
+    setHistory((prev) => appendChange(prev, prevValue, next, time, { source: "restore", restored: entry.id }));
+    setText(next);
+    setIntegrity(null);
+    requestAnimationFrame(() => {
+      const el = textboxRef.current;
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(pos, pos + entry.text.length);
+    });
+  }
+
+  // a translation inserted from the Translator is an edit like any other, so the history keeps up with the text
+  function insertTranslation(next) {
+    const prevValue = text;
+    const time = timestamp();
+    commitCaretMoves(time);
+    setHistory((prev) => appendChange(prev, prevValue, next, time, { source: "translate" }));
+    setText(next);
+    setIntegrity(null);
+  }
+
+  useEffect(() => recorderRef.current.attach(textboxRef.current), []);
+
+  // Where the caret went between edits (reading back, clicking around) feeds caret dwell. Moves
+  // are only collected here and join caretMoves with the next edit, so moving the caret alone
+  // neither re-renders, autosaves nor re-runs the process analysis.
+  useEffect(
+    () =>
+      recorderRef.current.subscribe((ev) => {
+        if (ev.kind !== "caret" && ev.kind !== "select") return;
+        const pending = pendingCaretMovesRef.current;
+        const move = { time: ev.time, pos: ev.start };
+        if (pending.length > 0 && ev.time - pending[pending.length - 1].time < CARET_SETTLE_MS) pending[pending.length - 1] = move;
+        else pending.push(move);
+      }),
+    []
+  );
+
+  function commitCaretMoves(time) {
+    const moves = pendingCaretMovesRef.current;
+    if (moves.length === 0) return;
+    pendingCaretMovesRef.current = [];
+    const firstEdit = history.find((ev) => ev.type !== "keyframe");
+    setCaretMoves((prev) => keepCaretMoves([...prev, ...moves], firstEdit ? firstEdit.time : time));
+  }
+
+  // sentiment lexicons are the writer's, shared by every session
+  useEffect(() => {
+    if (!isStorageAvailable()) return;
+    listLexicons()
+      .then(setLexicons)
+      .catch((e) => console.warn("Could not load lexicons:", e));
+  }, []);
+
+  // -----------------------------
+  // Session persistence (IndexedDB, see ./sessionStore.js)
+  // -----------------------------
+  function applySession(session) {
+    setSessionId(session.id);
+    setText(session.text || "");
+    setHistory(normalizeHistory(session.history));
+    setCaretMoves(Array.isArray(session.caretMoves) ? keepCaretMoves(session.caretMoves, -Infinity) : []);
+    setHeatMap(Array.isArray(session.heatMap) ? session.heatMap : []);
+    setAnalysis(session.analysis || null);
+    setMode(session.mode || "Manuscript");
+    setPoemForm(session.poemForm || "free");
+    setSessionStartedAt(session.startedAt ?? null);
+    setSessionGoal(session.goal ?? null);
+    setIntegrity(null);
+    setReplaying(false);
+    recorderRef.current.clear();
+    pendingCaretMovesRef.current = [];
+    persistedRef.current = true;
+    setLastSessionId(session.id);
+  }
+
+  // the progress view only reloads when a save moved today's totals, not on every autosave
+  function noteProgress(meta) {
+    const totals = JSON.stringify((meta && meta.daily && meta.daily[dayKey(Date.now())]) || null);
+    if (totals === progressTotalsRef.current) return;
+    progressTotalsRef.current = totals;
+    setProgressKey((k) => k + 1);
+  }
+
+  // write out a pending autosave before switching away from the open session
+  function flushAutosave() {
+    if (!autosaveTimerRef.current) return;
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = null;
+    saveSession({ id: sessionId, mode, poemForm, text, history, caretMoves, heatMap, analysis, startedAt: sessionStartedAt })
+      .then(noteProgress)
+      .catch((e) => console.warn("Autosave failed:", e));
+  }
+
+  function startNewSession() {
+    flushAutosave();
+    setSessionId(createSessionId());
+    setSessionStartedAt(timestamp());
+    setSessionGoal(null);
+    setIntegrity(null);
+    setText("");
+    setHistory([]);
+    setCaretMoves([]);
+    setHeatMap([]);
+    setAnalysis(null);
+    setReplaying(false);
+    recorderRef.current.clear();
+    pendingCaretMovesRef.current = [];
+    persistedRef.current = false;
+  }
+
+  // Session loaded from an exported file: becomes a new library entry. Its past edits may already
+  // be counted (it was exported from this library, or imported before), so only writing done
+  // after the import counts towards daily progress.
+  function importSession(session) {
+    flushAutosave();
+    const record = {
+      id: createSessionId(),
+      countsFrom: Date.now(),
+      name: session.name,
+      mode: session.mode,
+      poemForm: session.poemForm,
+      text: session.text,
+      history: session.history,
+      caretMoves: session.caretMoves,
+      heatMap: session.heatMap,
+      analysis: session.analysis,
+    };
+    applySession(record);
+    setIntegrity(session.integrity ?? null);
+    saveSession(record)
+      .then((meta) => {
+        setSavedAt(Date.now());
+        noteProgress(meta);
+      })
+      .catch((e) => console.warn("Could not store imported session:", e));
+  }
+
+  async function openSession(id) {
+    flushAutosave();
+    try {
+      const session = await loadSession(id);
+      if (session) applySession(session);
+    } catch (e) {
+      console.warn("Could not open session:", e);
+    }
+  }
+
+  // reopen the last session on load
+  useEffect(() => {
+    let cancelled = false;
+    const lastId = getLastSessionId();
+    loadSession(lastId)
+      .catch(() => null)
+      .then((session) => {
+        if (cancelled) return;
+        if (session) applySession(session);
+        else setSessionId(createSessionId());
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // debounced autosave
+  useEffect(() => {
+    if (!sessionId) return;
+    // don't litter the library with sessions nobody typed into
+    if (!persistedRef.current && !text && history.length === 0) return;
+    if (autosaveTimerRef.current) clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = setTimeout(async () => {
+      autosaveTimerRef.current = null;
+      try {
+        const meta = await saveSession({ id: sessionId, mode, poemForm, text, history, caretMoves, heatMap, analysis, startedAt: sessionStartedAt });
+        persistedRef.current = true;
+        setLastSessionId(sessionId);
+        setSavedAt(Date.now());
+        noteProgress(meta);
+      } catch (e) {
+        console.warn("Autosave failed:", e);
+      }
+    }, 800);
+    return () => {
+      if (autosaveTimerRef.current) clearTimeout(autosaveTimerRef.current);
+    };
+  }, [sessionId, mode, poemForm, text, history, caretMoves, heatMap, analysis, sessionStartedAt]);
+
   function handleScroll(e) {
     if (overlayRef.current) {
       overlayRef.current.scrollTop = e.target.scrollTop;
       overlayRef.current.scrollLeft = e.target.scrollLeft;
     }
+    if (gutterRef.current) gutterRef.current.scrollTop = e.target.scrollTop;
+    updateViewport();
+  }
+
+  function updateViewport() {
+    const next = visibleFraction(textboxRef.current);
+    setViewport((prev) => (prev.top === next.top && prev.bottom === next.bottom ? prev : next));
   }
 
+  useEffect(() => {
+    window.addEventListener("resize", updateViewport);
+    return () => window.removeEventListener("resize", updateViewport);
+  }, []);
+
   // -----------------------------
   // Mark / unmark phrases (controls)
   // -----------------------------
@@ -63,74 +416,361 @@ export default function App() {
 
   // -----------------------------
   // Auto-annotation: recompute when text, enabled, user annotations change
-  // Debounced for live typing; can use LLM extractor if enabled
+  // Debounced for live typing; every enabled provider (./annotationProviders) contributes
   // -----------------------------
+  function toggleProvider(id, on) {
+    setEnabledProviders((prev) => (on ? [...prev.filter((p) => p !== id), id] : prev.filter((p) => p !== id)));
+  }
+
   useEffect(() => {
-    let cancelled = false;
+    const client = createAnalysisClient();
+    analysisRef.current = client;
+    return () => {
+      analysisRef.current = null;
+      client.terminate();
+    };
+  }, []);
+
+  useEffect(() => {
+    const client = analysisRef.current;
+    if (!client) return;
+    client.setShared("lexicon", lexicon);
+    client.setShared("emotionLexicon", emotionLexicon);
+  }, [lexicon, emotionLexicon]);
+
+  // a job of ./analysisJobs, in the worker when there is one
+  function runAnalysisJob(kind, payload, channel) {
+    const client = analysisRef.current;
+    return client ? client.run(kind, payload, { channel }) : runJob(kind, payload, { lexicon, emotionLexicon });
+  }
+
+  useLayoutEffect(() => {
+    documentVersionRef.current += 1;
+  }, [text]);
+
+  const historyRef = useRef(history);
+  useLayoutEffect(() => {
+    historyRef.current = history;
+  }, [history]);
+
+  useEffect(() => {
+    if (!autoAnnotateEnabled || enabledProviders.length === 0) {
+      setAutoAnnotations(NO_ANNOTATIONS);
+      return;
+    }
+
+    const controller = new AbortController();
+    const context = { heatMap, lexicon, emotionLexicon, echoWindow, signal: controller.signal };
+    const version = documentVersionRef.current;
+    const client = analysisRef.current;
+
+    function annotateWith(provider, src, ctx) {
+      if (!client || !runsInWorker(provider)) return provider.annotate(src, ctx);
+      return client.run("annotate", { providerId: provider.id, text: src, heatMap, echoWindow }, { channel: `annotate:${provider.id}`, signal: ctx.signal });
+    }
 
     async function computeAnnotationsNow() {
-      if (!autoAnnotateEnabled) {
-        setAutoAnnotations([]);
-        return;
+      const list = await runProviders(providers, text, context, enabledProviders, annotateWith);
+      if (!controller.signal.aborted && version === documentVersionRef.current) setAutoAnnotations({ text, list });
+    }
+
+    // Live mode or a provider that calls a server: debounce; otherwise compute right away
+    const remote = providers.some((p) => p.capabilities.remote && enabledProviders.includes(p.id));
+    if (autoLiveEnabled || remote) {
+      liveTimerRef.current = setTimeout(() => {
+        liveTimerRef.current = null;
+        computeAnnotationsNow();
+      }, 180); // ~180ms debounce
+    } else {
+      computeAnnotationsNow();
+    }
+
+    return () => {
+      controller.abort();
+      if (liveTimerRef.current) clearTimeout(liveTimerRef.current);
+    };
+  }, [text, autoAnnotateEnabled, autoLiveEnabled, heatMap, providers, enabledProviders, lexicon, emotionLexicon, echoWindow]);
+
+  // -----------------------------
+  // Phrase annotations (user-marked + automatic) as ranges of the current text. They follow
+  // edits (./annotations advanceAnnotations) and are only found afresh when the phrase lists
+  // change; automatic results computed for an older text are advanced to this one.
+  // -----------------------------
+  const autoPhrases = useMemo(() => {
+    const out = {};
+    for (const p of providers) {
+      if (p.capabilities.phrases) out[p.id] = phraseEntries(autoAnnotations.list.filter((a) => a.source === p.id));
+    }
+    return out;
+  }, [autoAnnotations, providers]);
+  const phraseAnnotationsRef = useRef(null);
+  const phraseAnnotations = useMemo(() => {
+    const prev = phraseAnnotationsRef.current;
+    const phrases = { user: heatMap, ...autoPhrases };
+    if (prev && prev.heatMap === heatMap && prev.autoAnnotations === autoAnnotations) {
+      return { ...advanceAnnotations(prev, text, phrases), heatMap, autoAnnotations };
+    }
+    const autos = advanceAnnotations(autoAnnotations, text, autoPhrases);
+    return { text, list: [...annotatePhrases(text, heatMap, "user"), ...autos.list], heatMap, autoAnnotations };
+  }, [text, heatMap, autoAnnotations, autoPhrases]);
+  useLayoutEffect(() => {
+    phraseAnnotationsRef.current = phraseAnnotations;
+  }, [phraseAnnotations]);
+
+  // -----------------------------
+  // Process overlays: colour words by how often they were reworked / how long the caret stayed.
+  // These and the text panels are worked out by the analysis worker a moment after the last
+  // edit; like annotations, a result is only applied while the document is still at the
+  // version it was computed for.
+  // -----------------------------
+  const [processStats, setProcessStats] = useState(NO_PROCESS_STATS); // trackProcess job, as of processStats.text
+  const [textStats, setTextStats] = useState(NO_TEXT_STATS); // analyzeText job, as of textStats.text
+
+  useEffect(() => {
+    const analysed = history;
+    let stale = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await runAnalysisJob("trackProcess", { history: analysed, caretMoves }, "trackProcess");
+        if (!stale && historyRef.current === analysed) setProcessStats(result);
+      } catch (e) {
+        if (!isCancelled(e)) console.warn("Process tracking failed:", e);
       }
+    }, ANALYSIS_DEBOUNCE_MS);
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [history, caretMoves, lexicon]);
+
+  useEffect(() => {
+    const version = documentVersionRef.current;
+    let stale = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await runAnalysisJob("analyzeText", { text, echoWindow }, "analyzeText");
+        if (!stale && version === documentVersionRef.current) setTextStats(result);
+      } catch (e) {
+        if (!isCancelled(e)) console.warn("Text analysis failed:", e);
+      }
+    }, ANALYSIS_DEBOUNCE_MS);
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [text, echoWindow, lexicon, emotionLexicon]);
+
+  const { segments, words: processWords, provenance, graveyard } = processStats;
+  const { readability, repetitions, arc } = textStats;
+  const deferredText = useDeferredValue(text);
+  const poem = useMemo(() => (mode === "Poem" ? analyzePoem(deferredText, poemForm) : null), [mode, deferredText, poemForm]);
+  const emotionWords = useMemo(
+    () => (overlayMode === "emotion" ? scoreEmotions(deferredText, emotionLexicon).words : []),
+    [overlayMode, deferredText, emotionLexicon]
+  );
+
+  // hover tooltip with the stats of the sentence under the mouse
+  const [hoverInfo, setHoverInfo] = useState(null); // { sentence, paragraph, x, y }
+  const hoverFrameRef = useRef(null);
 
-      // If live mode is off and LLM is disabled, compute once synchronously
-      if (!autoLiveEnabled && !useLLMExtractor) {
-        const autos = autoAnnotateText(text, heatMap);
-        if (!cancelled) setAutoAnnotations(autos);
+  function handleEditorMouseMove(e) {
+    const { clientX, clientY } = e;
+    if (hoverFrameRef.current) cancelAnimationFrame(hoverFrameRef.current);
+    hoverFrameRef.current = requestAnimationFrame(() => {
+      hoverFrameRef.current = null;
+      const overlay = overlayRef.current;
+      const offset = overlay && processStats.text === text ? offsetAtPoint(overlay, clientX, clientY) : -1;
+      const sentence = offset >= 0 ? segmentAt(segments.sentences, offset) : null;
+      if (!sentence) {
+        setHoverInfo(null);
         return;
       }
+      const box = overlay.parentElement.getBoundingClientRect();
+      setHoverInfo({
+        sentence,
+        paragraph: segmentAt(segments.paragraphs, offset),
+        x: clientX - box.left,
+        y: clientY - box.top,
+      });
+    });
+  }
 
-      // Live mode or LLM usage: debounce and compute
-      if (liveTimerRef.current) clearTimeout(liveTimerRef.current);
+  function handleEditorMouseLeave() {
+    if (hoverFrameRef.current) cancelAnimationFrame(hoverFrameRef.current);
+    hoverFrameRef.current = null;
+    setHoverInfo(null);
+  }
 
-      liveTimerRef.current = setTimeout(async () => {
-        try {
-          let autos = [];
-          if (useLLMExtractor) {
-            // fetch phrases from server LLM endpoint (async)
-            autos = await fetchLLMAnnotations(text, heatMap);
-          } else {
-            autos = autoAnnotateText(text, heatMap);
-          }
-          if (!cancelled) setAutoAnnotations(autos);
-        } catch (e) {
-          // on error, fallback to local annotator
-          const autos = autoAnnotateText(text, heatMap);
-          if (!cancelled) setAutoAnnotations(autos);
-        } finally {
-          liveTimerRef.current = null;
-        }
-      }, 180); // ~180ms debounce
+  function renderProcessText() {
+    const src = text;
+    const words = processStats.text === src ? processWords : [];
+    const key = overlayMode === "dwell" ? "dwell" : "revisions";
+    const max = words.reduce((m, w) => Math.max(m, w[key]), 0);
+
+    const out = [];
+    let i = 0;
+    for (const w of words) {
+      if (w.start > i) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i, w.start)}</span>);
+      const color = max > 0 ? infraredColor(w[key] / max) : "transparent";
+      out.push(
+        <span key={w.start} className="phrase-highlight process" style={{ backgroundColor: color }}>
+          {src.substring(w.start, w.end)}
+        </span>
+      );
+      i = w.end;
     }
+    // text not covered by the tracker yet (still catching up with typing)
+    if (i < src.length) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i)}</span>);
+    return out;
+  }
 
-    computeAnnotationsNow();
+  // pasted / IME-composed runs of the final text
+  function renderProvenanceText() {
+    const src = text;
+    const regions = processStats.text === src ? provenance : [];
+    const out = [];
+    let i = 0;
+    for (const r of regions) {
+      if (r.start > i) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i, r.start)}</span>);
+      out.push(
+        <span key={r.start} className="phrase-highlight process" style={{ backgroundColor: ORIGIN_COLORS[r.origin] }}>
+          {src.substring(r.start, r.end)}
+        </span>
+      );
+      i = r.end;
+    }
+    if (i < src.length) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i)}</span>);
+    return out;
+  }
 
-    return () => {
-      cancelled = true;
-      if (liveTimerRef.current) clearTimeout(liveTimerRef.current);
+  // the hardest paragraphs tinted, passive-voice candidates underlined everywhere
+  function renderReadabilityText() {
+    const src = text;
+    if (textStats.text !== src) return <span className="plain-char">{src}</span>;
+    const hard = new Set(hardestParagraphs(readability.paragraphs, HARDEST_PARAGRAPHS).map((p) => p.index));
+    const out = [];
+    let i = 0;
+    for (const p of readability.paragraphs) {
+      if (p.start > i) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i, p.start)}</span>);
+      const parts = [];
+      let j = p.start;
+      for (const r of p.passive) {
+        if (r.start > j) parts.push(src.substring(j, r.start));
+        parts.push(
+          <span key={r.start} className="passive-candidate" title="Passive voice?">
+            {src.substring(r.start, r.end)}
+          </span>
+        );
+        j = r.end;
+      }
+      if (j < p.end) parts.push(src.substring(j, p.end));
+      out.push(
+        <span
+          key={p.start}
+          className={hard.has(p.index) ? "phrase-highlight process" : "plain-char"}
+          style={hard.has(p.index) ? { backgroundColor: HARD_PARAGRAPH_COLOR } : undefined}
+        >
+          {parts}
+        </span>
+      );
+      i = p.end;
+    }
+    if (i < src.length) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i)}</span>);
+    return out;
+  }
+
+  // occurrences of words and phrases repeated close together, tinted by severity
+  function renderEchoText() {
+    const src = text;
+    const ranges = textStats.text === src ? echoRanges(repetitions) : [];
+    const out = [];
+    let i = 0;
+    for (const r of ranges) {
+      if (r.start > i) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i, r.start)}</span>);
+      out.push(
+        <span key={r.start} className="phrase-highlight echo" style={{ backgroundColor: SEVERITY_COLORS[r.severity] }}>
+          {src.substring(r.start, r.end)}
+        </span>
+      );
+      i = r.end;
+    }
+    if (i < src.length) out.push(<span key={`s${i}`} className="plain-char">{src.substring(i)}</span>);
+    return out;
+  }
+
+  // select a range in the editor (it scrolls to the selection on focus)
+  function selectInEditor({ start, end }) {
+    const el = textboxRef.current;
+    if (!el) return;
+    el.blur();
+    el.setSelectionRange(start, end);
+    el.focus();
+  }
+
+  // the part of the text around what is in view (one screen above and below): only the
+  // annotations in it become spans
+  function overlayWindow(len) {
+    const screen = viewport.bottom - viewport.top;
+    return {
+      from: Math.max(0, Math.floor((viewport.top - screen) * len)),
+      to: Math.min(len, Math.ceil((viewport.bottom + screen) * len)),
     };
-  }, [text, autoAnnotateEnabled, autoLiveEnabled, heatMap, useLLMExtractor]);
+  }
+
+  // `near` merged and rendered between `from` and `to`, each annotation in colorOf(annotation)
+  function renderAnnotations(near, from, to, colorOf) {
+    const src = text;
+    const merged = mergeAnnotations(near);
+    const out = [];
+    if (from > 0) out.push(<span key="before" className="plain-char">{src.substring(0, from)}</span>);
+    for (const seg of segmentText(src, merged, from, to)) {
+      const piece = src.substring(seg.start, seg.end);
+      if (!seg.annotation) {
+        out.push(<span key={seg.start} className="plain-char">{piece}</span>);
+        continue;
+      }
+      const { source } = seg.annotation;
+      const cls = `phrase-highlight ${source === "user" || source === "live" || source === "emotion" ? source : "auto"}`;
+      out.push(
+        <span key={seg.start} className={cls} style={{ backgroundColor: colorOf(seg.annotation) }}>
+          {piece}
+        </span>
+      );
+    }
+    if (to < src.length) out.push(<span key="after" className="plain-char">{src.substring(to)}</span>);
+    return out;
+  }
+
+  // phrases tinted by their dominant emotion: the automatic phrase annotations that carry one,
+  // and every emotion-bearing word of the text
+  function renderEmotionText() {
+    const { from, to } = overlayWindow(text.length);
+    const near = phraseAnnotations.list.filter((a) => a.emotions && a.end > from && a.start < to);
+    if (deferredText === text) {
+      for (const w of emotionWords) {
+        if (w.end > from && w.start < to) {
+          near.push({ start: w.start, end: w.end, source: "emotion", score: null, color: null, meta: { word: w.word }, emotions: w.emotions, arousal: w.arousal });
+        }
+      }
+    }
+    return renderAnnotations(near, from, to, (a) => emotionColor(a.emotions));
+  }
 
   // -----------------------------
   // Render text with phrase overlays (same as earlier)
   // -----------------------------
   function renderHeatText() {
     if (!text) return null;
+    if (overlayMode === "provenance") return renderProvenanceText();
+    if (overlayMode === "readability") return renderReadabilityText();
+    if (overlayMode === "echoes") return renderEchoText();
+    if (overlayMode === "emotion") return renderEmotionText();
+    if (overlayMode !== "connotation") return renderProcessText();
 
     const src = text;
     const len = src.length;
 
-    const userAnns = heatMap.map((a) => ({ phrase: a.phrase, phraseLower: a.phrase.toLowerCase(), color: a.color, source: "user" }));
-
-    const autoAnns = (autoAnnotations || []).map((a) => ({
-      phrase: a.phrase,
-      phraseLower: a.phrase.toLowerCase(),
-      color: a.color,
-      source: "auto",
-    }));
-
-    let liveAnn = null;
+    let live = null;
     try {
       const caret = textboxRef.current?.selectionStart ?? -1;
       if (autoAnnotateEnabled && autoLiveEnabled && caret >= 0) {
@@ -141,12 +781,10 @@ export default function App() {
         const current = src.substring(s, e).trim();
         if (current) {
           const low = current.toLowerCase();
-          const userPhrasesLower = new Set(userAnns.map((u) => u.phraseLower));
-          if (!userPhrasesLower.has(low)) {
-            const scoreMap = computeConnotationScoresForWords([current]);
-            const score = scoreMap.get(low) || 0;
-            const color = scoreToColor(score);
-            liveAnn = { phrase: current, phraseLower: low, color, source: "live" };
+          if (!heatMap.some((u) => u.phrase.toLowerCase() === low)) {
+            const score = computeConnotationScoresForWords([current], lexicon).get(low) || 0;
+            const start = s + src.substring(s, e).indexOf(current);
+            live = { start, end: start + current.length, source: "live", score, color: scoreToColor(score), meta: { phrase: current } };
           }
         }
       }
@@ -154,119 +792,30 @@ export default function App() {
       // ignore caret errors
     }
 
-    const mergedOrdered = [...userAnns, ...(liveAnn ? [liveAnn] : []), ...autoAnns];
-    const annotations = mergedOrdered;
-
-    const out = [];
-    let i = 0;
-
-    const isStartBoundary = (pos) => pos === 0 || /\s|[.,!?;:()"\u2014\u2013]/.test(src[pos - 1]);
-    const isEndBoundary = (pos) => pos >= len || /\s|[.,!?;:()"\u2014\u2013]/.test(src[pos]);
-
-    const precedence = { user: 3, live: 2, auto: 1 };
-
-    while (i < len) {
-      if (/\s/.test(src[i])) {
-        out.push(<span key={i} className="plain-char">{src[i]}</span>);
-        i += 1;
-        continue;
-      }
-
-      let best = null;
-      for (const ann of annotations) {
-        const p = ann.phraseLower;
-        if (!p) continue;
-        const segment = src.substr(i, p.length).toLowerCase();
-        if (segment === p) {
-          const startOk = isStartBoundary(i);
-          const endOk = isEndBoundary(i + p.length);
-          if (!startOk || !endOk) continue;
-          const matchLen = p.length;
-          if (!best) {
-            best = { annotation: ann, matchLen };
-          } else {
-            if (matchLen > best.matchLen) {
-              best = { annotation: ann, matchLen };
-            } else if (matchLen === best.matchLen) {
-              const curP = precedence[ann.source] || 0;
-              const bestP = precedence[best.annotation.source] || 0;
-              if (curP > bestP) best = { annotation: ann, matchLen };
-            }
-          }
-        }
-      }
-
-      if (best) {
-        const matchedText = src.substr(i, best.matchLen);
-        const style = { backgroundColor: best.annotation.color };
-        const cls = `phrase-highlight ${best.annotation.source === "auto" ? "auto" : best.annotation.source === "live" ? "live" : "user"}`;
-        out.push(
-          <span key={i} className={cls} style={style}>
-            {matchedText}
-          </span>
-        );
-        i += best.matchLen;
-        continue;
-      }
-
-      let j = i;
-      while (j < len && !/\s/.test(src[j])) j++;
-      const piece = src.substring(i, j);
-      out.push(<span key={i} className="plain-word">{piece}</span>);
-      i = j;
-    }
-
-    return out;
+    const { from, to } = overlayWindow(len);
+    const near = phraseAnnotations.list.filter((a) => a.color !== "transparent" && a.end > from && a.start < to);
+    if (live) near.push(live);
+    return renderAnnotations(near, from, to, (a) => a.color);
   }
 
-  // Replay and analysis code left unchanged...
-  const startReplay = () => {
-    if (history.length === 0) return;
-    setReplaying(true);
-    setReplayIndex(0);
-    setText("");
-  };
-
-  useEffect(() => {
-    if (!replaying) return;
-    if (replayIndex >= history.length) {
-      setReplaying(false);
-      return;
+  // in the worker when there is one; the result is dropped if the history moved on meanwhile
+  async function runAnalysis() {
+    const opts = { sessionStart: sessionStartedAt ?? undefined };
+    const client = analysisRef.current;
+    if (!client) {
+      const result = analyzeProcess(history, opts);
+      setAnalysis(result);
+      return result;
     }
-    const frame = history[replayIndex];
-    const delay = replayIndex === 0 ? 100 : frame.time - history[replayIndex - 1].time;
-    const timer = setTimeout(() => {
-      setText(frame.value);
-      setReplayIndex(replayIndex + 1);
-    }, Math.min(delay, 200));
-    return () => clearTimeout(timer);
-  }, [replaying, replayIndex, history]);
-
-  function runAnalysis() {
-    if (!history || history.length === 0) {
-      setAnalysis(null);
+    const analysed = history;
+    try {
+      const result = await client.run("analyzeProcess", { history: analysed, opts }, { channel: "analysis" });
+      if (historyRef.current === analysed) setAnalysis(result);
+      return result;
+    } catch (e) {
+      if (!isCancelled(e)) console.warn("Process analysis failed:", e);
       return null;
     }
-    const times = history.map((h) => h.time || 0).filter(Boolean);
-    const durationMs = times.length >= 2 ? times[times.length - 1] - times[0] : 0;
-    const deltas = [];
-    let deletions = 0;
-    for (let i = 1; i < history.length; i++) {
-      const prev = history[i - 1];
-      const cur = history[i];
-      const dt = (cur.time || 0) - (prev.time || 0);
-      deltas.push(dt || 0);
-      if ((cur.value?.length || 0) < (prev.value?.length || 0)) deletions++;
-    }
-    const avgSpeed = deltas.length > 0 ? Math.round(deltas.reduce((a, b) => a + b, 0) / deltas.length) : 0;
-    const bursts = deltas.filter((d) => d < 120).length;
-    const pauses = deltas.filter((d) => d > 600).length;
-    const flowIndex = Math.max(0, Math.min(100, 100 - avgSpeed / 10));
-    const stressIndex = Math.max(0, Math.min(100, (deletions / Math.max(1, history.length)) * 100));
-    const energyIndex = Math.max(0, Math.min(100, (bursts / Math.max(1, history.length)) * 100));
-    const result = { durationMs, avgSpeed, bursts, pauses, deletions, flowIndex, stressIndex, energyIndex };
-    setAnalysis(result);
-    return result;
   }
 
   // -----------------------------
@@ -275,9 +824,36 @@ export default function App() {
   return (
     <div className="app-container">
       <main className="editor-column">
-        <h1 className="infraread-title">Infraread</h1>
+        <div className="title-row">
+          <h1 className="infraread-title">Infraread</h1>
+          <DocumentModeSelector mode={mode} setMode={setMode} />
+        </div>
+
+        {integrity && integrity.status !== "unsealed" && (
+          <div className="document-integrity">
+            <IntegrityBadge integrity={integrity} />
+          </div>
+        )}
+
+        {sessionGoal > 0 && (
+          <div className="document-goal" title={`${countWords(text)} of ${sessionGoal} words`}>
+            <div className="goal-progress">
+              <div className="goal-progress-bar" style={{ width: `${Math.min(100, (countWords(text) / sessionGoal) * 100)}%` }} />
+            </div>
+            <span>
+              {countWords(text)} / {sessionGoal} words
+            </span>
+          </div>
+        )}
+
+        {poem && !replaying && <PoemStatus poem={poem} form={poemForm} setForm={setPoemForm} />}
+
+        {replaying && <Playback text={text} history={history} autoPlay onClose={() => setReplaying(false)} />}
+
+        {/* kept mounted while replaying so the keystroke recorder stays attached */}
+        <div className={`editor-section${poem ? " poem" : ""}`} style={replaying ? { display: "none" } : undefined}>
+          {poem && <PoemGutter ref={gutterRef} poem={poem} lineHeight={EDITOR_LINE_HEIGHT} />}
 
-        <div className="editor-section">
           <div ref={overlayRef} className="heatmap-overlay" aria-hidden="true">
             {renderHeatText()}
           </div>
@@ -288,9 +864,14 @@ export default function App() {
             value={text}
             onChange={handleChange}
             onScroll={handleScroll}
+            wrap={poem ? "off" : undefined}
+            onMouseMove={handleEditorMouseMove}
+            onMouseLeave={handleEditorMouseLeave}
             disabled={replaying}
             placeholder="Start typing…"
           />
+
+          {hoverInfo && <SegmentTooltip {...hoverInfo} />}
         </div>
 
         <div className="controls-row">
@@ -313,6 +894,60 @@ export default function App() {
             </button>
           </div>
 
+          <label className="auto-toggle" title="What the colours under the text show">
+            Overlay{" "}
+            <select value={overlayMode} onChange={(e) => setOverlayMode(e.target.value)}>
+              <option value="connotation">Connotation</option>
+              <option value="emotion">Emotion (dominant)</option>
+              <option value="revisions">Revision density</option>
+              <option value="dwell">Caret dwell time</option>
+              <option value="provenance">Provenance (pasted / IME)</option>
+              <option value="readability">Hardest paragraphs</option>
+              <option value="echoes">Echoes (repetition)</option>
+            </select>
+          </label>
+
+          {overlayMode === "provenance" && (
+            <span className="provenance-legend">
+              {Object.entries(ORIGIN_COLORS).map(([origin, color]) => (
+                <span key={origin}>
+                  <span className="legend-swatch" style={{ backgroundColor: color }} /> {origin}
+                </span>
+              ))}
+            </span>
+          )}
+
+          {overlayMode === "emotion" && (
+            <span className="provenance-legend">
+              {Object.entries(EMOTION_COLORS).map(([emotion, color]) => (
+                <span key={emotion}>
+                  <span className="legend-swatch" style={{ backgroundColor: color }} /> {emotion}
+                </span>
+              ))}
+            </span>
+          )}
+
+          {overlayMode === "echoes" && (
+            <span className="provenance-legend">
+              {Object.entries(SEVERITY_COLORS).map(([severity, color]) => (
+                <span key={severity}>
+                  <span className="legend-swatch" style={{ backgroundColor: color }} /> {severity}
+                </span>
+              ))}
+            </span>
+          )}
+
+          {overlayMode === "readability" && (
+            <span className="provenance-legend">
+              <span>
+                <span className="legend-swatch" style={{ backgroundColor: HARD_PARAGRAPH_COLOR }} /> {HARDEST_PARAGRAPHS} hardest paragraphs
+              </span>
+              <span>
+                <span className="passive-candidate">underlined</span> passive voice?
+              </span>
+            </span>
+          )}
+
           <label className="auto-toggle">
             <input type="checkbox" checked={autoAnnotateEnabled} onChange={(e) => setAutoAnnotateEnabled(e.target.checked)} />{" "}
             Auto annotate (connotation)
@@ -323,12 +958,13 @@ export default function App() {
             Live updates
           </label>
 
-          <label className="auto-toggle" title="Use server LLM to extract multi-word phrases">
-            <input type="checkbox" checked={useLLMExtractor} onChange={(e) => setUseLLMExtractor(e.target.checked)} />{" "}
-            Use LLM extractor
-          </label>
+          {providers.map((p) => (
+            <label key={p.id} className="auto-toggle" title={p.description}>
+              <input type="checkbox" checked={enabledProviders.includes(p.id)} onChange={(e) => toggleProvider(p.id, e.target.checked)} /> {p.label}
+            </label>
+          ))}
 
-          <button className="action-btn action-ig" onClick={startReplay} disabled={replaying || history.length === 0}>
+          <button className="action-btn action-ig" onClick={() => setReplaying(true)} disabled={replaying || history.length === 0}>
             Replay
           </button>
 
@@ -354,21 +990,50 @@ export default function App() {
           </div>
         )}
 
+        <EchoPanel repetitions={repetitions} windowWords={echoWindow} onWindowChange={setEchoWindow} onJump={selectInEditor} />
+
+        <Graveyard entries={graveyard} onRestore={restoreFromGraveyard} />
+
+        <LexiconPanel lexicons={lexicons} onChange={setLexicons} />
+
+        <SessionLibrary
+          currentId={sessionId}
+          refreshKey={savedAt}
+          onOpen={openSession}
+          onNew={startNewSession}
+          onGoalChange={(id, goal) => {
+            if (id === sessionId) setSessionGoal(goal);
+          }}
+        />
+
+        <ProgressView refreshKey={progressKey} />
+
         <div style={{ marginTop: 18 }}>
-          <Translator textboxRef={textboxRef} text={text} setText={setText} />
+          <Translator textboxRef={textboxRef} text={text} setText={insertTranslation} />
         </div>
       </main>
 
       <Dashboard
         history={history}
         setHistory={setHistory}
-        heatMap={[...heatMap, ...autoAnnotations]}
+        caretMoves={caretMoves}
+        heatMap={heatMap}
         setHeatMap={setHeatMap}
         text={text}
         setText={setText}
         analysis={analysis}
         setAnalysis={setAnalysis}
         runAnalysis={runAnalysis}
+        sessionStart={sessionStartedAt}
+        segments={segments}
+        readability={readability}
+        arc={arc}
+        lexicon={lexicon}
+        emotionLexicon={emotionLexicon}
+        mode={mode}
+        poemForm={poemForm}
+        onOpenSession={importSession}
+        onClearSession={startNewSession}
       />
     </div>
   );
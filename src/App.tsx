@@ -1,7 +1,10 @@
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import Editor from "./components/Editor";
 import Playback from "./components/Playback";
 import DocumentModeSelector from "./components/DocumentModeSelector";
+import { appendChange } from "./history";
+import { HistoryEvent } from "./timelinePlayer";
+import { timestamp } from "./engine/keystrokeRecorder";
 
 export type DocumentMode = "Manuscript" | "Essay" | "Journal" | "Poem";
 
@@ -9,6 +12,14 @@ export default function App() {
   const [mode, setMode] = useState<DocumentMode>("Manuscript");
   const [showPlayback, setShowPlayback] = useState(false);
   const [documentText, setDocumentText] = useState<string>("");
+  const [history, setHistory] = useState<HistoryEvent[]>([]);
+  const lastTextRef = useRef("");
+
+  const handleEdit = (value: string, cause: { kind: string } | null) => {
+    const prev = lastTextRef.current;
+    lastTextRef.current = value;
+    setHistory((h) => appendChange(h, prev, value, timestamp(), cause ? { source: cause.kind } : {}));
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900 p-4">
@@ -22,9 +33,10 @@ export default function App() {
           text={documentText}
           setText={setDocumentText}
           mode={mode}
+          onEdit={handleEdit}
         />
       ) : (
-        <Playback text={documentText} />
+        <Playback text={documentText} history={history} />
       )}
 
       <footer className="mt-4 flex justify-end gap-2">
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { SEVERITY_COLORS } from "./repetition";
+
+/**
+ * EchoPanel — distinctive words and phrases repeated close together (see ./repetition),
+ * worst first; clicking an occurrence selects it in the editor.
+ *
+ * Props:
+ * - repetitions: findRepetitions() result for the current text
+ * - windowWords: size of the sliding window, in words
+ * - onWindowChange(words)
+ * - onJump(occurrence): select { start, end } in the editor
+ */
+
+const COLLAPSED_COUNT = 8;
+const WINDOW_SIZES = [25, 50, 100, 200, 400];
+
+export default function EchoPanel({ repetitions, windowWords, onWindowChange, onJump }) {
+  const [expanded, setExpanded] = useState(false);
+  const shown = expanded ? repetitions : repetitions.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <div className="echo-panel">
+      <div className="session-library-header">
+        <strong>Echoes</strong>
+        <label className="session-library-empty">
+          within{" "}
+          <select value={windowWords} onChange={(e) => onWindowChange(Number(e.target.value))}>
+            {WINDOW_SIZES.map((n) => (
+              <option key={n} value={n}>
+                {n} words
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {repetitions.length === 0 ? (
+        <div className="session-library-empty">No repeated words or phrases close together.</div>
+      ) : (
+        <>
+          <ul className="session-list">
+            {shown.map((r) => (
+              <li key={r.key} className="session-item">
+                <div>
+                  <span className="echo-severity" style={{ backgroundColor: SEVERITY_COLORS[r.severity] }}>
+                    {r.severity}
+                  </span>{" "}
+                  <strong>{r.label}</strong>
+                </div>
+                <div className="session-meta">
+                  {r.count}× within {windowWords} words · closest {r.minGap} {r.minGap === 1 ? "word" : "words"} apart
+                </div>
+                <div className="session-actions">
+                  {r.occurrences.map((occ, i) => (
+                    <button key={occ.start} className="small-remove" title={occ.text} onClick={() => onJump(occ)}>
+                      #{i + 1}
+                    </button>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {repetitions.length > COLLAPSED_COUNT && (
+            <button className="secondary-btn" onClick={() => setExpanded((v) => !v)}>
+              {expanded ? "Show fewer" : `Show all ${repetitions.length}`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
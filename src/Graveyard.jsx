@@ -0,0 +1,83 @@
+import { useState } from "react";
+
+/**
+ * Graveyard — every passage removed from the document, newest first, with one-click restore.
+ * A passage that was put back can't be restored again (until it is deleted anew).
+ *
+ * Props:
+ * - entries: buildGraveyard() of the open session's history (./editClassifier), worked out by App's analysis worker
+ * - onRestore(entry): put entry.text back into the document
+ */
+
+const COLLAPSED_COUNT = 8;
+
+function formatAgo(ts) {
+  const ms = Date.now() - ts;
+  if (!isFinite(ms) || ms < 0) return "";
+  const min = Math.round(ms / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  const h = Math.round(min / 60);
+  if (h < 24) return `${h} h ago`;
+  return new Date(ts).toLocaleDateString();
+}
+
+function formatClock(ts) {
+  try {
+    return new Date(ts).toLocaleTimeString();
+  } catch (e) {
+    return "";
+  }
+}
+
+export default function Graveyard({ entries = [], onRestore }) {
+  const [query, setQuery] = useState("");
+  const [expanded, setExpanded] = useState(false);
+
+  const q = query.trim().toLowerCase();
+  const filtered = q ? entries.filter((e) => e.text.toLowerCase().includes(q)) : entries;
+  const shown = expanded ? filtered : filtered.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <div className="graveyard">
+      <div className="session-library-header">
+        <strong>Graveyard</strong>
+        <span className="session-library-empty">{entries.length} removed passages</span>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="session-library-empty">Nothing deleted yet.</div>
+      ) : (
+        <>
+          <input className="phrase-input graveyard-search" placeholder="Search removed text" value={query} onChange={(e) => setQuery(e.target.value)} />
+          <ul className="session-list">
+            {shown.map((e) => (
+              <li key={e.id} className="session-item">
+                <div className="graveyard-text">
+                  <span className="graveyard-context">…{e.before}</span>
+                  <del>{e.text}</del>
+                  {e.replacedBy && <ins>{e.replacedBy}</ins>}
+                  <span className="graveyard-context">{e.after}…</span>
+                </div>
+                <div className="session-meta">
+                  {e.kind === "replacement" ? "Replaced" : "Deleted"} {e.text.length} chars · {formatClock(e.time)} ({formatAgo(e.time)})
+                  {e.restored && " · restored"}
+                </div>
+                <div className="session-actions">
+                  <button className="small-remove" onClick={() => onRestore(e)} disabled={e.restored}>
+                    {e.restored ? "Restored" : "Restore"}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {filtered.length > COLLAPSED_COUNT && (
+            <button className="secondary-btn" onClick={() => setExpanded((v) => !v)}>
+              {expanded ? "Show fewer" : `Show all ${filtered.length}`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
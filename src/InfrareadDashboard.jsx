@@ -1,4 +1,15 @@
-import React, { useMemo, useState } from "react";
+import React, { useDeferredValue, useMemo, useRef, useState } from "react";
+import { editEvents, fromSnapshots, normalizeHistory } from "./history";
+import { buildSessionExport, readSessionFile } from "./sessionFile";
+import { buildReplayHTML } from "./replayExport";
+import { sealSession } from "./hashChain";
+import { analyzeProcess } from "./processAnalytics";
+import { trackCharacters } from "./offsetTracker";
+import { segmentStats } from "./segmentStats";
+import { analyzeReadability, hardestParagraphs } from "./lexicalAnalyzer";
+import { scorePhrase } from "./sentiment";
+import { scoreToColor } from "./autoAnnotate";
+import { EMOTIONS, EMOTION_COLORS, emotionalArc } from "./emotions";
 
 /**
  * Robust Dashboard component that works when:
@@ -25,6 +36,9 @@ function downloadJSON(data, filename = "infraread-session.json") {
   }
 }
 
+const CSV_ESCAPES = { "\\": "\\\\", "\n": "\\n", "\r": "\\r" };
+const escapeCSVText = (s) => s.replace(/[\\\n\r]/g, (ch) => CSV_ESCAPES[ch]);
+
 function downloadCSV(history = [], filename = "infraread-history.csv") {
   try {
     if (!history || history.length === 0) {
@@ -41,11 +55,13 @@ function downloadCSV(history = [], filename = "infraread-history.csv") {
     }
 
     const rows = [];
-    rows.push(["time", "value"].join(","));
+    rows.push(["time", "type", "pos", "text"].join(","));
     for (const item of history) {
       const time = item.time || "";
-      const value = String(item.value || "").replace(/"/g, '""').replace(/\r?\n/g, "\\n");
-      rows.push([time, `"${value}"`].join(","));
+      const raw = item.type === "keyframe" ? item.value : item.text;
+      // one event per line: line breaks are written as \n and \r, a backslash as \\
+      const value = escapeCSVText(String(raw || "")).replace(/"/g, '""');
+      rows.push([time, item.type, item.pos ?? "", `"${value}"`].join(","));
     }
     const blob = new Blob([rows.join("\n")], { type: "text/csv" });
     const url = URL.createObjectURL(blob);
@@ -59,11 +75,77 @@ function downloadCSV(history = [], filename = "infraread-history.csv") {
   } catch (e) {}
 }
 
+function downloadHTML(html, filename = "infraread-replay.html") {
+  try {
+    const blob = new Blob([html], { type: "text/html" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    // ignore in SSR environments
+  }
+}
+
+const PAUSE_KINDS = [
+  ["withinWord", "Within words"],
+  ["betweenWords", "Between words"],
+  ["betweenSentences", "Between sentences"],
+  ["betweenParagraphs", "Between paragraphs"],
+];
+
+const SEGMENT_COLUMNS = [
+  ["index", "#"],
+  ["text", "Text"],
+  ["composeMs", "Compose"],
+  ["revisions", "Rev."],
+  ["longestPauseMs", "Pause"],
+  ["pastedChars", "Pasted"],
+  ["tone", "Tone"],
+];
+
+const READABILITY_COLUMNS = [
+  ["index", "#"],
+  ["text", "Paragraph"],
+  ["ease", "Ease", "Flesch reading ease (higher is easier)"],
+  ["grade", "Grade", "Flesch–Kincaid grade level"],
+  ["length", "Len.", "Average sentence length in words"],
+  ["passive", "Pass.", "Passive-voice candidates"],
+  ["adverbs", "Adv.", "-ly adverbs"],
+  ["nominal", "Nom.", "Nominalizations (-tion, -ment, -ness…)"],
+  ["difficulty", "Diff.", "Difficulty 0–100; the hardest paragraphs are highlighted"],
+];
+
+export function IntegrityBadge({ integrity }) {
+  const look = {
+    verified: { label: `✔ Verified · hash chain intact (${integrity.count} events)`, color: "#166534", background: "rgba(22,163,74,0.1)" },
+    broken: {
+      label: `✖ Tampered · ${integrity.reason}${integrity.brokenAt != null ? ` (event ${integrity.brokenAt})` : ""}`,
+      color: "#b42318",
+      background: "rgba(229,57,53,0.08)",
+    },
+    unsealed: { label: "Unsealed file · history can't be checked", color: "#64748b", background: "rgba(148,163,184,0.15)" },
+  }[integrity.status];
+  if (!look) return null;
+  return (
+    <div style={{ fontSize: 12, fontWeight: 600, padding: "4px 8px", borderRadius: 8, color: look.color, background: look.background }}>{look.label}</div>
+  );
+}
+
+function formatSeconds(ms = 0) {
+  return `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+}
+
 export default function InfrareadDashboard(props) {
   // Accept optional props from App; fallback to internal state otherwise
   const {
     history: historyProp,
     setHistory: setHistoryProp,
+    caretMoves = [], // caret moves between edits (App), exported with the session
     heatMap: heatMapProp,
     setHeatMap: setHeatMapProp,
     text: textProp,
@@ -71,6 +153,16 @@ export default function InfrareadDashboard(props) {
     analysis: analysisProp,
     setAnalysis: setAnalysisProp,
     runAnalysis: runAnalysisProp,
+    mode = "Manuscript",
+    poemForm = "free", // see POEM_FORMS in ./poetry
+    sessionStart,
+    segments: segmentsProp, // per-sentence / per-paragraph stats, each with its `tone` when App passes them
+    readability: readabilityProp,
+    arc: arcProp, // emotional arc of the text (./emotions), worked out by App's analysis worker
+    lexicon, // layered sentiment lexicon (./lexicons) for the Tone column; built-in when missing
+    emotionLexicon, // layered emotion lexicon (./lexicons) for the Emotional Arc; built-in when missing
+    onOpenSession,
+    onClearSession, // App starts a new session instead, so the stored one isn't overwritten by the cleared editor
   } = props || {};
 
   // Local fallbacks
@@ -80,7 +172,8 @@ export default function InfrareadDashboard(props) {
   const [localAnalysis, setLocalAnalysis] = useState(null);
 
   // Which history/setHistory to use
-  const history = typeof historyProp !== "undefined" ? historyProp : localHistory;
+  const rawHistory = typeof historyProp !== "undefined" ? historyProp : localHistory;
+  const history = useMemo(() => normalizeHistory(rawHistory), [rawHistory]);
   const setHistory = typeof setHistoryProp === "function" ? setHistoryProp : setLocalHistory;
   const heatMap = typeof heatMapProp !== "undefined" ? heatMapProp : localHeatMap;
   const setHeatMap = typeof setHeatMapProp === "function" ? setHeatMapProp : setLocalHeatMap;
@@ -89,35 +182,56 @@ export default function InfrareadDashboard(props) {
   const analysis = typeof analysisProp !== "undefined" ? analysisProp : localAnalysis;
   const setAnalysis = typeof setAnalysisProp === "function" ? setAnalysisProp : setLocalAnalysis;
 
-  // Internal analyzer (used if parent doesn't provide runAnalysis)
-  function internalRunAnalysis() {
-    if (!history || history.length === 0) {
-      setAnalysis(null);
-      return null;
-    }
+  const fileInputRef = useRef(null);
+  const [openMessage, setOpenMessage] = useState(null);
 
-    const times = history.map((h) => h.time || 0).filter(Boolean);
-    const durationMs = times.length >= 2 ? times[times.length - 1] - times[0] : 0;
-
-    const deltas = [];
-    let deletions = 0;
-    for (let i = 1; i < history.length; i++) {
-      const prev = history[i - 1];
-      const cur = history[i];
-      const dt = (cur.time || 0) - (prev.time || 0);
-      deltas.push(dt || 0);
-      if ((cur.value?.length || 0) < (prev.value?.length || 0)) deletions++;
-    }
+  // per-sentence / per-paragraph stats; App passes them in, standalone use computes them here
+  const segments = useMemo(() => {
+    if (segmentsProp) return segmentsProp;
+    const { text: tracked, chars } = trackCharacters(history, { caretMoves });
+    return segmentStats(tracked, chars);
+  }, [segmentsProp, history, caretMoves]);
+  const [segmentLevel, setSegmentLevel] = useState("sentences");
+  const [segmentSort, setSegmentSort] = useState({ key: "index", dir: 1 });
 
-    const avgSpeed = deltas.length > 0 ? Math.round(deltas.reduce((a, b) => a + b, 0) / deltas.length) : 0;
-    const bursts = deltas.filter((d) => d < 120).length;
-    const pauses = deltas.filter((d) => d > 600).length;
+  // connotation of each sentence / paragraph, -1 … 1 (./sentiment); App's segments come scored
+  const tonedSegments = useMemo(
+    () => (segments[segmentLevel] || []).map((seg) => ("tone" in seg ? seg : { ...seg, tone: scorePhrase(seg.text, lexicon) })),
+    [segments, segmentLevel, lexicon]
+  );
 
-    const flowIndex = Math.max(0, Math.min(100, 100 - avgSpeed / 10));
-    const stressIndex = Math.max(0, Math.min(100, (deletions / Math.max(1, history.length)) * 100));
-    const energyIndex = Math.max(0, Math.min(100, (bursts / Math.max(1, history.length)) * 100));
+  const sortedSegments = useMemo(() => {
+    const { key, dir } = segmentSort;
+    const list = [...tonedSegments];
+    list.sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      if (typeof x === "string") return x.localeCompare(y) * dir;
+      return ((x ?? 0) - (y ?? 0)) * dir;
+    });
+    return list;
+  }, [tonedSegments, segmentSort]);
+
+  // emotions from the beginning of the document to its end (./emotions), stacked per stretch
+  const deferredText = useDeferredValue(text);
+  const arc = useMemo(
+    () => arcProp || emotionalArc(deferredText, { lexicon: emotionLexicon, sentimentLexicon: lexicon }),
+    [arcProp, deferredText, emotionLexicon, lexicon]
+  );
+  const arcPeak = useMemo(() => Math.max(1, ...arc.map((b) => EMOTIONS.reduce((sum, e) => sum + b.density[e], 0))), [arc]);
 
-    const result = { durationMs, avgSpeed, bursts, pauses, deletions, flowIndex, stressIndex, energyIndex };
+  // readability & style of the current text; App passes it in (it also drives the editor overlay)
+  const readability = useMemo(() => readabilityProp || analyzeReadability(text), [readabilityProp, text]);
+  const hardest = useMemo(() => new Set(hardestParagraphs(readability.paragraphs).map((p) => p.index)), [readability]);
+
+  function sortSegmentsBy(key) {
+    // numbers start with the biggest first, the way people scan for trouble spots
+    setSegmentSort((prev) => (prev.key === key ? { key, dir: -prev.dir } : { key, dir: key === "index" || key === "text" ? 1 : -1 }));
+  }
+
+  // Internal analyzer (used if parent doesn't provide runAnalysis)
+  function internalRunAnalysis() {
+    const result = analyzeProcess(history, { sessionStart: sessionStart ?? undefined });
     setAnalysis(result);
     return result;
   }
@@ -137,8 +251,48 @@ export default function InfrareadDashboard(props) {
     }
   }
 
-  function handleDownloadReport() {
-    downloadJSON({ history, analysis }, "infraread-session.json");
+  async function handleDownloadReport() {
+    // re-run so the export always carries the current burst segmentation
+    const report = analyzeProcess(history, { sessionStart: sessionStart ?? undefined }) || analysis;
+    const doc = buildSessionExport({ text, history, caretMoves, heatMap, analysis: report, mode, poemForm });
+    // only a history chained since it was started (or since a verified file was opened) is
+    // sealed; anything else goes out unsealed, so it can't pass for verified
+    let sealed = doc;
+    try {
+      sealed = await sealSession(doc);
+    } catch (e) {
+      console.warn("Exporting without an integrity seal:", e);
+      setOpenMessage({ ok: false, text: `Exported without an integrity seal. ${e.message}` });
+    }
+    downloadJSON(sealed, "infraread-session.json");
+  }
+
+  async function handleOpenFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // allow re-opening the same file
+    if (!file) return;
+    try {
+      const session = await readSessionFile(file);
+      if (typeof onOpenSession === "function") {
+        onOpenSession(session);
+      } else {
+        setHistory(session.history);
+        setText(session.text);
+        setHeatMap(session.heatMap);
+        setAnalysis(session.analysis);
+      }
+      setOpenMessage({
+        ok: true,
+        text: session.warnings.length > 0 ? `Opened with warnings: ${session.warnings.join("; ")}` : `Opened ${file.name}`,
+        integrity: session.integrity,
+      });
+    } catch (err) {
+      setOpenMessage({ ok: false, text: String(err?.message || err) });
+    }
+  }
+
+  function handleExportReplay() {
+    downloadHTML(buildReplayHTML({ history, mode, analysis }), "infraread-replay.html");
   }
 
   function handleDownloadCSV() {
@@ -146,6 +300,10 @@ export default function InfrareadDashboard(props) {
   }
 
   function handleClearSession() {
+    if (typeof onClearSession === "function") {
+      onClearSession();
+      return;
+    }
     setHistory([]);
     setHeatMap([]);
     setText("");
@@ -155,8 +313,8 @@ export default function InfrareadDashboard(props) {
   function simulateTypingSample() {
     const start = Date.now();
     const sample = ["H", "He", "Hel", "Hell", "Hello", "Hello ", "Hello W", "Hello Wo", "Hello Wor", "Hello Worl", "Hello World"];
-    const newHistory = sample.map((v, i) => ({ value: v, time: start + i * (100 + Math.round(Math.random() * 200)) }));
-    setHistory(newHistory);
+    const snapshots = sample.map((v, i) => ({ value: v, time: start + i * (100 + Math.round(Math.random() * 200)) }));
+    setHistory(fromSnapshots(snapshots));
     setText(sample[sample.length - 1]);
     setTimeout(() => {
       if (!runAnalysisProp) internalRunAnalysis();
@@ -166,19 +324,20 @@ export default function InfrareadDashboard(props) {
 
   // Computed data for timeline/speed visuals (small, inline charts)
   const timelineData = useMemo(() => {
-    if (!history || history.length === 0) return [];
-    return history.map((h, i) => ({ idx: i, time: h.time || 0, value: h.value }));
+    const events = editEvents(history);
+    if (events.length === 0) return [];
+    return events.map((h, i) => ({ idx: i, time: h.time || 0, type: h.type, size: (h.text || "").length }));
   }, [history]);
 
   const speedData = useMemo(() => {
-    if (!history || history.length < 2) return [];
+    if (timelineData.length < 2) return [];
     const out = [];
-    for (let i = 1; i < history.length; i++) {
-      const dt = (history[i].time || 0) - (history[i - 1].time || 0);
+    for (let i = 1; i < timelineData.length; i++) {
+      const dt = timelineData[i].time - timelineData[i - 1].time;
       out.push({ idx: i - 1, delta: dt });
     }
     return out;
-  }, [history]);
+  }, [timelineData]);
 
   // Basic inline styles so buttons are visible regardless of external CSS
   const containerStyle = { maxWidth: 420, fontFamily: "Inter, system-ui, sans-serif", color: "#0f172a" };
@@ -203,12 +362,232 @@ export default function InfrareadDashboard(props) {
             <div>Flow: <strong>{((analysis && analysis.flowIndex) || 0).toFixed(1)}%</strong></div>
             <div>Stress: <strong>{((analysis && analysis.stressIndex) || 0).toFixed(1)}%</strong></div>
             <div>Energy: <strong>{((analysis && analysis.energyIndex) || 0).toFixed(1)}%</strong></div>
+            {analysis && analysis.pauseTaxonomy && (
+              <>
+                <div style={{ marginTop: 6 }}>Speed: <strong>{analysis.wpm} wpm</strong> ({analysis.cpm} cpm), peak <strong>{analysis.peakWpm} wpm</strong></div>
+                <div>Typed / pasted / deleted: <strong>{analysis.charsTyped} / {analysis.charsPasted} / {analysis.charsDeleted}</strong> chars</div>
+                <div>First keystroke after: <strong>{analysis.timeToFirstKeystrokeMs == null ? "—" : formatSeconds(analysis.timeToFirstKeystrokeMs)}</strong></div>
+                <div>Active / idle: <strong>{formatSeconds(analysis.activeMs)} / {formatSeconds(analysis.idleMs)}</strong></div>
+                <div>Product / process: <strong>{Math.round(analysis.productProcessRatio * 100)}%</strong></div>
+                {analysis.editKinds && (
+                  <div>
+                    Edits:{" "}
+                    <strong>
+                      {analysis.editKinds.insertion} insertions, {analysis.editKinds.deletion} deletions, {analysis.editKinds.replacement} replacements,{" "}
+                      {analysis.editKinds.move} moves, {analysis.editKinds["typo-fix"]} typo fixes
+                    </strong>
+                  </div>
+                )}
+                {analysis.provenance && (
+                  <>
+                    <div style={{ marginTop: 6 }}>
+                      Provenance: <strong>{analysis.provenance.percent.typed}%</strong> typed, <strong>{analysis.provenance.percent.pasted}%</strong> pasted,{" "}
+                      <strong>{analysis.provenance.percent.composed}%</strong> IME / dictated
+                      {analysis.provenance.percent.other + analysis.provenance.percent.unrecorded > 0 &&
+                        `, ${(analysis.provenance.percent.other + analysis.provenance.percent.unrecorded).toFixed(1)}% other`}
+                    </div>
+                    {analysis.provenance.signals.map((sig) => (
+                      <div key={sig.kind} style={{ color: sig.severity === "warn" ? "#b42318" : "#64748b" }}>
+                        {sig.severity === "warn" ? "⚠ " : "· "}
+                        {sig.message}
+                      </div>
+                    ))}
+                  </>
+                )}
+                <div style={{ marginTop: 6, color: "#64748b" }}>Pauses over {analysis.thresholds.pauseMs} ms</div>
+                {PAUSE_KINDS.map(([key, label]) => (
+                  <div key={key}>
+                    {label}: <strong>{analysis.pauseTaxonomy[key].count}</strong> ({formatSeconds(analysis.pauseTaxonomy[key].totalMs)})
+                  </div>
+                ))}
+              </>
+            )}
           </div>
         ) : (
           <div style={{ marginTop: 8, fontSize: 13, color: "#64748b" }}>No analysis run yet.</div>
         )}
       </div>
 
+      <div style={boxStyle}>
+        <h3 style={headerStyle}>Bursts</h3>
+        {!analysis || !analysis.burstSegments || analysis.burstSegments.length === 0 ? (
+          <div style={{ marginTop: 8, fontSize: 13, color: "#64748b" }}>Run the analysis to segment the session.</div>
+        ) : (
+          <>
+            <div style={{ marginTop: 6, fontSize: 12, color: "#64748b" }}>
+              {analysis.pBursts} P-bursts (pause over {analysis.thresholds.pBurstPauseMs} ms) · {analysis.rBursts} R-bursts (ended by a revision)
+            </div>
+            <ol style={{ margin: "8px 0 0 0", padding: 0, listStyle: "none", maxHeight: 220, overflowY: "auto", fontSize: 13 }}>
+              {analysis.burstSegments.map((b, i) => (
+                <li key={i} style={{ display: "flex", gap: 8, alignItems: "baseline", padding: "4px 0", borderTop: i > 0 ? "1px solid #f1f5f9" : "none" }}>
+                  <span
+                    title={`ended by ${b.endedBy}`}
+                    style={{ flex: "0 0 auto", fontWeight: 700, fontSize: 11, padding: "1px 6px", borderRadius: 6, color: "#fff", background: b.kind === "R" ? "#4f46e5" : "#f58529" }}
+                  >
+                    {b.kind}
+                  </span>
+                  <span style={{ flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={b.text}>
+                    {b.text.replace(/\s+/g, " ")}
+                  </span>
+                  <span style={{ flex: "0 0 auto", color: "#64748b", fontSize: 12 }}>
+                    {formatSeconds(b.startMs)}–{formatSeconds(b.endMs)} · {b.chars} ch · {b.docStart == null ? "deleted" : `@${b.docStart}`}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+
+      <div style={boxStyle}>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <h3 style={headerStyle}>Sentences &amp; Paragraphs</h3>
+          <select value={segmentLevel} onChange={(e) => setSegmentLevel(e.target.value)} style={{ fontSize: 12 }}>
+            <option value="sentences">Sentences</option>
+            <option value="paragraphs">Paragraphs</option>
+          </select>
+        </div>
+        {sortedSegments.length === 0 ? (
+          <div style={{ marginTop: 8, fontSize: 13, color: "#64748b" }}>No text yet.</div>
+        ) : (
+          <div style={{ marginTop: 8, maxHeight: 260, overflowY: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+              <thead>
+                <tr>
+                  {SEGMENT_COLUMNS.map(([key, label]) => (
+                    <th
+                      key={key}
+                      onClick={() => sortSegmentsBy(key)}
+                      style={{ position: "sticky", top: 0, background: "#fff", textAlign: key === "text" ? "left" : "right", padding: "4px 6px", cursor: "pointer", whiteSpace: "nowrap", borderBottom: "1px solid #e6e9ef" }}
+                    >
+                      {label}
+                      {segmentSort.key === key ? (segmentSort.dir > 0 ? " ▲" : " ▼") : ""}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedSegments.map((seg) => (
+                  <tr key={seg.start} style={{ borderTop: "1px solid #f1f5f9" }}>
+                    <td style={{ textAlign: "right", padding: "4px 6px", color: "#64748b" }}>{seg.index + 1}</td>
+                    <td style={{ padding: "4px 6px", maxWidth: 150, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={seg.text}>
+                      {seg.text}
+                    </td>
+                    <td style={{ textAlign: "right", padding: "4px 6px" }}>{formatSeconds(seg.composeMs)}</td>
+                    <td style={{ textAlign: "right", padding: "4px 6px" }}>{seg.revisions}</td>
+                    <td style={{ textAlign: "right", padding: "4px 6px" }}>{formatSeconds(seg.longestPauseMs)}</td>
+                    <td style={{ textAlign: "right", padding: "4px 6px" }}>{seg.pasted ? "yes" : seg.pastedChars > 0 ? "part" : ""}</td>
+                    <td style={{ textAlign: "right", padding: "4px 6px" }}>
+                      {seg.tone !== 0 && <span style={{ backgroundColor: scoreToColor(seg.tone), borderRadius: 4, padding: "0 4px" }}>{seg.tone > 0 ? `+${seg.tone.toFixed(2)}` : seg.tone.toFixed(2)}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div style={boxStyle}>
+        <h3 style={headerStyle}>Emotional Arc</h3>
+        {arc.length === 0 ? (
+          <div style={{ marginTop: 8, fontSize: 13, color: "#64748b" }}>No text yet.</div>
+        ) : (
+          <>
+            <div style={{ position: "relative", width: "100%", height: 120, display: "flex", alignItems: "flex-end", gap: 2, marginTop: 8 }}>
+              {arc.map((b) => (
+                <div
+                  key={b.start}
+                  style={{ flex: 1, height: "100%", display: "flex", flexDirection: "column-reverse" }}
+                  title={`${b.dominant || "no emotion"} · arousal ${b.arousal} · valence ${b.valence} · ${b.words} words`}
+                >
+                  {EMOTIONS.filter((e) => b.density[e] > 0).map((e) => (
+                    <div key={e} style={{ height: `${(b.density[e] / arcPeak) * 100}%`, background: EMOTION_COLORS[e] }} />
+                  ))}
+                </div>
+              ))}
+              {/* mean sentiment of each stretch, -1 at the bottom … +1 at the top */}
+              <svg viewBox={`0 0 ${arc.length} 2`} preserveAspectRatio="none" style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none" }}>
+                <line x1="0" y1="1" x2={arc.length} y2="1" stroke="#cbd5e1" strokeWidth="1" vectorEffect="non-scaling-stroke" strokeDasharray="3 3" />
+                <polyline
+                  points={arc.map((b, i) => `${i + 0.5},${1 - b.valence}`).join(" ")}
+                  fill="none"
+                  stroke="#0f172a"
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </svg>
+            </div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "4px 10px", marginTop: 6, fontSize: 11, color: "#475569" }}>
+              {EMOTIONS.map((e) => (
+                <span key={e}>
+                  <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: 2, background: EMOTION_COLORS[e], marginRight: 3 }} />
+                  {e}
+                </span>
+              ))}
+              <span>— valence</span>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div style={boxStyle}>
+        <h3 style={headerStyle}>Readability &amp; Style</h3>
+        {readability.document.words === 0 ? (
+          <div style={{ marginTop: 8, fontSize: 13, color: "#64748b" }}>No text yet.</div>
+        ) : (
+          <>
+            <div style={{ marginTop: 8, fontSize: 13, lineHeight: 1.5 }}>
+              <div>
+                Flesch reading ease: <strong>{readability.document.fleschReadingEase}</strong> · grade <strong>{readability.document.fleschKincaidGrade}</strong> · fog{" "}
+                <strong>{readability.document.gunningFog}</strong>
+              </div>
+              <div>
+                Sentence length: <strong>{readability.document.avgSentenceLength}</strong> words (± {readability.document.sentenceLengthStdDev})
+              </div>
+              <div>
+                Passive candidates: <strong>{readability.document.passive.length}</strong> · adverbs <strong>{(readability.document.adverbDensity * 100).toFixed(1)}%</strong> ·
+                nominalizations <strong>{(readability.document.nominalizationDensity * 100).toFixed(1)}%</strong>
+              </div>
+            </div>
+            <div style={{ marginTop: 8, maxHeight: 220, overflowY: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    {READABILITY_COLUMNS.map(([key, label, tip]) => (
+                      <th
+                        key={key}
+                        title={tip}
+                        style={{ position: "sticky", top: 0, background: "#fff", textAlign: key === "text" ? "left" : "right", padding: "4px 6px", whiteSpace: "nowrap", borderBottom: "1px solid #e6e9ef" }}
+                      >
+                        {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {readability.paragraphs.map((p) => (
+                    <tr key={p.start} style={{ borderTop: "1px solid #f1f5f9", background: hardest.has(p.index) ? "#fdf2f8" : undefined }}>
+                      <td style={{ textAlign: "right", padding: "4px 6px", color: "#64748b" }}>{p.index + 1}</td>
+                      <td style={{ padding: "4px 6px", maxWidth: 120, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={text.slice(p.start, p.end)}>
+                        {text.slice(p.start, p.end)}
+                      </td>
+                      <td style={{ textAlign: "right", padding: "4px 6px" }}>{p.fleschReadingEase}</td>
+                      <td style={{ textAlign: "right", padding: "4px 6px" }}>{p.fleschKincaidGrade}</td>
+                      <td style={{ textAlign: "right", padding: "4px 6px" }}>{p.avgSentenceLength}</td>
+                      <td style={{ textAlign: "right", padding: "4px 6px" }}>{p.passive.length}</td>
+                      <td style={{ textAlign: "right", padding: "4px 6px" }}>{p.adverbs}</td>
+                      <td style={{ textAlign: "right", padding: "4px 6px" }}>{p.nominalizations}</td>
+                      <td style={{ textAlign: "right", padding: "4px 6px", fontWeight: hardest.has(p.index) ? 700 : 400 }}>{Math.round(p.difficulty * 100)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+
       <div style={boxStyle}>
         <h3 style={headerStyle}>Typing Timeline</h3>
         <div style={{ width: "100%", height: 120, display: "flex", alignItems: "flex-end", gap: 6, marginTop: 8 }}>
@@ -227,7 +606,7 @@ export default function InfrareadDashboard(props) {
                     background: "linear-gradient(180deg,#ffd6b3,#ff8a3d)",
                     borderRadius: 4,
                   }}
-                  title={`time: ${d.time}`}
+                  title={`${d.type} (${d.size} chars) at ${d.time}`}
                 />
               );
             })
@@ -271,6 +650,25 @@ export default function InfrareadDashboard(props) {
             Run Analysis
           </button>
 
+          <button
+            className="action-btn action-warm-1"
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            style={{ padding: "8px 10px", borderRadius: 8 }}
+          >
+            Open Session
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={handleOpenFile}
+            style={{ display: "none" }}
+          />
+          {openMessage && (
+            <div style={{ fontSize: 12, color: openMessage.ok ? "#64748b" : "#b91c1c" }}>{openMessage.text}</div>
+          )}
+          {openMessage && openMessage.integrity && <IntegrityBadge integrity={openMessage.integrity} />}
+
           <button
             className="action-btn action-warm-1"
             onClick={handleDownloadReport}
@@ -279,6 +677,15 @@ export default function InfrareadDashboard(props) {
             Download Report
           </button>
 
+          <button
+            className="action-btn action-warm-1"
+            onClick={handleExportReplay}
+            disabled={editEvents(history).length === 0}
+            style={{ padding: "8px 10px", borderRadius: 8 }}
+          >
+            Export Replay
+          </button>
+
           <button
             className="action-btn action-warm-2"
             onClick={handleDownloadCSV}
@@ -0,0 +1,228 @@
+import { useMemo, useRef, useState } from "react";
+import { saveLexicon, deleteLexicon, isStorageAvailable } from "./sessionStore";
+import {
+  BUILTIN_LEXICON,
+  CUSTOM_LEXICON_ID,
+  createCustomLexicon,
+  layerEmotionLexicons,
+  layerLexicons,
+  normalizeLexiconKey,
+  parseLexicon,
+  removeLexiconWord,
+  setLexiconEmotions,
+  setLexiconWord,
+} from "./lexicons";
+import { scoreToColor } from "./autoAnnotate";
+import { EMOTIONS, EMOTION_COLORS } from "./emotions";
+
+/**
+ * LexiconPanel — the sentiment lexicons behind connotation scoring (see ./lexicons): import
+ * AFINN / NRC / JSON files, enable and reorder them (top wins), and reassign words and phrases
+ * in the writer's own lexicon: their score and, optionally, their emotions (none makes a word
+ * emotionally neutral). Changes are stored in IndexedDB next to the session library.
+ *
+ * Props:
+ * - lexicons: stored lexicons, in priority order
+ * - onChange(lexicons): the list after an import, edit, reorder or delete
+ */
+
+const COLLAPSED_WORDS = 12;
+
+function formatScore(score) {
+  return score > 0 ? `+${score.toFixed(2)}` : score.toFixed(2);
+}
+
+function formatEmotions(emotions) {
+  return emotions.length > 0 ? emotions.join(", ") : "no emotions";
+}
+
+export default function LexiconPanel({ lexicons, onChange }) {
+  const [error, setError] = useState(null);
+  const [word, setWord] = useState("");
+  const [score, setScore] = useState(0);
+  const [overrideEmotions, setOverrideEmotions] = useState(false); // otherwise the word keeps the lexicons' emotions
+  const [emotions, setEmotions] = useState([]);
+  const [showAllWords, setShowAllWords] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const custom = lexicons.find((l) => l.id === CUSTOM_LEXICON_ID) || createCustomLexicon();
+  const layered = useMemo(() => layerLexicons(lexicons), [lexicons]);
+  const key = normalizeLexiconKey(word);
+  const current = key && Object.prototype.hasOwnProperty.call(layered, key) ? layered[key] : null;
+  const layeredEmotions = useMemo(() => layerEmotionLexicons(lexicons), [lexicons]);
+  const currentEmotions = key && Object.prototype.hasOwnProperty.call(layeredEmotions, key) ? layeredEmotions[key].emotions : [];
+  const customEmotions = custom.emotionEntries || {};
+  const customWords = Object.entries(custom.entries).sort((a, b) => a[0].localeCompare(b[0]));
+  const shownWords = showAllWords ? customWords : customWords.slice(0, COLLAPSED_WORDS);
+
+  // persist `changed`, drop `removedId`, hand the new list up
+  async function update(next, changed = [], removedId = null) {
+    setError(null);
+    onChange(next);
+    if (!isStorageAvailable()) return;
+    try {
+      for (const lex of changed) await saveLexicon(lex);
+      if (removedId) await deleteLexicon(removedId);
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+  }
+
+  // swap in an edited lexicon; a new one (the custom lexicon on first use) goes on top
+  function commit(lexicon) {
+    if (lexicons.some((l) => l.id === lexicon.id)) {
+      update(
+        lexicons.map((l) => (l.id === lexicon.id ? lexicon : l)),
+        [lexicon]
+      );
+      return;
+    }
+    const next = [lexicon, ...lexicons].map((l, i) => ({ ...l, priority: i }));
+    update(next, next);
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const lexicon = parseLexicon(await file.text(), { name: file.name, priority: lexicons.length });
+      await update([...lexicons, lexicon], [lexicon]);
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message || err}`);
+    }
+  }
+
+  function toggle(lexicon) {
+    commit({ ...lexicon, enabled: lexicon.enabled === false });
+  }
+
+  // swap with the neighbour and renumber, so priorities stay 0, 1, 2 … in list order
+  function move(index, dir) {
+    const list = [...lexicons];
+    const other = index + dir;
+    if (other < 0 || other >= list.length) return;
+    [list[index], list[other]] = [list[other], list[index]];
+    const next = list.map((l, i) => ({ ...l, priority: i }));
+    update(next, next);
+  }
+
+  function remove(lexicon) {
+    if (typeof window !== "undefined" && !window.confirm(`Remove the lexicon "${lexicon.name}"?`)) return;
+    update(
+      lexicons.filter((l) => l.id !== lexicon.id),
+      [],
+      lexicon.id
+    );
+  }
+
+  function assignWord() {
+    if (!key) return;
+    commit(setLexiconEmotions(setLexiconWord(custom, key, score), key, overrideEmotions ? emotions : null));
+    setWord("");
+    setScore(0);
+    setOverrideEmotions(false);
+    setEmotions([]);
+  }
+
+  function toggleEmotion(emotion, on) {
+    setEmotions((prev) => (on ? [...prev.filter((e) => e !== emotion), emotion] : prev.filter((e) => e !== emotion)));
+  }
+
+  function unassignWord(w) {
+    commit(removeLexiconWord(custom, w));
+  }
+
+  return (
+    <div className="lexicon-panel">
+      <div className="session-library-header">
+        <strong>Lexicons</strong>
+        <button className="secondary-btn" onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+          Import…
+        </button>
+        <input ref={fileInputRef} type="file" accept=".txt,.tsv,.csv,.json,.lex" style={{ display: "none" }} onChange={handleImport} />
+      </div>
+      <div className="session-library-empty">AFINN, NRC, word/score lists or JSON. Higher in the list wins.</div>
+      {error && <div className="session-library-empty lexicon-error">{error}</div>}
+
+      <ul className="session-list">
+        {lexicons.map((l, i) => (
+          <li key={l.id} className="session-item">
+            <label className="session-name">
+              <input type="checkbox" checked={l.enabled !== false} onChange={() => toggle(l)} /> {l.name}
+            </label>
+            <div className="session-meta">
+              {Object.keys(l.entries).length} words · {l.format}
+            </div>
+            <div className="session-actions">
+              <button className="small-remove" onClick={() => move(i, -1)} disabled={i === 0}>
+                ↑
+              </button>
+              <button className="small-remove" onClick={() => move(i, 1)} disabled={i === lexicons.length - 1}>
+                ↓
+              </button>
+              <button className="small-remove" onClick={() => remove(l)}>
+                Remove
+              </button>
+            </div>
+          </li>
+        ))}
+        <li className="session-item">
+          <div className="session-name">{BUILTIN_LEXICON.name}</div>
+          <div className="session-meta">{Object.keys(BUILTIN_LEXICON.entries).length} words · always last</div>
+        </li>
+      </ul>
+
+      <div className="lexicon-editor">
+        <strong>{custom.name}</strong>
+        <div className="lexicon-editor-row">
+          <input className="phrase-input" placeholder="word or phrase" value={word} onChange={(e) => setWord(e.target.value)} onKeyDown={(e) => e.key === "Enter" && assignWord()} />
+          <input type="range" min="-1" max="1" step="0.05" value={score} onChange={(e) => setScore(Number(e.target.value))} title="negative … neutral … positive" />
+          <span className="lexicon-score" style={{ backgroundColor: scoreToColor(score) }}>
+            {formatScore(score)}
+          </span>
+          <button className="small-remove" onClick={assignWord} disabled={!key}>
+            Set
+          </button>
+        </div>
+        <div className="lexicon-editor-row lexicon-emotions">
+          <label title="Otherwise the word keeps the emotions the lexicons give it">
+            <input type="checkbox" checked={overrideEmotions} onChange={(e) => setOverrideEmotions(e.target.checked)} /> Emotions:
+          </label>
+          {EMOTIONS.map((e) => (
+            <label key={e} className="lexicon-emotion" style={{ borderColor: EMOTION_COLORS[e] }}>
+              <input type="checkbox" disabled={!overrideEmotions} checked={overrideEmotions && emotions.includes(e)} onChange={(ev) => toggleEmotion(e, ev.target.checked)} /> {e}
+            </label>
+          ))}
+        </div>
+        {key && (
+          <div className="session-meta">
+            {current === null ? "Not in any lexicon yet." : `Currently ${formatScore(current)}.`}
+            {currentEmotions.length > 0 && ` Emotions: ${formatEmotions(currentEmotions)}.`}
+          </div>
+        )}
+        {customWords.length > 0 && (
+          <ul className="session-list">
+            {shownWords.map(([w, s]) => (
+              <li key={w} className="lexicon-word">
+                <span className="lexicon-score" style={{ backgroundColor: scoreToColor(s) }}>
+                  {formatScore(s)}
+                </span>{" "}
+                {w}
+                {customEmotions[w] && <span className="session-meta"> · {formatEmotions(customEmotions[w].emotions)}</span>}{" "}
+                <button className="small-remove" onClick={() => unassignWord(w)}>
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {customWords.length > COLLAPSED_WORDS && (
+          <button className="secondary-btn" onClick={() => setShowAllWords((v) => !v)}>
+            {showAllWords ? "Show fewer" : `Show all ${customWords.length}`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { getDailyGoal, isStorageAvailable, listProgress, setDailyGoal } from "./sessionStore";
+import { combineDays, dayKey, groupByWeek, progressCSV, shiftDay, streaks } from "./progress";
+
+/**
+ * ProgressView — writing progress across every stored session, by day or week.
+ *
+ * Props:
+ * - refreshKey: bump to reload (App bumps it when a save changed today's totals)
+ *
+ * Off screen it doesn't reload; a bump that arrives meanwhile is picked up once it scrolls into view.
+ */
+
+const CALENDAR_WEEKS = 12;
+const TABLE_ROWS = 14;
+
+function formatMinutes(ms = 0) {
+  const min = Math.round(ms / 60000);
+  if (min < 60) return `${min}m`;
+  return `${Math.floor(min / 60)}h ${min % 60}m`;
+}
+
+function downloadText(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Columns are weeks (Monday first), oldest on the left, ending with the current week.
+function calendarWeeks(today) {
+  const [y, m, d] = today.split("-").map(Number);
+  const offset = (new Date(y, m - 1, d).getDay() + 6) % 7;
+  const firstMonday = shiftDay(today, -offset - (CALENDAR_WEEKS - 1) * 7);
+  const weeks = [];
+  for (let w = 0; w < CALENDAR_WEEKS; w++) {
+    const week = [];
+    for (let k = 0; k < 7; k++) week.push(shiftDay(firstMonday, w * 7 + k));
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+export default function ProgressView({ refreshKey }) {
+  const [metas, setMetas] = useState([]);
+  const [error, setError] = useState(null);
+  const [period, setPeriod] = useState("day");
+  const [dailyGoal, setDailyGoalState] = useState(() => getDailyGoal());
+  const [visible, setVisible] = useState(typeof IntersectionObserver === "undefined");
+  const rootRef = useRef(null);
+  const loadedKeyRef = useRef(null);
+
+  useEffect(() => {
+    if (typeof IntersectionObserver === "undefined" || !rootRef.current) return;
+    const observer = new IntersectionObserver((entries) => setVisible(entries.some((e) => e.isIntersecting)));
+    observer.observe(rootRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!visible || loadedKeyRef.current === refreshKey) return;
+    if (!isStorageAvailable()) {
+      setError("Session storage is not available in this browser.");
+      return;
+    }
+    let cancelled = false;
+    listProgress()
+      .then((list) => {
+        if (cancelled) return;
+        loadedKeyRef.current = refreshKey;
+        setMetas(list);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(String(e?.message || e));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, visible]);
+
+  const today = dayKey(Date.now());
+  const days = useMemo(() => combineDays(metas), [metas]);
+  const weeks = useMemo(() => groupByWeek(days), [days]);
+  const streak = useMemo(() => streaks(days, dailyGoal, today), [days, dailyGoal, today]);
+  const byDay = useMemo(() => new Map(days.map((r) => [r.day, r])), [days]);
+  const todayRow = byDay.get(today);
+  const rows = (period === "day" ? days : weeks).slice(-TABLE_ROWS).reverse();
+  const scale = dailyGoal > 0 ? dailyGoal : Math.max(1, ...days.map((r) => r.wordsKept));
+
+  function changeDailyGoal(value) {
+    const goal = Math.max(0, Math.round(Number(value) || 0));
+    setDailyGoal(goal);
+    setDailyGoalState(goal);
+  }
+
+  if (error) {
+    return (
+      <div className="progress-view" ref={rootRef}>
+        <strong>Progress</strong>
+        <div className="session-library-empty">{error}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="progress-view" ref={rootRef}>
+      <div className="session-library-header">
+        <strong>Progress</strong>
+        <div className="progress-tools">
+          <select value={period} onChange={(e) => setPeriod(e.target.value)}>
+            <option value="day">By day</option>
+            <option value="week">By week</option>
+          </select>
+          <button className="secondary-btn" onClick={() => downloadText(progressCSV(days), "infraread-progress.csv", "text/csv")} disabled={days.length === 0}>
+            Download CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="progress-summary">
+        <span>
+          Streak <strong>{streak.current}</strong> {streak.current === 1 ? "day" : "days"} (best {streak.longest})
+        </span>
+        <label>
+          Daily goal{" "}
+          <input type="number" min="0" step="50" className="goal-input" value={dailyGoal || ""} placeholder="words" onChange={(e) => changeDailyGoal(e.target.value)} />
+        </label>
+      </div>
+
+      {dailyGoal > 0 && (
+        <div className="goal-progress" title={`${todayRow ? todayRow.wordsKept : 0} of ${dailyGoal} words kept today`}>
+          <div className="goal-progress-bar" style={{ width: `${Math.min(100, ((todayRow ? todayRow.wordsKept : 0) / dailyGoal) * 100)}%` }} />
+        </div>
+      )}
+
+      <div className="streak-calendar">
+        {calendarWeeks(today).map((week) => (
+          <div key={week[0]} className="streak-week">
+            {week.map((day) => {
+              const r = byDay.get(day);
+              const level = r ? Math.min(1, r.wordsKept / scale) : 0;
+              const met = r && (dailyGoal > 0 ? r.wordsKept >= dailyGoal : r.wordsWritten > 0);
+              return (
+                <div
+                  key={day}
+                  className={`streak-day${met ? " met" : ""}${day > today ? " future" : ""}`}
+                  style={r ? { backgroundColor: `rgba(221, 42, 123, ${(0.15 + level * 0.85).toFixed(2)})` } : undefined}
+                  title={r ? `${day}: ${r.wordsKept} words kept of ${r.wordsWritten} written, ${formatMinutes(r.activeMs)}` : day}
+                />
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="session-library-empty">No writing recorded yet.</div>
+      ) : (
+        <table className="progress-table">
+          <thead>
+            <tr>
+              <th>{period === "day" ? "Day" : "Week of"}</th>
+              <th>Written</th>
+              <th>Kept</th>
+              <th>Time</th>
+              <th>Flow</th>
+              <th>Stress</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.day || r.week}>
+                <td>{r.day || r.week}</td>
+                <td>{r.wordsWritten}</td>
+                <td>{r.wordsKept}</td>
+                <td>{formatMinutes(r.activeMs)}</td>
+                <td>
+                  <span className="index-bar" style={{ width: r.flowIndex * 0.4, background: "#f58529" }} /> {r.flowIndex.toFixed(0)}
+                </td>
+                <td>
+                  <span className="index-bar" style={{ width: r.stressIndex * 0.4, background: "#4f46e5" }} /> {r.stressIndex.toFixed(0)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
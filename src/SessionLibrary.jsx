@@ -0,0 +1,188 @@
+import { useEffect, useState } from "react";
+import { listSessions, renameSession, duplicateSession, deleteSession, setSessionGoal, isStorageAvailable } from "./sessionStore";
+
+/**
+ * SessionLibrary — lists sessions stored in IndexedDB.
+ *
+ * Props:
+ * - currentId: id of the session open in the editor (highlighted, can't be deleted from here)
+ * - refreshKey: bump to reload the list (App bumps it after every autosave)
+ * - onOpen(id): open a stored session
+ * - onNew(): start a new, empty session
+ * - onGoalChange(id, goal): a document's word goal was set (goal) or cleared (null)
+ */
+
+function formatDuration(ms = 0) {
+  const totalSec = Math.round(ms / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
+function formatDate(ts) {
+  if (!ts) return "";
+  try {
+    return new Date(ts).toLocaleString();
+  } catch (e) {
+    return String(ts);
+  }
+}
+
+export default function SessionLibrary({ currentId, refreshKey, onOpen, onNew, onGoalChange }) {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const [goalId, setGoalId] = useState(null);
+  const [goalValue, setGoalValue] = useState("");
+
+  useEffect(() => {
+    if (!isStorageAvailable()) {
+      setError("Session storage is not available in this browser.");
+      return;
+    }
+    let cancelled = false;
+    listSessions()
+      .then((list) => {
+        if (!cancelled) setSessions(list);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(String(e?.message || e));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, reloadKey]);
+
+  const reload = () => setReloadKey((k) => k + 1);
+
+  function startRename(s) {
+    setRenamingId(s.id);
+    setRenameValue(s.name);
+  }
+
+  // a failed action is reported above the list, which is reloaded either way
+  async function run(action) {
+    setError(null);
+    try {
+      await action();
+    } catch (e) {
+      setError(String(e?.message || e));
+    }
+    reload();
+  }
+
+  function commitRename() {
+    const id = renamingId;
+    setRenamingId(null);
+    if (!id || !renameValue.trim()) return;
+    run(() => renameSession(id, renameValue));
+  }
+
+  function startGoal(s) {
+    setGoalId(s.id);
+    setGoalValue(s.goal ? String(s.goal) : "");
+  }
+
+  function commitGoal() {
+    const id = goalId;
+    setGoalId(null);
+    if (!id) return;
+    run(async () => {
+      const meta = await setSessionGoal(id, goalValue);
+      if (meta && typeof onGoalChange === "function") onGoalChange(id, meta.goal);
+    });
+  }
+
+  function handleDuplicate(id) {
+    run(() => duplicateSession(id));
+  }
+
+  function handleDelete(s) {
+    if (typeof window !== "undefined" && !window.confirm(`Delete "${s.name}"? This cannot be undone.`)) return;
+    run(() => deleteSession(s.id));
+  }
+
+  return (
+    <div className="session-library">
+      <div className="session-library-header">
+        <strong>Session library</strong>
+        <button className="secondary-btn" onClick={onNew}>
+          New session
+        </button>
+      </div>
+
+      {error && <div className="session-library-empty">{error}</div>}
+      {!error && sessions.length === 0 && <div className="session-library-empty">No saved sessions yet.</div>}
+
+      <ul className="session-list">
+        {sessions.map((s) => (
+          <li key={s.id} className={`session-item${s.id === currentId ? " current" : ""}`}>
+            {renamingId === s.id ? (
+              <input
+                className="phrase-input"
+                value={renameValue}
+                autoFocus
+                onChange={(e) => setRenameValue(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") commitRename();
+                  if (e.key === "Escape") setRenamingId(null);
+                }}
+              />
+            ) : (
+              <div className="session-name">{s.name}</div>
+            )}
+            <div className="session-meta">
+              {s.mode} · {s.wordCount}
+              {s.goal ? ` / ${s.goal}` : ""} words · {formatDuration(s.durationMs)} · edited {formatDate(s.updatedAt)}
+            </div>
+            {s.goal > 0 && (
+              <div className="goal-progress" title={`${Math.round(Math.min(1, s.wordCount / s.goal) * 100)}% of ${s.goal} words`}>
+                <div className="goal-progress-bar" style={{ width: `${Math.min(100, (s.wordCount / s.goal) * 100)}%` }} />
+              </div>
+            )}
+            {goalId === s.id && (
+              <input
+                type="number"
+                min="0"
+                step="100"
+                className="goal-input"
+                placeholder="word goal"
+                value={goalValue}
+                autoFocus
+                onChange={(e) => setGoalValue(e.target.value)}
+                onBlur={commitGoal}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") commitGoal();
+                  if (e.key === "Escape") setGoalId(null);
+                }}
+              />
+            )}
+            <div className="session-actions">
+              <button className="small-remove" onClick={() => onOpen(s.id)} disabled={s.id === currentId}>
+                Open
+              </button>
+              <button className="small-remove" onClick={() => startRename(s)}>
+                Rename
+              </button>
+              <button className="small-remove" onClick={() => startGoal(s)}>
+                Goal
+              </button>
+              <button className="small-remove" onClick={() => handleDuplicate(s.id)}>
+                Duplicate
+              </button>
+              <button className="small-remove" onClick={() => handleDelete(s)} disabled={s.id === currentId}>
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -6,7 +6,7 @@ import { useState } from "react";
  * Props:
  * - textboxRef: ref to the main textarea (used to get selection and insert translation)
  * - text: whole editor text
- * - setText: setter to write back translation if user chooses to insert
+ * - setText: called with the new editor text when the user inserts the translation (App records it in the history)
  *
  * Behavior:
  * - Calls the serverless endpoint /api/translate which proxies to Google Cloud Translate
@@ -0,0 +1,116 @@
+// analysisClient — the main thread's side of ./analysisWorker.
+// Exports:
+// - createAnalysisClient(opts?) => { run(kind, payload, opts?), cancel(channel), setShared(key, value), terminate(), usesWorker() }
+// - isCancelled(error)          => whether a run() rejection only means the job was superseded
+//
+// run(kind, payload, { channel, signal }) resolves to the result of the ./analysisJobs job.
+// A job on a channel ("annotate:auto", "analysis" …) supersedes the one still pending there:
+// that one is cancelled in the worker and its promise rejects with an AbortError, as it does
+// when `signal` aborts. Callers still check that the document hasn't moved on before applying
+// a result, since a job that was already running can't be interrupted.
+//
+// Without Worker support, or when the worker fails to start, jobs run on the main thread
+// through the same job table; `opts.worker: false` forces that.
+
+import { runJob } from "./analysisJobs";
+
+function cancelledError() {
+  const e = new Error("Superseded analysis job");
+  e.name = "AbortError";
+  return e;
+}
+
+export function isCancelled(e) {
+  return Boolean(e) && e.name === "AbortError";
+}
+
+export function createAnalysisClient({ worker: useWorker = true } = {}) {
+  const pending = new Map(); // id -> { kind, payload, channel, resolve, reject }
+  const channels = new Map(); // channel -> id of its pending job
+  const shared = {};
+  let nextId = 1;
+  let worker = null;
+
+  function settle(id, fn) {
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    if (job.channel && channels.get(job.channel) === id) channels.delete(job.channel);
+    fn(job);
+  }
+
+  function runHere(id) {
+    const job = pending.get(id);
+    runJob(job.kind, job.payload, shared).then(
+      (result) => settle(id, (j) => j.resolve(result)),
+      (e) => settle(id, (j) => j.reject(e))
+    );
+  }
+
+  // the worker could not load (e.g. no module workers): carry on without it
+  function dropWorker(e) {
+    console.warn("Analysis worker unavailable, running jobs on the main thread:", e?.message || e);
+    if (worker) worker.terminate();
+    worker = null;
+    for (const id of pending.keys()) runHere(id);
+  }
+
+  if (useWorker && typeof Worker !== "undefined") {
+    try {
+      worker = new Worker(new URL("./analysisWorker.js", import.meta.url), { type: "module" });
+      worker.onmessage = (e) => {
+        const msg = e.data || {};
+        if (msg.type === "result") settle(msg.id, (j) => j.resolve(msg.result));
+        else if (msg.type === "error") settle(msg.id, (j) => j.reject(new Error(msg.message)));
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        dropWorker(e);
+      };
+    } catch (e) {
+      worker = null;
+    }
+  }
+
+  function cancelJob(id) {
+    settle(id, (j) => j.reject(cancelledError()));
+    if (worker) worker.postMessage({ type: "cancel", id });
+  }
+
+  function cancel(channel) {
+    const id = channels.get(channel);
+    if (id !== undefined) cancelJob(id);
+  }
+
+  function run(kind, payload, { channel = null, signal } = {}) {
+    if (signal && signal.aborted) return Promise.reject(cancelledError());
+    if (channel) cancel(channel);
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+      pending.set(id, { kind, payload, channel, resolve, reject });
+    });
+    if (channel) channels.set(channel, id);
+    if (signal) signal.addEventListener("abort", () => cancelJob(id), { once: true });
+    if (worker) worker.postMessage({ type: "job", id, kind, payload });
+    else runHere(id);
+    return promise;
+  }
+
+  // values are compared by identity: the layered lexicons are memoised, so they are only
+  // cloned into the worker when they actually change
+  function setShared(key, value) {
+    if (shared[key] === value) return;
+    shared[key] = value;
+    if (worker) worker.postMessage({ type: "shared", key, value });
+  }
+
+  function terminate() {
+    for (const id of [...pending.keys()]) cancelJob(id);
+    if (worker) worker.terminate();
+    worker = null;
+  }
+
+  return { run, cancel, setShared, terminate, usesWorker: () => worker !== null };
+}
+
+export default { createAnalysisClient, isCancelled };
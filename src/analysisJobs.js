@@ -0,0 +1,90 @@
+// analysisJobs — the computations the analysis worker runs (./analysisWorker), by name.
+// Exports:
+// - runJob(kind, payload, shared) => Promise of the job's result
+// - runsInWorker(provider)        => whether the "annotate" job can stand in for provider.annotate()
+// - JOBS
+//
+// The same table backs the synchronous fallback of ./analysisClient, so a job gives the same
+// result with or without a worker. Payloads and results must survive structured cloning.
+// `shared` holds values that rarely change (the layered lexicons), sent once instead of with
+// every job.
+//
+//   annotate        { providerId, text, heatMap, echoWindow } => the raw annotations of a built-in
+//                   provider that has capabilities.worker (./annotationProviders); shared: lexicon, emotionLexicon
+//   analyzeProcess  { history, opts }             => analyzeProcess() metrics (./processAnalytics)
+//   analyzeText     { text, echoWindow }          => { text, readability, repetitions, arc }: readability
+//                   (./lexicalAnalyzer), echoes (./repetition) and the emotional arc (./emotions) of the
+//                   text; shared: lexicon, emotionLexicon
+//   trackProcess    { history, caretMoves }       => { text, words, provenance, segments, graveyard }:
+//                   per-word revisions and dwell (./offsetTracker), pasted regions (./provenance),
+//                   sentence and paragraph stats with their tone (./segmentStats, ./sentiment) and the
+//                   removed passages (./editClassifier) of the history; shared: lexicon
+
+import { annotationProviders, BUILTIN_PROVIDERS } from "./annotationProviders";
+import { analyzeProcess } from "./processAnalytics";
+import { analyzeReadability } from "./lexicalAnalyzer";
+import { findRepetitions } from "./repetition";
+import { emotionalArc } from "./emotions";
+import { trackCharacters, wordStats } from "./offsetTracker";
+import { provenanceRegions } from "./provenance";
+import { segmentStats } from "./segmentStats";
+import { scorePhrase } from "./sentiment";
+import { buildGraveyard } from "./editClassifier";
+
+// The "readability" and "repetition" providers look at the same text as analyzeText right
+// after it; the last analysis is kept so each text is only worked out once.
+let lastAnalysis = null; // { text, echoWindow, readability, repetitions }
+
+function textAnalysis(text, echoWindow) {
+  if (!lastAnalysis || lastAnalysis.text !== text || lastAnalysis.echoWindow !== echoWindow) {
+    const repetitions = findRepetitions(text, echoWindow ? { windowWords: echoWindow } : {});
+    lastAnalysis = { text, echoWindow, readability: analyzeReadability(text), repetitions };
+  }
+  return lastAnalysis;
+}
+
+function withTone(segments, lexicon) {
+  return segments.map((seg) => ({ ...seg, tone: scorePhrase(seg.text, lexicon) }));
+}
+
+export const JOBS = {
+  annotate({ providerId, text, heatMap, echoWindow }, shared) {
+    const provider = annotationProviders.get(providerId);
+    if (!provider || !provider.capabilities.worker) throw new Error(`Annotation provider "${providerId}" can't run in the analysis worker`);
+    const analysis = () => textAnalysis(text, echoWindow);
+    return provider.annotate(text, { heatMap, lexicon: shared.lexicon, emotionLexicon: shared.emotionLexicon, echoWindow, analysis });
+  },
+  analyzeProcess({ history, opts }) {
+    return analyzeProcess(history, opts);
+  },
+  analyzeText({ text, echoWindow }, shared) {
+    const { readability, repetitions } = textAnalysis(text, echoWindow);
+    const arc = emotionalArc(text, { lexicon: shared.emotionLexicon, sentimentLexicon: shared.lexicon });
+    return { text, readability, repetitions, arc };
+  },
+  trackProcess({ history, caretMoves }, shared) {
+    const { text, chars } = trackCharacters(history, { caretMoves });
+    const { sentences, paragraphs } = segmentStats(text, chars);
+    return {
+      text,
+      words: wordStats(text, chars),
+      provenance: provenanceRegions(chars),
+      segments: { sentences: withTone(sentences, shared.lexicon), paragraphs: withTone(paragraphs, shared.lexicon) },
+      graveyard: buildGraveyard(history),
+    };
+  },
+};
+
+// The worker has its own copy of the registry with only the built-ins in it, so a provider
+// registered by the app runs on the main thread even if it claims the worker capability.
+export function runsInWorker(provider) {
+  return Boolean(provider && provider.capabilities.worker && BUILTIN_PROVIDERS.some((b) => b.annotate === provider.annotate));
+}
+
+export async function runJob(kind, payload, shared = {}) {
+  const job = JOBS[kind];
+  if (!job) throw new Error(`Unknown analysis job "${kind}"`);
+  return job(payload, shared);
+}
+
+export default { runJob, runsInWorker, JOBS };
@@ -0,0 +1,49 @@
+// analysisWorker — runs ./analysisJobs off the main thread, one job at a time.
+//
+// Messages in (from ./analysisClient):
+//   { type: "job", id, kind, payload }   queue a job
+//   { type: "cancel", id }               drop a queued job; a running one finishes but its result is not sent
+//   { type: "shared", key, value }       replace a shared value (lexicons) for the jobs after it
+// Messages out:
+//   { type: "result", id, result }
+//   { type: "error", id, message }
+//
+// Jobs start from a fresh task, so cancellations that arrive while one runs are seen before the
+// next one starts.
+
+import { runJob } from "./analysisJobs";
+
+const queue = [];
+const shared = {};
+let running = null; // { id, cancelled }
+
+function next() {
+  if (running) return;
+  const job = queue.shift();
+  if (!job) return;
+  const current = { id: job.id, cancelled: false };
+  running = current;
+  runJob(job.kind, job.payload, shared)
+    .then(
+      (result) => !current.cancelled && self.postMessage({ type: "result", id: job.id, result }),
+      (e) => !current.cancelled && self.postMessage({ type: "error", id: job.id, message: String(e?.message || e) })
+    )
+    .finally(() => {
+      running = null;
+      setTimeout(next, 0);
+    });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type === "job") {
+    queue.push(msg);
+    setTimeout(next, 0);
+  } else if (msg.type === "cancel") {
+    const i = queue.findIndex((j) => j.id === msg.id);
+    if (i >= 0) queue.splice(i, 1);
+    else if (running && running.id === msg.id) running.cancelled = true;
+  } else if (msg.type === "shared") {
+    shared[msg.key] = msg.value;
+  }
+};
@@ -0,0 +1,192 @@
+// annotationProviders — where automatic annotations come from, and a registry to pick them.
+// Exports:
+// - createProviderRegistry(providers?) => { register(provider) => unregister, get(id), list(), subscribe(fn) => unsubscribe }
+// - runProviders(providers, text, context, enabledIds, annotateWith?) => Promise<annotations> from every enabled provider
+// - defaultProviderIds(providers)      => ids of the providers enabled out of the box
+// - annotationProviders                => the app's registry, holding the built-in providers
+// - registerAnnotationProvider(provider) => unregister, on annotationProviders
+// - BUILTIN_PROVIDERS
+//
+// provider: { id, label, description?, priority, capabilities, defaultEnabled?, fallback?, async annotate(text, context) }
+//   id            also the `source` of every annotation it returns (./annotations)
+//   priority      where its annotations overlap another provider's, the higher one wins (user
+//                 marks are 4 and the word at the caret 3, so keep providers below 3)
+//   capabilities  { phrases: its annotations are phrase matches ({ meta: { phrase } }) that may be
+//                   found again after an edit, instead of only being moved;
+//                   remote: it calls a server, so it is only run debounced;
+//                   emotions: its annotations carry emotion vectors (./emotions);
+//                   worker: a built-in whose annotate() may run in the analysis worker
+//                     (./analysisJobs), given only serialisable context }
+//   fallback      id of a provider to run instead when annotate() rejects, unless that one is
+//                 enabled anyway
+//   annotate      resolves to annotations ({ start, end, score, color, meta, … }); source and
+//                 priority are filled in by runProviders
+// context: { heatMap, lexicon, emotionLexicon, echoWindow, signal, analysis? } — the marked phrases,
+// the layered lexicons (./lexicons), the Echoes panel's window, an AbortSignal that fires when the
+// text moved on, and in the analysis worker analysis() => { readability, repetitions } of the text,
+// shared with the panels (./analysisJobs) so it isn't worked out twice.
+//
+// In-house analyzers register themselves before the app renders, e.g. in main.jsx:
+//   registerAnnotationProvider({ id: "house-style", label: "House style", priority: 1,
+//     capabilities: { phrases: true }, annotate: async (text) => annotatePhrases(text, BANNED, "house-style") });
+
+import { autoAnnotateText, requestLLMAnnotations } from "./autoAnnotate";
+import { analyzeReadability } from "./lexicalAnalyzer";
+import { echoRanges, findRepetitions, SEVERITY_COLORS } from "./repetition";
+
+const PASSIVE_COLOR = "rgba(221, 42, 123, 0.22)";
+
+function annotationLexicons(context) {
+  return { lexicon: context.lexicon, emotionLexicon: context.emotionLexicon };
+}
+
+const repetitionsOf = (text, context) =>
+  context.analysis ? context.analysis().repetitions : findRepetitions(text, context.echoWindow ? { windowWords: context.echoWindow } : {});
+const readabilityOf = (text, context) => (context.analysis ? context.analysis().readability : analyzeReadability(text));
+
+export const BUILTIN_PROVIDERS = [
+  {
+    id: "llm",
+    label: "LLM extractor",
+    description: "Multi-word phrases scored by the server LLM (/api/extract-phrases)",
+    priority: 2,
+    capabilities: { phrases: true, remote: true, emotions: true },
+    defaultEnabled: true,
+    fallback: "auto",
+    annotate: (text, context) => requestLLMAnnotations(text, context.heatMap, annotationLexicons(context), context.signal),
+  },
+  {
+    id: "auto",
+    label: "Local lexicon",
+    description: "Keyphrases and sentiment-bearing words scored in the browser with the enabled lexicons",
+    priority: 1,
+    capabilities: { phrases: true, emotions: true, worker: true },
+    annotate: async (text, context) => autoAnnotateText(text, context.heatMap, annotationLexicons(context)),
+  },
+  {
+    id: "repetition",
+    label: "Echoes",
+    description: "Words and phrases repeated close together (see the Echoes panel)",
+    priority: 0.8,
+    capabilities: { worker: true },
+    annotate: async (text, context) =>
+      echoRanges(repetitionsOf(text, context)).map((r) => ({
+        start: r.start,
+        end: r.end,
+        score: null,
+        color: SEVERITY_COLORS[r.severity],
+        meta: { key: r.key, severity: r.severity },
+      })),
+  },
+  {
+    id: "readability",
+    label: "Passive voice",
+    description: "Passive-voice candidates from the readability analysis",
+    priority: 0.6,
+    capabilities: { worker: true },
+    annotate: async (text, context) =>
+      readabilityOf(text, context).document.passive.map((r) => ({ start: r.start, end: r.end, score: null, color: PASSIVE_COLOR, meta: { passive: r.text } })),
+  },
+];
+
+function validate(provider) {
+  if (!provider || typeof provider.id !== "string" || !provider.id) throw new Error("An annotation provider needs an id");
+  if (typeof provider.annotate !== "function") throw new Error(`Annotation provider "${provider.id}" has no annotate(text, context)`);
+  return {
+    label: provider.id,
+    priority: 1,
+    ...provider,
+    capabilities: { phrases: false, remote: false, emotions: false, worker: false, ...(provider.capabilities || {}) },
+  };
+}
+
+// list() returns the same array until the registry changes, so it can back useSyncExternalStore
+export function createProviderRegistry(providers = []) {
+  let list = [];
+  let listeners = [];
+
+  function notify() {
+    for (const fn of listeners) fn(list);
+  }
+
+  function register(provider) {
+    const entry = validate(provider);
+    list = [...list.filter((p) => p.id !== entry.id), entry].sort((a, b) => b.priority - a.priority);
+    notify();
+    return () => {
+      if (!list.includes(entry)) return;
+      list = list.filter((p) => p !== entry);
+      notify();
+    };
+  }
+
+  for (const p of providers) register(p);
+
+  return {
+    register,
+    get: (id) => list.find((p) => p.id === id) || null,
+    list: () => list,
+    subscribe(fn) {
+      listeners.push(fn);
+      return () => {
+        listeners = listeners.filter((l) => l !== fn);
+      };
+    },
+  };
+}
+
+export function defaultProviderIds(providers = []) {
+  return providers.filter((p) => p.defaultEnabled).map((p) => p.id);
+}
+
+function annotateHere(provider, text, context) {
+  return provider.annotate(text, context);
+}
+
+async function runOne(provider, text, context, annotateWith) {
+  const found = await annotateWith(provider, text, context);
+  return (Array.isArray(found) ? found : []).map((a) => ({ ...a, source: provider.id, priority: provider.priority }));
+}
+
+// Providers run side by side; one that fails is replaced by its fallback (once) or left out.
+// `annotateWith(provider, text, context)` calls annotate() — App hands the worker-capable
+// ones to ./analysisClient instead.
+export async function runProviders(providers = [], text = "", context = {}, enabledIds = [], annotateWith = annotateHere) {
+  const enabled = providers.filter((p) => enabledIds.includes(p.id));
+  const results = await Promise.all(
+    enabled.map(async (provider) => {
+      try {
+        return await runOne(provider, text, context, annotateWith);
+      } catch (e) {
+        if ((context.signal && context.signal.aborted) || (e && e.name === "AbortError")) return [];
+        const fallback = provider.fallback && providers.find((p) => p.id === provider.fallback);
+        if (!fallback || enabledIds.includes(fallback.id)) {
+          console.warn(`Annotation provider "${provider.id}" failed:`, e);
+          return [];
+        }
+        try {
+          return await runOne(fallback, text, context, annotateWith);
+        } catch (e2) {
+          console.warn(`Annotation provider "${fallback.id}" failed:`, e2);
+          return [];
+        }
+      }
+    })
+  );
+  return results.flat();
+}
+
+export const annotationProviders = createProviderRegistry(BUILTIN_PROVIDERS);
+
+export function registerAnnotationProvider(provider) {
+  return annotationProviders.register(provider);
+}
+
+export default {
+  createProviderRegistry,
+  runProviders,
+  defaultProviderIds,
+  annotationProviders,
+  registerAnnotationProvider,
+  BUILTIN_PROVIDERS,
+};
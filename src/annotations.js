@@ -0,0 +1,268 @@
+// annotations — the shared annotation model: every highlight is a range of the text.
+// Exports:
+// - createMatcher(phrases)                        => { find(text, from?, to?) => [{ start, end, index }], maxLength }
+// - annotatePhrases(text, entries, source)        => annotations for every whole-word occurrence of each entry
+// - applyEdit(annotations, edit)                  => annotations moved through a diffText() edit
+// - advanceAnnotations(state, nextText, phrases)  => { text, list } brought up to date with nextText
+// - mergeAnnotations(annotations)                 => non-overlapping annotations in text order
+// - annotationsInRange(merged, from, to)          => the merged annotations touching [from, to)
+// - segmentText(text, merged, from?, to?)         => [{ start, end, annotation | null }] covering the text
+// - phraseEntries(annotations)                    => the distinct { phrase, color, score, emotions?, arousal?, priority? } behind phrase annotations
+// - SOURCE_PRECEDENCE
+//
+// annotation: { start, end, source, score, color, meta, emotions?, arousal?, priority? }
+//   source  "user" (marked phrases, the heatMap), "live" (word at the caret), the id of an
+//           annotation provider ("llm", "auto" … see ./annotationProviders), "energy" (./heatEngine) …
+//   priority  overrides SOURCE_PRECEDENCE for this annotation (providers set their own)
+//   meta    free-form; phrase annotations carry { phrase }
+//   emotions / arousal  an emotion vector and arousal (see ./emotions), when the source knows them
+//
+// Phrase entries are { phrase, color, score?, emotions?, arousal?, priority?, meta? }; matching is case-insensitive, whole
+// words only, with one Aho–Corasick pass over the text for all phrases at once.
+//
+// Annotations follow the text through edits instead of being recomputed: applyEdit shifts the
+// ranges after an edit and trims the ones it cut into, and advanceAnnotations re-scans only
+// the text around the edit for the phrases of each source.
+
+import { diffText } from "./history";
+
+export const SOURCE_PRECEDENCE = { user: 4, live: 3, llm: 2, auto: 1 };
+
+// letters, digits and in-word punctuation; a phrase must not continue into one of these
+const WORD_CHAR = /[\p{L}\p{N}_'’-]/u;
+
+// Lowercase one UTF-16 unit at a time so offsets in the lowered text match the original.
+function lowerUnit(ch) {
+  const low = ch.toLowerCase();
+  return low.length === 1 ? low : ch;
+}
+
+function lowerUnits(str) {
+  let out = "";
+  for (let i = 0; i < str.length; i++) out += lowerUnit(str[i]);
+  return out;
+}
+
+export function createMatcher(phrases = []) {
+  const next = [new Map()];
+  const fail = [0];
+  const outputs = [[]]; // [pattern index, length] pairs ending at each node
+  let maxLength = 0;
+
+  phrases.forEach((raw, index) => {
+    const p = lowerUnits(String(raw || "").trim());
+    if (!p) return;
+    maxLength = Math.max(maxLength, p.length);
+    let node = 0;
+    for (const ch of p) {
+      let child = next[node].get(ch);
+      if (child === undefined) {
+        child = next.length;
+        next.push(new Map());
+        fail.push(0);
+        outputs.push([]);
+        next[node].set(ch, child);
+      }
+      node = child;
+    }
+    outputs[node].push([index, p.length]);
+  });
+
+  // breadth-first failure links
+  const queue = [...next[0].values()];
+  for (let q = 0; q < queue.length; q++) {
+    const node = queue[q];
+    for (const [ch, child] of next[node]) {
+      let f = fail[node];
+      while (f > 0 && !next[f].has(ch)) f = fail[f];
+      fail[child] = next[f].has(ch) && next[f].get(ch) !== child ? next[f].get(ch) : 0;
+      outputs[child] = outputs[child].concat(outputs[fail[child]]);
+      queue.push(child);
+    }
+  }
+
+  function find(text, from = 0, to = text.length) {
+    const found = [];
+    if (maxLength === 0) return found;
+    let node = 0;
+    for (let i = Math.max(0, from); i < Math.min(text.length, to); i++) {
+      const ch = lowerUnit(text[i]);
+      while (node > 0 && !next[node].has(ch)) node = fail[node];
+      node = next[node].get(ch) ?? 0;
+      for (const [index, length] of outputs[node]) {
+        const start = i - length + 1;
+        if (start < from) continue;
+        if (start > 0 && WORD_CHAR.test(text[start - 1])) continue;
+        if (i + 1 < text.length && WORD_CHAR.test(text[i + 1])) continue;
+        found.push({ start, end: i + 1, index });
+      }
+    }
+    return found;
+  }
+
+  return { find, maxLength };
+}
+
+// one matcher per phrase list, rebuilt only when the list itself changes
+const matcherCache = new WeakMap();
+function matcherFor(entries) {
+  let m = matcherCache.get(entries);
+  if (!m) {
+    m = createMatcher(entries.map((e) => e.phrase));
+    matcherCache.set(entries, m);
+  }
+  return m;
+}
+
+function toAnnotation(entry, source, start, end) {
+  const a = {
+    start,
+    end,
+    source,
+    score: typeof entry.score === "number" ? entry.score : null,
+    color: entry.color,
+    meta: { ...(entry.meta || {}), phrase: entry.phrase },
+  };
+  if (entry.emotions) {
+    a.emotions = entry.emotions;
+    a.arousal = entry.arousal ?? null;
+  }
+  if (typeof entry.priority === "number") a.priority = entry.priority;
+  return a;
+}
+
+function byStart(a, b) {
+  return a.start - b.start || b.end - a.end;
+}
+
+export function annotatePhrases(text = "", entries = [], source = "user", from = 0, to = text.length) {
+  return matcherFor(entries)
+    .find(text, from, to)
+    .map((m) => toAnnotation(entries[m.index], source, m.start, m.end))
+    .sort(byStart);
+}
+
+// `edit` is diffText(prev, next): { pos, removed, inserted }. Ranges after the edit move with
+// it, ranges around an insertion grow, and the parts of ranges that were deleted go away.
+export function applyEdit(annotations = [], edit) {
+  if (!edit) return annotations;
+  const { pos } = edit;
+  const removedEnd = pos + edit.removed.length;
+  const delta = edit.inserted.length - edit.removed.length;
+  const out = [];
+  for (const a of annotations) {
+    if (a.end <= pos) out.push(a);
+    else if (a.start >= removedEnd) out.push({ ...a, start: a.start + delta, end: a.end + delta });
+    else {
+      const start = a.start < pos ? a.start : pos + edit.inserted.length;
+      const end = a.end > removedEnd ? a.end + delta : pos;
+      if (end > start) out.push({ ...a, start, end });
+    }
+  }
+  return out;
+}
+
+// `phrases` maps a source to its phrase entries, e.g. { user: heatMap, llm: [...] }. Phrase
+// annotations of those sources near the edit are dropped and found again; everything else is
+// only moved by applyEdit.
+export function advanceAnnotations(state, nextText, phrases = {}) {
+  if (!state || state.text === nextText) return state;
+  const edit = diffText(state.text, nextText);
+  let list = applyEdit(state.list, edit);
+  const sources = Object.keys(phrases).filter((s) => phrases[s] && phrases[s].length > 0);
+  if (sources.length > 0) {
+    const reach = Math.max(...sources.map((s) => matcherFor(phrases[s]).maxLength));
+    let from = Math.max(0, edit.pos - reach);
+    let to = Math.min(nextText.length, edit.pos + edit.inserted.length + reach);
+    const stale = (a) => sources.includes(a.source) && a.start < to && a.end > from;
+    for (const a of list) {
+      if (!stale(a)) continue;
+      from = Math.min(from, a.start);
+      to = Math.max(to, a.end);
+    }
+    list = list.filter((a) => !stale(a));
+    for (const s of sources) list = list.concat(annotatePhrases(nextText, phrases[s], s, from, to));
+    list.sort(byStart);
+  }
+  return { text: nextText, list };
+}
+
+function precedence(a) {
+  return a.priority ?? SOURCE_PRECEDENCE[a.source] ?? 0;
+}
+
+// Where annotations overlap, the longer one wins, then the higher priority / SOURCE_PRECEDENCE.
+export function mergeAnnotations(annotations = []) {
+  const ranked = [...annotations].sort((a, b) => b.end - b.start - (a.end - a.start) || precedence(b) - precedence(a) || a.start - b.start);
+  const kept = [];
+  for (const a of ranked) {
+    // kept stays sorted by start, so only the neighbours can overlap
+    let lo = 0;
+    let hi = kept.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (kept[mid].start < a.start) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0 && kept[lo - 1].end > a.start) continue;
+    if (lo < kept.length && kept[lo].start < a.end) continue;
+    kept.splice(lo, 0, a);
+  }
+  return kept;
+}
+
+export function annotationsInRange(merged = [], from = 0, to = Infinity) {
+  let lo = 0;
+  let hi = merged.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (merged[mid].end <= from) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < merged.length && merged[i].start < to; i++) out.push(merged[i]);
+  return out;
+}
+
+// The text between `from` and `to` cut into plain and annotated pieces, for rendering.
+export function segmentText(text = "", merged = [], from = 0, to = text.length) {
+  const out = [];
+  let i = from;
+  for (const a of annotationsInRange(merged, from, to)) {
+    const start = Math.max(a.start, from);
+    const end = Math.min(a.end, to);
+    if (start > i) out.push({ start: i, end: start, annotation: null });
+    out.push({ start, end, annotation: a });
+    i = end;
+  }
+  if (i < to) out.push({ start: i, end: to, annotation: null });
+  return out;
+}
+
+// Recover the phrase list from annotations (e.g. the ones ./autoAnnotate returned), so they can
+// be advanced through later edits with advanceAnnotations.
+export function phraseEntries(annotations = []) {
+  const seen = new Map();
+  for (const a of annotations) {
+    const phrase = a.meta && a.meta.phrase;
+    if (phrase && !seen.has(phrase.toLowerCase())) {
+      const entry = { phrase, color: a.color, score: a.score };
+      if (a.emotions) Object.assign(entry, { emotions: a.emotions, arousal: a.arousal });
+      if (typeof a.priority === "number") entry.priority = a.priority;
+      seen.set(phrase.toLowerCase(), entry);
+    }
+  }
+  return [...seen.values()];
+}
+
+export default {
+  createMatcher,
+  annotatePhrases,
+  applyEdit,
+  advanceAnnotations,
+  mergeAnnotations,
+  annotationsInRange,
+  segmentText,
+  phraseEntries,
+  SOURCE_PRECEDENCE,
+};
@@ -1,41 +1,27 @@
 // autoAnnotate — integrates LLM-based extractor (server) as an option.
 // Exports:
-// - computeConnotationScoresForWords(words)
+// - computeConnotationScoresForWords(words, lexicon?)
 // - scoreToColor(score)
-// - autoAnnotateText(text, userHeatMap)  // synchronous fallback/local annotator
-// - fetchLLMAnnotations(text)             // async: calls server /api/extract-phrases
+// - autoAnnotateText(text, userHeatMap, lexicons?)  // synchronous fallback/local annotator, "auto" annotations
+// - requestLLMAnnotations(text, userHeatMap, lexicons?, signal?) // async: calls server /api/extract-phrases, "llm"
+//                                                                 // annotations; rejects when the server fails (the
+//                                                                 // "llm" provider falls back to "auto", ./annotationProviders)
+//
+// `lexicons` is { lexicon, emotionLexicon }: layered tables from ./lexicons, the built-in ones
+// by default.
+//
+// Both return ranges of the shared annotation model (./annotations), one per occurrence of
+// each scored phrase, with meta { phrase } and, where the phrase carries any, its emotion
+// vector and arousal (./emotions). The LLM supplies its own; phrases it returns without them,
+// and all local ones, get them from the emotion lexicon.
 
 // NOTE: keep this file client-side only. The server endpoint (api/extract-phrases.js)
 // makes the external OpenAI call so your API key stays server-side.
 
 import { extractKeyPhrases } from "./keyphrase"; // optional local fallback
-
-const LEXICON = {
-  // Positive
-  happy: 0.85,
-  joy: 0.85,
-  love: 0.95,
-  excellent: 0.9,
-  good: 0.65,
-  great: 0.75,
-  success: 0.65,
-  celebrate: 0.6,
-  // Neutral
-  the: 0,
-  and: 0,
-  // Negative
-  sad: -0.85,
-  anger: -0.85,
-  angry: -0.85,
-  hate: -0.95,
-  bad: -0.6,
-  failure: -0.75,
-  worried: -0.55,
-  anxious: -0.6,
-  // Multi-word examples
-  "not good": -0.6,
-  "very happy": 0.9,
-};
+import { annotatePhrases, createMatcher } from "./annotations";
+import { contextScore, scorePhrase, scoreText } from "./sentiment";
+import { DEFAULT_AROUSAL, dominantEmotion, emotionsIn, normalizeEmotions, scoreEmotions } from "./emotions";
 
 function normalizeScore(raw) {
   if (Number.isNaN(raw) || !isFinite(raw)) return 0;
@@ -87,36 +73,45 @@ export function scoreToColor(score) {
   }
 }
 
-// Compute connotation scores for an array of words/phrases.
+// Compute connotation scores for an array of words/phrases, each read on its own (./sentiment).
 // Returns Map(lowercase -> score in [-1,1])
-export function computeConnotationScoresForWords(words) {
+export function computeConnotationScoresForWords(words, lexicon) {
   const out = new Map();
   if (!words || words.length === 0) return out;
   for (const raw of words) {
     const w = String(raw || "").trim().toLowerCase();
     if (!w) continue;
-    if (Object.prototype.hasOwnProperty.call(LEXICON, w)) {
-      out.set(w, normalizeScore(LEXICON[w]));
-      continue;
-    }
-    // Fallback: split and average known token scores
-    const parts = w.split(/\s+/).filter(Boolean);
-    let total = 0;
-    let count = 0;
-    for (const p of parts) {
-      if (Object.prototype.hasOwnProperty.call(LEXICON, p)) {
-        total += LEXICON[p];
-        count += 1;
-      }
-    }
-    const score = count > 0 ? total / count : 0;
-    out.set(w, normalizeScore(score));
+    out.set(w, normalizeScore(scorePhrase(w, lexicon)));
   }
   return out;
 }
 
-// Synchronous local annotator (fallback) — similar to before.
-export function autoAnnotateText(text = "", userHeatMap = []) {
+// emotions of the annotation's range read from the text, unless it already has some
+function withEmotions(a, emotionWords) {
+  if (a.emotions && dominantEmotion(a.emotions)) return a;
+  const { emotions, arousal } = emotionsIn(emotionWords, a.start, a.end);
+  return dominantEmotion(emotions) ? { ...a, emotions, arousal } : a;
+}
+
+// Candidates found only inside a longer one ("happy" in "not happy today") add nothing the longer
+// one doesn't already cover, so they are left out before the phrases are matched.
+function outermostPhrases(text, phrases) {
+  const found = createMatcher(phrases)
+    .find(text)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  const keep = new Set();
+  let reach = -1;
+  for (const m of found) {
+    if (m.end <= reach) continue; // inside an earlier, longer occurrence
+    keep.add(m.index);
+    reach = m.end;
+  }
+  return phrases.filter((_, i) => keep.has(i));
+}
+
+// Synchronous local annotator (fallback); works without the LLM endpoint. Each occurrence of a
+// candidate phrase is scored in its context, so "happy" in "not happy" comes out negative.
+export function autoAnnotateText(text = "", userHeatMap = [], { lexicon, emotionLexicon } = {}) {
   if (!text || typeof text !== "string") return [];
   const userSet = new Set((userHeatMap || []).map((u) => (u.phrase || "").toLowerCase()));
 
@@ -139,68 +134,66 @@ export function autoAnnotateText(text = "", userHeatMap = []) {
     candidates = Array.from(new Set(temp.map((w) => w.trim().toLowerCase()))).filter(Boolean);
   }
 
-  const scores = computeConnotationScoresForWords(candidates);
+  // every sentiment-bearing word, together with the words that modify it ("not very happy")
+  const { words } = scoreText(text, lexicon);
+  for (const w of words) {
+    if (w.valence !== 0) candidates.push(text.slice(w.from, w.end).toLowerCase());
+  }
+  // … and every emotion-bearing one
+  const { words: emotionWords } = scoreEmotions(text, emotionLexicon);
+  for (const w of emotionWords) candidates.push(text.slice(w.from, w.end).toLowerCase());
+
+  const phrases = Array.from(new Set(candidates)).filter((phrase) => phrase && !userSet.has(phrase));
+  const entries = outermostPhrases(text, phrases).map((phrase) => ({ phrase }));
   const THRESHOLD = 0.12;
   const out = [];
-  for (const phrase of candidates) {
-    if (!phrase) continue;
-    if (userSet.has(phrase)) continue;
-    const baseScore = scores.get(phrase) || 0;
-
+  for (const a of annotatePhrases(text, entries, "auto")) {
     // placement boost
-    const idx = text.toLowerCase().indexOf(phrase);
-    let posBoost = 0;
-    if (idx >= 0 && text.length > 0) {
-      const normalizedPos = idx / Math.max(1, text.length);
-      posBoost = 0.12 * (1 - normalizedPos);
-    }
-    const finalScore = normalizeScore(baseScore * (1 + posBoost));
-    if (Math.abs(finalScore) >= THRESHOLD) {
-      out.push({ phrase, color: scoreToColor(finalScore), score: finalScore });
-    }
+    const posBoost = 0.12 * (1 - a.start / Math.max(1, text.length));
+    const score = Number(normalizeScore(contextScore(words, a.start, a.end) * (1 + posBoost)).toFixed(3));
+    // phrases kept only for their emotions stay uncoloured in the connotation overlay
+    const toned = Math.abs(score) >= THRESHOLD;
+    const annotation = withEmotions({ ...a, score, color: toned ? scoreToColor(score) : "transparent" }, emotionWords);
+    if (toned || annotation.emotions) out.push(annotation);
   }
-
-  out.sort((a, b) => b.phrase.length - a.phrase.length);
   return out;
 }
 
-// Async: call server /api/extract-phrases and map to the same shape
-export async function fetchLLMAnnotations(text = "", userHeatMap = []) {
+// Async: call server /api/extract-phrases and map the phrases to annotations
+export async function requestLLMAnnotations(text = "", userHeatMap = [], lexicons = {}, signal) {
   if (!text || typeof text !== "string") return [];
-  try {
-    const resp = await fetch("/api/extract-phrases", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text, max_phrases: 30 }),
-    });
-    if (!resp.ok) {
-      // fallback to local annotator
-      return autoAnnotateText(text, userHeatMap);
-    }
-    const j = await resp.json();
-    const phrases = Array.isArray(j?.phrases) ? j.phrases : [];
-    // remove user-set phrases
-    const userSet = new Set((userHeatMap || []).map((u) => (u.phrase || "").toLowerCase()));
-    const result = phrases
-      .map((p) => {
-        const phrase = String(p.phrase || "").trim().toLowerCase();
-        const score = typeof p.score === "number" ? normalizeScore(p.score) : 0;
-        if (!phrase || userSet.has(phrase)) return null;
-        return { phrase, score, color: scoreToColor(score) };
-      })
-      .filter(Boolean);
-    // sort longer phrases first
-    result.sort((a, b) => b.phrase.length - a.phrase.length);
-    return result;
-  } catch (e) {
-    // on error, fallback to client-only annotator
-    return autoAnnotateText(text, userHeatMap);
-  }
+  const resp = await fetch("/api/extract-phrases", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, max_phrases: 30 }),
+    signal,
+  });
+  if (!resp.ok) throw new Error(`/api/extract-phrases answered ${resp.status}`);
+  const j = await resp.json();
+  const phrases = Array.isArray(j?.phrases) ? j.phrases : [];
+  // remove user-set phrases
+  const userSet = new Set((userHeatMap || []).map((u) => (u.phrase || "").toLowerCase()));
+  const result = phrases
+    .map((p) => {
+      const phrase = String(p.phrase || "").trim().toLowerCase();
+      const score = typeof p.score === "number" ? normalizeScore(p.score) : 0;
+      if (!phrase || userSet.has(phrase)) return null;
+      const entry = { phrase, score, color: scoreToColor(score) };
+      if (p.emotions && typeof p.emotions === "object") {
+        entry.emotions = normalizeEmotions(p.emotions);
+        // the server sends null for an arousal the model left out, which isn't the same as calm
+        entry.arousal = typeof p.arousal === "number" && isFinite(p.arousal) ? Math.max(0, Math.min(1, p.arousal)) : DEFAULT_AROUSAL;
+      }
+      return entry;
+    })
+    .filter(Boolean);
+  const { words: emotionWords } = scoreEmotions(text, lexicons.emotionLexicon);
+  return annotatePhrases(text, result, "llm").map((a) => withEmotions(a, emotionWords));
 }
 
 export default {
   computeConnotationScoresForWords,
   scoreToColor,
   autoAnnotateText,
-  fetchLLMAnnotations,
+  requestLLMAnnotations,
 };
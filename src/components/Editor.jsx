@@ -1,21 +1,24 @@
 import React, { useState, useEffect } from "react";
+import { analyzeTextEnergy, energyToColor } from "../lexicalAnalyzer";
 
 export default function Editor({ format }) {
   const [text, setText] = useState("");
 
-  const getEnergyColor = (word) => {
-    const energy =
-      word.length > 7 ? 0.8 : word.length > 4 ? 0.5 : 0.2; // placeholder "energy"
-    const hue = 220 - energy * 180; // blue (calm) → red (intense)
-    return `hsl(${hue}, 90%, 70%)`;
-  };
-
   const renderText = () => {
-    return text.split(/\s+/).map((word, i) => (
-      <span key={i} style={{ color: getEnergyColor(word) }}>
-        {word}{" "}
-      </span>
-    ));
+    const words = analyzeTextEnergy(text);
+    const out = [];
+    let i = 0;
+    for (const w of words) {
+      if (w.start > i) out.push(text.slice(i, w.start));
+      out.push(
+        <span key={w.start} style={{ color: energyToColor(w.energy) }}>
+          {w.word}
+        </span>
+      );
+      i = w.end;
+    }
+    if (i < text.length) out.push(text.slice(i));
+    return out;
   };
 
   return (
@@ -1,37 +1,66 @@
-import React, { useEffect, useRef } from "react";
-import { recordKeystroke } from "../engine/keystrokeRecorder";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { createKeystrokeRecorder, KeystrokeRecorder, RecordedEvent } from "../engine/keystrokeRecorder";
+import { analyzePoem } from "../poetry";
+import PoemGutter, { PoemStatus } from "./PoemGutter";
 import "../styles/editor.css";
 
 interface EditorProps {
   text: string;
   setText: (value: string) => void;
   mode: string;
+  recorder?: KeystrokeRecorder; // share a recorder with the parent; one is created otherwise
+  onEdit?: (value: string, cause: RecordedEvent | null) => void;
+  poemForm?: string; // Poem mode form, see POEM_FORMS in ../poetry; kept here when not passed
+  setPoemForm?: (form: string) => void;
 }
 
-export default function Editor({ text, setText }: EditorProps) {
+// Poem mode: unwrapped lines at a fixed height so the gutter rows line up with them
+const POEM_LINE_HEIGHT = 28;
+const POEM_PADDING = 16;
+
+export default function Editor({ text, setText, mode, recorder, onEdit, poemForm, setPoemForm }: EditorProps) {
   const editorRef = useRef<HTMLDivElement>(null);
+  const ownRecorderRef = useRef<KeystrokeRecorder | null>(null);
+  if (!recorder && !ownRecorderRef.current) ownRecorderRef.current = createKeystrokeRecorder();
+  const activeRecorder = (recorder || ownRecorderRef.current) as KeystrokeRecorder;
 
   const handleInput = () => {
     if (editorRef.current) {
       const value = editorRef.current.innerText;
+      const cause = activeRecorder.takePendingEdit();
       setText(value);
-      recordKeystroke(value);
+      if (onEdit) onEdit(value, cause);
     }
   };
 
+  useEffect(() => activeRecorder.attach(editorRef.current), [activeRecorder]);
+
   useEffect(() => {
     if (editorRef.current) {
       editorRef.current.innerText = text;
     }
   }, [text]);
 
+  const [ownForm, setOwnForm] = useState("free");
+  const form = poemForm ?? ownForm;
+  const setForm = setPoemForm ?? setOwnForm;
+  const poem = useMemo(() => (mode === "Poem" ? analyzePoem(text, form) : null), [mode, text, form]);
+
+  // the same element tree in every mode, so switching to Poem doesn't remount the editable div
   return (
-    <div
-      ref={editorRef}
-      className="editor-container bg-white rounded shadow"
-      contentEditable
-      onInput={handleInput}
-      suppressContentEditableWarning={true}
-    />
+    <div>
+      {poem && <PoemStatus poem={poem} form={form} setForm={setForm} />}
+      <div style={poem ? { display: "flex", alignItems: "flex-start" } : undefined}>
+        {poem && <PoemGutter poem={poem} lineHeight={POEM_LINE_HEIGHT} style={{ position: "static", flex: "0 0 auto", paddingTop: POEM_PADDING }} />}
+        <div
+          ref={editorRef}
+          className="editor-container bg-white rounded shadow"
+          contentEditable
+          onInput={handleInput}
+          suppressContentEditableWarning={true}
+          style={poem ? { flex: 1, whiteSpace: "pre", overflowX: "auto", lineHeight: `${POEM_LINE_HEIGHT}px`, paddingTop: POEM_PADDING } : undefined}
+        />
+      </div>
+    </div>
   );
 }
@@ -1,28 +1,179 @@
-import React, { useEffect, useState } from "react";
-import { generateHeatMap } from "../engine/heatEngine";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { generateHeatMap } from "../heatEngine";
+import { segmentText } from "../annotations";
+import { HistoryEvent, PlayerFrame, TimelinePlayer } from "../timelinePlayer";
+import { findMarkers } from "../replayMarkers";
+import "./Playback.css";
 
 interface PlaybackProps {
   text: string;
+  history: HistoryEvent[];
+  autoPlay?: boolean;
+  onClose?: () => void;
 }
 
-export default function Playback({ text }: PlaybackProps) {
-  const [displayText, setDisplayText] = useState<string>("");
+interface Marker {
+  kind: "pause" | "deletion" | "paste" | "burst";
+  index: number;
+  time: number;
+  size: number;
+  label: string;
+}
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
+const IDLE_THRESHOLD_MS = 3000;
+const IDLE_SQUASH_MS = 800;
+const MARKER_KINDS: Marker["kind"][] = ["pause", "deletion", "paste", "burst"];
+
+function formatClock(ms: number) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+// Text of the current frame with a caret and a short-lived flash on the latest edit.
+function renderFrame(frame: PlayerFrame | null, fallback: string) {
+  if (!frame || frame.index === 0) return [<span key="caret" className="playback-caret" />, fallback];
+  const { text, event: ev } = frame;
+  if (!ev || ev.type === "keyframe" || typeof ev.pos !== "number") {
+    return [text, <span key="caret" className="playback-caret" />];
+  }
+  const pos = ev.pos;
+  if (ev.type === "insert") {
+    const len = (ev.text || "").length;
+    return [
+      text.slice(0, pos),
+      <span key={`ins-${frame.index}`} className="playback-flash-insert">
+        {text.slice(pos, pos + len)}
+      </span>,
+      <span key="caret" className="playback-caret" />,
+      text.slice(pos + len),
+    ];
+  }
+  return [
+    text.slice(0, pos),
+    <span key="caret" className="playback-caret" />,
+    <span key={`del-${frame.index}`} className="playback-flash-delete">
+      {ev.text}
+    </span>,
+    text.slice(pos),
+  ];
+}
+
+export default function Playback({ text, history, autoPlay = false, onClose }: PlaybackProps) {
+  const playerRef = useRef<TimelinePlayer | null>(null);
+  const [frame, setFrame] = useState<PlayerFrame | null>(null);
+  const [speed, setSpeed] = useState(1);
+  const [compressIdle, setCompressIdle] = useState(true);
+  const markers = useMemo(() => findMarkers(history) as Marker[], [history]);
+  // read when a new history gets its player; changes are pushed into the running player below
+  const speedRef = useRef(speed);
+  const compressIdleRef = useRef(compressIdle);
+
+  useEffect(() => {
+    const player = new TimelinePlayer(history, {
+      speed: speedRef.current,
+      idleThreshold: compressIdleRef.current ? IDLE_THRESHOLD_MS : null,
+      idleDuration: IDLE_SQUASH_MS,
+    });
+    playerRef.current = player;
+    const unsubscribe = player.subscribe(setFrame);
+    setFrame(player.frame());
+    if (autoPlay) player.play();
+    return () => {
+      unsubscribe();
+      player.destroy();
+      playerRef.current = null;
+    };
+  }, [history, autoPlay]);
+
+  useEffect(() => {
+    speedRef.current = speed;
+    playerRef.current?.setSpeed(speed);
+  }, [speed]);
 
   useEffect(() => {
-    // skeleton: for now just display the text with heat simulation placeholder
-    const interval = setInterval(() => {
-      setDisplayText(text); // Replace with animated playback logic
-    }, 200);
-    return () => clearInterval(interval);
-  }, [text]);
+    compressIdleRef.current = compressIdle;
+    playerRef.current?.setIdleCompression(compressIdle ? IDLE_THRESHOLD_MS : null, IDLE_SQUASH_MS);
+  }, [compressIdle]);
+
+  const duration = frame?.duration || 0;
+  const current = frame?.time || 0;
+  const displayText = frame && frame.index > 0 ? frame.text : history.length === 0 ? text : "";
+  const heat = useMemo(() => generateHeatMap(displayText), [displayText]);
 
   return (
-    <div className="editor-container relative bg-white rounded shadow">
-      <span className="absolute top-0 left-0 text-gray-400">
-        {/* Placeholder for watercolor breathing overlay */}
-        {generateHeatMap(text)}
-      </span>
-      {displayText}
+    <div className="playback">
+      <div className="playback-text">
+        <span className="playback-energy" aria-hidden="true">
+          {segmentText(displayText, heat).map((seg) => (
+            <span key={seg.start} style={seg.annotation ? { backgroundColor: seg.annotation.color } : undefined}>
+              {displayText.slice(seg.start, seg.end)}
+            </span>
+          ))}
+        </span>
+        {renderFrame(frame, history.length === 0 ? text : "")}
+      </div>
+
+      <div className="playback-track">
+        <div className="playback-markers">
+          {markers.map((m, i) => (
+            <button
+              key={i}
+              className={`playback-marker ${m.kind}`}
+              style={{ left: `${duration > 0 ? (m.time / duration) * 100 : 0}%` }}
+              title={`${m.label} at ${formatClock(m.time)}`}
+              onClick={() => playerRef.current?.seekIndex(m.index)}
+            />
+          ))}
+        </div>
+        <input
+          className="playback-scrubber"
+          type="range"
+          min={0}
+          max={Math.max(1, duration)}
+          step={1}
+          value={current}
+          disabled={history.length === 0}
+          onChange={(e) => playerRef.current?.seek(Number(e.target.value))}
+        />
+      </div>
+
+      <div className="playback-controls">
+        <button className="action-btn action-ig" onClick={() => playerRef.current?.toggle()} disabled={history.length === 0}>
+          {frame?.playing ? "Pause" : frame && frame.index > 0 && !frame.ended ? "Resume" : "Play"}
+        </button>
+        <label className="playback-option">
+          Speed{" "}
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}×
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="playback-option" title={`Squash pauses over ${IDLE_THRESHOLD_MS / 1000}s`}>
+          <input type="checkbox" checked={compressIdle} onChange={(e) => setCompressIdle(e.target.checked)} /> Compress idle gaps
+        </label>
+        <span className="playback-clock">
+          {formatClock(current)} / {formatClock(duration)}
+        </span>
+        {onClose && (
+          <button className="secondary-btn" onClick={onClose}>
+            Back to writing
+          </button>
+        )}
+      </div>
+
+      <div className="playback-legend">
+        {MARKER_KINDS.map((k) => (
+          <span key={k} className="playback-legend-item">
+            <span className={`playback-marker ${k} static`} /> {k}
+          </span>
+        ))}
+      </div>
     </div>
   );
-}
\ No newline at end of file
+}
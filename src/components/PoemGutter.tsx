@@ -0,0 +1,109 @@
+import React, { forwardRef } from "react";
+import { PoemAnalysis, POEM_FORMS, scansion } from "../poetry";
+
+// one colour per rhyme letter, cycled
+const RHYME_COLORS = ["#dd2a7b", "#4f46e5", "#f58529", "#0e9f6e", "#8134af", "#0284c7", "#b45309", "#be123c"];
+
+export function rhymeColor(letter: string) {
+  return RHYME_COLORS[(letter.charCodeAt(0) - 65 + (letter.length - 1) * 26) % RHYME_COLORS.length];
+}
+
+interface GutterProps {
+  poem: PoemAnalysis;
+  lineHeight: number; // px, must match the editor's line height so rows line up
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+/**
+ * PoemGutter — per-line syllable count, rhyme letter and form problems beside a poem.
+ * One row per line of the text; the editor must not wrap lines for the rows to line up.
+ */
+const PoemGutter = forwardRef<HTMLDivElement, GutterProps>(function PoemGutter({ poem, lineHeight, className, style }, ref) {
+  return (
+    <div ref={ref} className={`poem-gutter ${className || ""}`} style={style} aria-hidden="true">
+      {poem.lines.map((line) => (
+        <div key={line.index} className="poem-gutter-row" style={{ height: lineHeight }}>
+          {!line.blank && (
+            <>
+              {line.problems.length > 0 && (
+                <span className="poem-flag" title={line.problems.join("\n")}>
+                  !
+                </span>
+              )}
+              <span
+                className="poem-syllables"
+                title={`${scansion(line.stress)}${line.meterFit != null ? `\n${Math.round(line.meterFit * 100)}% ${poem.meter ? poem.meter.label.toLowerCase() : ""}` : ""}`}
+              >
+                {line.syllables}
+              </span>
+              <span className="poem-rhyme" style={line.rhyme ? { color: rhymeColor(line.rhyme) } : undefined} title={line.endWord || ""}>
+                {line.rhyme || "–"}
+              </span>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+});
+
+export default PoemGutter;
+
+interface StatusProps {
+  poem: PoemAnalysis;
+  form: string;
+  setForm: (form: string) => void;
+}
+
+/**
+ * PoemStatus — form picker plus the poem's meter, rhyme scheme and form-level problems.
+ */
+export function PoemStatus({ poem, form, setForm }: StatusProps) {
+  const verses = poem.lines.filter((l) => !l.blank).length;
+  const flagged = poem.lines.filter((l) => l.problems.length > 0).length;
+  return (
+    <div className="poem-status">
+      <label>
+        Form{" "}
+        <select value={form} onChange={(e) => setForm(e.target.value)}>
+          {POEM_FORMS.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <span>
+        {verses} {verses === 1 ? "line" : "lines"}
+      </span>
+      <span>
+        Meter: <strong>{poem.meter ? `${poem.meter.label} (${Math.round(poem.meter.fit * 100)}%)` : "none detected"}</strong>
+      </span>
+      {poem.scheme && (
+        <span className="poem-scheme">
+          Rhyme:{" "}
+          {Array.from(poem.scheme).map((ch, i) =>
+            ch === " " || ch === "-" ? (
+              <span key={i}>{ch === " " ? " · " : "–"}</span>
+            ) : (
+              <strong key={i} style={{ color: rhymeColor(ch) }}>
+                {ch}
+              </strong>
+            )
+          )}
+        </span>
+      )}
+      {flagged > 0 && (
+        <span className="poem-status-warn">
+          {flagged} {flagged === 1 ? "line breaks" : "lines break"} the form
+        </span>
+      )}
+      {poem.problems.map((p) => (
+        <span key={p} className="poem-status-warn">
+          {p}
+        </span>
+      ))}
+    </div>
+  );
+}
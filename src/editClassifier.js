@@ -0,0 +1,184 @@
+// editClassifier — groups raw diff events into the edits a writer made, and keeps what they removed.
+// Exports:
+// - classifyEdits(history, opts) => [edit]
+// - buildGraveyard(history, opts) => [entry]   removed passages, newest first; `restored` once the
+//                                               Graveyard has put the passage back
+// - restorePassage(text, entry)   => { text, pos }   puts a passage back into the current text
+// - EDIT_KINDS, DEFAULT_CLASSIFIER_OPTIONS
+//
+// Edit objects:
+//   kind       "insertion" | "deletion" | "replacement" | "move" | "typo-fix"
+//   index      index of the first event in editEvents(history)
+//   time       timestamp of the first event (same clock as the history)
+//   pos        document offset where the edit happened (for a move: where the text went)
+//   from       move only: where the text was cut from
+//   removed    text taken out ("" for insertions)
+//   inserted   text put in ("" for deletions)
+//   before, after   up to contextChars of the surrounding text, as it was when the edit happened
+//
+// Backspace and forward-delete runs merge into one deletion. A deletion followed by typing at
+// the same spot is a replacement; if at most typoChars were removed right after being typed and
+// fixed straight away it is a typo fix. A cut (or a deletion) whose exact text is inserted
+// elsewhere within moveWindowMs is a move.
+
+import { editEvents } from "./history";
+
+export const EDIT_KINDS = ["insertion", "deletion", "replacement", "move", "typo-fix"];
+
+export const DEFAULT_CLASSIFIER_OPTIONS = {
+  mergeGapMs: 1500, // deletes / inserts closer than this belong to the same edit
+  typoChars: 2, // at most this many characters for a typo fix
+  typoWindowMs: 3000, // ...removed within this long of being typed
+  moveWindowMs: 120000, // cut text pasted back within this long counts as a move
+  moveMinChars: 3, // shorter matches are too likely to be coincidence
+  contextChars: 40,
+};
+
+function isPasted(ev) {
+  return ev.source === "paste" || ev.source === "drop" || ev.source === "restore" || ev.source === "translate";
+}
+
+export function classifyEdits(history = [], opts = {}) {
+  const o = { ...DEFAULT_CLASSIFIER_OPTIONS, ...opts };
+  const events = editEvents(history);
+  const edits = [];
+  let text = "";
+  let cur = null; // edit being built
+  let lastTypedAt = -Infinity; // time of the insert that ended at `lastTypedEnd`
+  let lastTypedEnd = -1;
+
+  const context = (pos, len) => ({
+    before: text.slice(Math.max(0, pos - o.contextChars), pos),
+    after: text.slice(pos + len, pos + len + o.contextChars),
+  });
+  const flush = () => {
+    if (cur) edits.push(cur);
+    cur = null;
+  };
+
+  for (let i = 0; i < events.length; i++) {
+    const ev = events[i];
+    const time = ev.time || 0;
+    const gap = cur ? time - cur.lastTime : Infinity;
+
+    if (ev.type === "delete") {
+      const len = ev.text.length;
+      const end = ev.pos + len;
+      const extendsRun = cur && cur.kind === "deletion" && gap < o.mergeGapMs && cur.source !== "cut" && ev.source !== "cut";
+      if (extendsRun && end === cur.pos) {
+        // backspace
+        cur.removed = ev.text + cur.removed;
+        cur.pos = ev.pos;
+        cur.before = text.slice(Math.max(0, ev.pos - o.contextChars), ev.pos);
+      } else if (extendsRun && ev.pos === cur.pos) {
+        // forward delete
+        cur.removed += ev.text;
+        cur.after = text.slice(end, end + o.contextChars);
+      } else {
+        flush();
+        cur = { kind: "deletion", index: i, time, pos: ev.pos, removed: ev.text, inserted: "", ...context(ev.pos, len) };
+        if (ev.source) cur.source = ev.source;
+        // removing what was just typed is the start of a possible typo fix
+        cur.fresh = end === lastTypedEnd && time - lastTypedAt <= o.typoWindowMs;
+      }
+      cur.lastTime = time;
+      text = text.slice(0, ev.pos) + text.slice(end);
+    } else if (ev.type === "insert") {
+      const len = ev.text.length;
+      if (cur && cur.kind === "deletion" && ev.pos === cur.pos && (time === cur.lastTime || gap < o.mergeGapMs) && cur.source !== "cut") {
+        const typo = cur.fresh && cur.removed.length <= o.typoChars && len <= o.typoChars + 1;
+        cur.kind = typo ? "typo-fix" : "replacement";
+        cur.inserted = ev.text;
+        cur.lastTime = time;
+      } else if (cur && cur.kind === "insertion" && ev.pos === cur.pos + cur.inserted.length && gap < o.mergeGapMs && !isPasted(ev)) {
+        cur.inserted += ev.text;
+        cur.after = text.slice(ev.pos, ev.pos + o.contextChars);
+        cur.lastTime = time;
+      } else {
+        flush();
+        cur = { kind: "insertion", index: i, time, pos: ev.pos, removed: "", inserted: ev.text, ...context(ev.pos, 0), lastTime: time };
+        if (ev.source) cur.source = ev.source;
+      }
+      text = text.slice(0, ev.pos) + ev.text + text.slice(ev.pos);
+      lastTypedAt = time;
+      lastTypedEnd = ev.pos + len;
+    }
+  }
+  flush();
+
+  pairMoves(edits, o);
+  for (const e of edits) {
+    delete e.lastTime;
+    delete e.fresh;
+  }
+  return edits;
+}
+
+// A deletion whose text reappears elsewhere as one insertion soon after becomes a move.
+function pairMoves(edits, o) {
+  for (let i = 0; i < edits.length; i++) {
+    const del = edits[i];
+    if (del.kind !== "deletion" || del.removed.length < o.moveMinChars) continue;
+    for (let j = i + 1; j < edits.length; j++) {
+      const ins = edits[j];
+      if (ins.time - del.time > o.moveWindowMs) break;
+      if (ins.kind !== "insertion" || ins.inserted !== del.removed || ins.pos === del.pos) continue;
+      ins.kind = "move";
+      ins.from = del.pos;
+      ins.removed = del.removed;
+      del.kind = null; // merged into the insertion
+      break;
+    }
+  }
+  for (let i = edits.length - 1; i >= 0; i--) {
+    if (edits[i].kind === null) edits.splice(i, 1);
+  }
+}
+
+// Every passage that left the document for good (deletions and the replaced side of
+// replacements; typo fixes and moves are not losses), newest first.
+export function buildGraveyard(history = [], opts = {}) {
+  const restored = new Set(editEvents(history).map((ev) => ev.restored).filter(Boolean));
+  return classifyEdits(history, opts)
+    .filter((e) => (e.kind === "deletion" || e.kind === "replacement") && e.removed.trim().length > 0)
+    .map((e) => ({
+      id: `${e.index}-${e.time}`,
+      kind: e.kind,
+      time: e.time,
+      pos: e.pos,
+      text: e.removed,
+      replacedBy: e.inserted,
+      before: e.before,
+      after: e.after,
+      restored: restored.has(`${e.index}-${e.time}`),
+    }))
+    .reverse();
+}
+
+// Where the passage used to sit, judged from its old neighbours; falls back to the old offset.
+function findRestorePos(text, entry) {
+  const near = (positions) => positions.sort((a, b) => Math.abs(a - entry.pos) - Math.abs(b - entry.pos))[0];
+  const all = (needle) => {
+    const out = [];
+    for (let k = text.indexOf(needle); k !== -1; k = text.indexOf(needle, k + 1)) out.push(k);
+    return out;
+  };
+  const before = (entry.before || "").slice(-20);
+  if (before.trim().length >= 3) {
+    const hits = all(before);
+    if (hits.length > 0) return near(hits.map((k) => k + before.length));
+  }
+  const after = (entry.after || "").slice(0, 20);
+  if (after.trim().length >= 3) {
+    const hits = all(after);
+    if (hits.length > 0) return near(hits);
+  }
+  return Math.max(0, Math.min(text.length, entry.pos || 0));
+}
+
+export function restorePassage(text = "", entry) {
+  const pos = findRestorePos(text, entry);
+  return { text: text.slice(0, pos) + entry.text + text.slice(pos), pos };
+}
+
+export default { classifyEdits, buildGraveyard, restorePassage, EDIT_KINDS, DEFAULT_CLASSIFIER_OPTIONS };
@@ -0,0 +1,360 @@
+// emotions — which emotions a passage carries, beyond positive / negative valence.
+// Exports:
+// - scoreEmotions(text, lexicon?)            => { emotions, arousal, words: [{ start, end, word, emotions, arousal, from }] }
+// - emotionsIn(words, start, end)            => { emotions, arousal } of [start, end) from scoreEmotions().words
+// - emotionalArc(text, opts)                 => [{ start, end, words, emotions, density, arousal, valence, dominant }]
+// - dominantEmotion(emotions)                => the strongest emotion's name, or null
+// - emotionColor(emotions, alpha?)           => overlay colour of the dominant emotion
+// - emptyEmotions() / normalizeEmotions(obj) => vectors with every emotion present, each 0 … 1
+// - EMOTIONS, EMOTION_COLORS, EMOTION_LEXICON, DEFAULT_AROUSAL
+//
+// An emotion vector has Plutchik's eight basic emotions (EMOTIONS) as keys and an intensity
+// from 0 to 1 for each; arousal (0 calm … 1 agitated) is kept alongside. Words contribute the
+// emotions the lexicon lists for them (EMOTION_LEXICON, or a layered one from ./lexicons),
+// weighted by the same intensifiers as ./sentiment. A negated word ("not afraid") contributes
+// nothing: negating an emotion doesn't make it its opposite. Over a range, each emotion's
+// intensity is its summed weight squashed with w / (w + 1), so one fearful word gives 0.5 fear.
+
+import { modifiersBefore, scoreText, tokenizeClauses } from "./sentiment";
+
+export const EMOTIONS = ["joy", "trust", "fear", "surprise", "sadness", "disgust", "anger", "anticipation"];
+
+// after Plutchik's wheel
+export const EMOTION_COLORS = {
+  joy: "#facc15",
+  trust: "#84cc16",
+  fear: "#15803d",
+  surprise: "#06b6d4",
+  sadness: "#3b82f6",
+  disgust: "#a855f7",
+  anger: "#ef4444",
+  anticipation: "#f97316",
+};
+
+// arousal of an emotion-bearing word or phrase whose arousal isn't known
+export const DEFAULT_AROUSAL = 0.5;
+
+// "word emotion,emotion arousal"
+const ENTRIES = `
+abandon fear,sadness 0.5
+abuse anger,disgust,fear,sadness 0.8
+accident fear,sadness,surprise 0.7
+ache sadness 0.4
+admire joy,trust 0.4
+adore joy,trust 0.6
+afraid fear 0.7
+agony anger,fear,sadness 0.85
+alarm fear,surprise 0.8
+alone sadness 0.3
+amazed joy,surprise 0.7
+amazing joy,surprise 0.7
+anger anger 0.85
+angry anger,disgust 0.85
+anguish fear,sadness 0.8
+anticipate anticipation 0.5
+anxious anticipation,fear 0.7
+appalled disgust,surprise 0.7
+ashamed sadness,disgust 0.5
+astonished surprise 0.75
+attack anger,fear 0.85
+await anticipation 0.45
+awe joy,surprise,fear 0.65
+awful disgust,fear,sadness 0.6
+beautiful joy,trust 0.45
+believe trust 0.35
+betray anger,disgust,sadness,surprise 0.75
+bitter anger,disgust,sadness 0.55
+blame anger,disgust 0.55
+bleed fear,sadness 0.7
+blood fear,disgust 0.65
+bliss joy 0.5
+brave trust,anticipation 0.6
+broken sadness 0.45
+calm trust 0.1
+celebrate joy,anticipation 0.7
+cheer joy,anticipation 0.65
+comfort joy,trust 0.2
+confident trust,joy 0.45
+corpse disgust,fear,sadness 0.6
+cried sadness 0.55
+cruel anger,disgust,fear 0.75
+cry sadness 0.55
+curious anticipation,surprise 0.5
+danger fear,anticipation 0.8
+dark fear,sadness 0.4
+dead fear,sadness 0.5
+death fear,sadness 0.6
+deceive anger,disgust 0.6
+delight joy 0.6
+depressed sadness 0.3
+despair fear,sadness 0.55
+destroy anger,fear,sadness 0.8
+devastated sadness,surprise 0.7
+die fear,sadness 0.6
+dirty disgust 0.45
+disappointed anger,sadness,disgust 0.45
+disgust disgust,anger 0.6
+disgusting disgust,anger 0.65
+dread fear,anticipation 0.7
+dream joy,anticipation 0.35
+eager anticipation,joy 0.65
+excited anticipation,joy,surprise 0.85
+expect anticipation 0.45
+faith trust 0.3
+faithful trust,joy 0.3
+fear fear 0.75
+filth disgust 0.5
+fled fear 0.75
+friend joy,trust 0.35
+fury anger 0.9
+funeral sadness 0.4
+furious anger,disgust 0.9
+gasp surprise,fear 0.75
+gentle joy,trust 0.15
+ghost fear 0.6
+glad joy 0.5
+gloom sadness 0.25
+gore disgust,fear 0.75
+grateful joy,trust 0.4
+grief sadness 0.5
+grim sadness,fear 0.45
+gross disgust 0.55
+guilty sadness,disgust 0.5
+happy joy,trust,anticipation 0.6
+hate anger,disgust,fear,sadness 0.8
+heartbroken sadness 0.6
+honest trust 0.3
+hope anticipation,joy,trust 0.5
+hopeful anticipation,joy,trust 0.5
+horrible anger,disgust,fear 0.7
+horror fear,disgust,surprise 0.85
+hostile anger,disgust,fear 0.75
+hug joy,trust 0.4
+hurt anger,fear,sadness 0.6
+jealous anger,disgust 0.6
+joy joy,trust 0.65
+kill anger,fear,sadness 0.9
+kiss joy,anticipation,surprise 0.6
+laugh joy,surprise 0.65
+lonely sadness,fear 0.35
+longing anticipation,sadness 0.45
+loss sadness,anger,fear 0.45
+lost fear,sadness 0.5
+love joy,trust 0.6
+loyal trust 0.3
+miracle joy,surprise,anticipation,trust 0.7
+miserable sadness,anger,disgust 0.5
+mourn sadness 0.4
+murder anger,fear,sadness,disgust,surprise 0.9
+nausea disgust 0.5
+nervous anticipation,fear 0.7
+nightmare fear 0.8
+outrage anger,disgust,surprise 0.9
+panic fear 0.9
+peace joy,trust 0.1
+pleasure joy 0.55
+promise joy,trust,anticipation 0.4
+proud joy,trust,anticipation 0.55
+rage anger 0.95
+readiness anticipation 0.5
+regret sadness 0.4
+rejoice joy 0.7
+relief joy 0.3
+rely trust 0.3
+rot disgust 0.45
+sad sadness 0.35
+safe trust,joy 0.15
+scared fear 0.75
+scream anger,fear,surprise,disgust 0.9
+secret anticipation,trust,surprise 0.45
+shame sadness,disgust,fear 0.5
+shock anger,fear,surprise 0.85
+sick disgust,sadness 0.45
+sob sadness 0.6
+soon anticipation 0.4
+sorrow sadness 0.4
+startled fear,surprise 0.8
+sudden surprise 0.7
+suddenly surprise 0.7
+surprise surprise 0.75
+suspense anticipation,fear,surprise 0.75
+sweat fear 0.55
+tears sadness 0.5
+tender joy,trust 0.25
+terrible anger,disgust,fear,sadness 0.7
+terrified fear 0.9
+terror fear 0.9
+threat anger,fear 0.75
+thrill joy,anticipation,surprise 0.85
+tremble fear 0.7
+triumph joy,anticipation 0.75
+trust trust 0.3
+ugly disgust 0.5
+unexpected surprise,anticipation 0.6
+vile disgust,anger 0.65
+violent anger,fear 0.9
+vomit disgust 0.6
+wait anticipation 0.35
+war fear,anger,sadness 0.85
+warm joy,trust 0.25
+weep sadness 0.55
+wept sadness 0.55
+welcome joy,trust 0.4
+wish anticipation 0.4
+wonder joy,surprise,anticipation 0.5
+wonderful joy,surprise 0.6
+worried anticipation,fear,sadness 0.6
+worry anticipation,fear,sadness 0.6
+wound anger,fear,sadness 0.65
+wrath anger 0.9
+yearn anticipation 0.5
+`;
+
+export const EMOTION_LEXICON = Object.fromEntries(
+  ENTRIES.trim()
+    .split("\n")
+    .map((line) => {
+      const [word, emotions, arousal] = line.trim().split(/\s+/);
+      return [word, { emotions: emotions.split(","), arousal: Number(arousal) }];
+    })
+);
+
+export function emptyEmotions() {
+  return Object.fromEntries(EMOTIONS.map((e) => [e, 0]));
+}
+
+// any { emotion: number } (e.g. from the LLM endpoint) -> a full vector clamped to 0 … 1
+export function normalizeEmotions(obj) {
+  const out = emptyEmotions();
+  if (!obj || typeof obj !== "object") return out;
+  for (const e of EMOTIONS) {
+    const v = Number(obj[e]);
+    out[e] = Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : 0;
+  }
+  return out;
+}
+
+function squash(weights) {
+  const out = emptyEmotions();
+  for (const e of EMOTIONS) out[e] = Number((weights[e] / (weights[e] + 1)).toFixed(3));
+  return out;
+}
+
+function lookup(lexicon, key) {
+  return Object.prototype.hasOwnProperty.call(lexicon, key) ? lexicon[key] : null;
+}
+
+// crude inflection fallback so "feared", "screams", "trembling" find their entries
+function findEntry(lexicon, word) {
+  const candidates = [word, word.replace(/(?:s|es|ed|d|ing|ly)$/, ""), word.replace(/(?:ed|ing)$/, "e"), word.replace(/ied$|ies$/, "y")];
+  for (const c of candidates) {
+    const entry = lookup(lexicon, c);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+export function scoreEmotions(text = "", lexicon = EMOTION_LEXICON) {
+  const src = String(text || "");
+  const tokens = tokenizeClauses(src);
+  const words = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const entry = findEntry(lexicon, tokens[i].lower);
+    if (!entry || !entry.emotions || entry.emotions.length === 0) continue;
+    const { boost, negated, from } = modifiersBefore(tokens, i);
+    if (negated) continue;
+    const weight = Math.max(0.25, 1 + boost);
+    const emotions = emptyEmotions();
+    for (const e of entry.emotions) if (e in emotions) emotions[e] = Number(weight.toFixed(3));
+    const arousal = Math.max(0, Math.min(1, (entry.arousal ?? DEFAULT_AROUSAL) + boost / 2));
+    words.push({ start: tokens[i].start, end: tokens[i].end, word: tokens[i].word, emotions, arousal: Number(arousal.toFixed(3)), from });
+  }
+  return { ...emotionsIn(words), words };
+}
+
+export function emotionsIn(words = [], start = 0, end = Infinity) {
+  const weights = emptyEmotions();
+  let arousal = 0;
+  let n = 0;
+  let lo = 0;
+  let hi = words.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (words[mid].end <= start) lo = mid + 1;
+    else hi = mid;
+  }
+  for (let i = lo; i < words.length && words[i].start < end; i++) {
+    for (const e of EMOTIONS) weights[e] += words[i].emotions[e];
+    arousal += words[i].arousal;
+    n += 1;
+  }
+  return { emotions: squash(weights), arousal: n ? Number((arousal / n).toFixed(3)) : 0 };
+}
+
+export function dominantEmotion(emotions) {
+  if (!emotions) return null;
+  let best = null;
+  for (const e of EMOTIONS) if ((emotions[e] || 0) > 0 && (!best || emotions[e] > emotions[best])) best = e;
+  return best;
+}
+
+export function emotionColor(emotions, alpha = null) {
+  const e = dominantEmotion(emotions);
+  if (!e) return "transparent";
+  const hex = EMOTION_COLORS[e];
+  const a = alpha ?? 0.25 + 0.4 * emotions[e];
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${a.toFixed(2)})`;
+}
+
+// The document cut into `buckets` stretches of about equal length (at sentence boundaries when
+// there are enough sentences). density is each emotion's words per 100 words of the stretch;
+// valence is the mean sentiment (./sentiment) of the stretch's sentences.
+export function emotionalArc(text = "", { buckets = 24, lexicon, sentimentLexicon } = {}) {
+  const src = String(text || "");
+  const { sentences, words: valenced } = scoreText(src, sentimentLexicon);
+  if (sentences.length === 0) return [];
+  const { words } = scoreEmotions(src, lexicon);
+  const count = Math.min(buckets, sentences.length);
+  const out = [];
+  for (let b = 0; b < count; b++) {
+    const first = Math.floor((b * sentences.length) / count);
+    const last = Math.floor(((b + 1) * sentences.length) / count) - 1;
+    const start = sentences[first].start;
+    const end = sentences[last].end;
+    const inside = sentences.slice(first, last + 1);
+    const wordCount = valenced.filter((w) => w.start >= start && w.end <= end).length || 1;
+    const density = emptyEmotions();
+    for (const w of words) {
+      if (w.start < start || w.end > end) continue;
+      for (const e of EMOTIONS) if (w.emotions[e] > 0) density[e] += 100 / wordCount;
+    }
+    for (const e of EMOTIONS) density[e] = Number(density[e].toFixed(2));
+    const { emotions, arousal } = emotionsIn(words, start, end);
+    out.push({
+      start,
+      end,
+      words: wordCount,
+      emotions,
+      density,
+      arousal,
+      valence: Number((inside.reduce((s, x) => s + x.score, 0) / inside.length).toFixed(3)),
+      dominant: dominantEmotion(emotions),
+    });
+  }
+  return out;
+}
+
+export default {
+  scoreEmotions,
+  emotionsIn,
+  emotionalArc,
+  dominantEmotion,
+  emotionColor,
+  emptyEmotions,
+  normalizeEmotions,
+  EMOTIONS,
+  EMOTION_COLORS,
+  EMOTION_LEXICON,
+  DEFAULT_AROUSAL,
+};
@@ -1,5 +1,233 @@
-export function recordKeystroke(currentText: string) {
-  // Here we would store timestamped events
-  // For now: console log
-  console.log("Keystroke captured:", currentText);
-}
\ No newline at end of file
+// keystrokeRecorder — listens to an editor element (textarea or contentEditable)
+// and logs what the writer did, not just what the text became.
+//
+// Usage:
+//   const recorder = createKeystrokeRecorder();
+//   const detach = recorder.attach(textareaEl);
+//   ...
+//   recorder.takePendingEdit(); // kind of the input behind the latest onChange
+//   recorder.events();          // the latest LOG_LIMIT events
+//   detach();
+
+export type RecordedKind =
+  | "type" // typed characters (incl. Enter)
+  | "compose" // IME composition committed
+  | "paste"
+  | "cut"
+  | "drop"
+  | "delete" // backspace / delete / word delete
+  | "undo"
+  | "redo"
+  | "select" // non-empty selection changed
+  | "caret"; // collapsed caret moved without editing
+
+export interface RecordedEvent {
+  kind: RecordedKind;
+  time: number; // timestamp() — same clock as history events
+  start: number; // selection start when the event happened
+  end: number; // selection end when the event happened
+  data?: string; // typed / composed text
+  size?: number; // characters pasted, cut or dropped
+  jump?: boolean; // caret moved more than one character
+  inputType?: string; // raw InputEvent.inputType
+}
+
+export interface KeystrokeRecorder {
+  attach: (el: HTMLElement | null) => () => void;
+  events: () => RecordedEvent[];
+  takePendingEdit: () => RecordedEvent | null;
+  subscribe: (fn: (ev: RecordedEvent) => void) => () => void;
+  clear: () => void;
+}
+
+const EDIT_KINDS = new Set<RecordedKind>(["type", "compose", "paste", "cut", "drop", "delete", "undo", "redo"]);
+
+// Input made right before a caret move is the cause of that move, not a jump.
+const INPUT_SETTLE_MS = 60;
+
+// The log keeps only the latest events; the session's history is the record that lasts.
+const LOG_LIMIT = 1000;
+
+// An edit the value change never followed (an empty paste, a cancelled drop) stops being the
+// cause of the next change after this long.
+const PENDING_EDIT_MS = 1000;
+
+// High-resolution wall-clock time in ms. Unlike bare performance.now() it keeps
+// increasing across page loads, so a reopened session continues its timeline.
+export function timestamp() {
+  if (typeof performance !== "undefined" && performance.now && performance.timeOrigin) {
+    return performance.timeOrigin + performance.now();
+  }
+  return Date.now();
+}
+
+// Selection offsets for a textarea/input, or character offsets inside a contentEditable.
+export function getSelectionOffsets(el: HTMLElement): { start: number; end: number } {
+  const field = el as HTMLTextAreaElement;
+  if (typeof field.selectionStart === "number") {
+    return { start: field.selectionStart, end: field.selectionEnd ?? field.selectionStart };
+  }
+  const sel = typeof window !== "undefined" ? window.getSelection() : null;
+  if (!sel || sel.rangeCount === 0) return { start: -1, end: -1 };
+  const range = sel.getRangeAt(0);
+  if (!el.contains(range.startContainer)) return { start: -1, end: -1 };
+  const pre = range.cloneRange();
+  pre.selectNodeContents(el);
+  pre.setEnd(range.startContainer, range.startOffset);
+  const start = pre.toString().length;
+  return { start, end: start + range.toString().length };
+}
+
+function kindForInputType(inputType: string): RecordedKind | null {
+  if (inputType === "historyUndo") return "undo";
+  if (inputType === "historyRedo") return "redo";
+  if (inputType === "insertFromPaste" || inputType === "insertFromPasteAsQuotation") return "paste";
+  if (inputType === "insertFromDrop") return "drop";
+  if (inputType === "deleteByCut") return "cut";
+  if (inputType === "insertCompositionText") return "compose";
+  if (inputType.startsWith("delete")) return "delete";
+  if (inputType.startsWith("insert")) return "type";
+  return null;
+}
+
+export function createKeystrokeRecorder(): KeystrokeRecorder {
+  let log: RecordedEvent[] = [];
+  let pending: RecordedEvent | null = null;
+  let listeners: Array<(ev: RecordedEvent) => void> = [];
+  let lastSel = { start: -1, end: -1 };
+  let lastInputAt = -Infinity;
+  let composing = false;
+
+  function push(ev: RecordedEvent) {
+    log.push(ev);
+    if (log.length > LOG_LIMIT) log.splice(0, log.length - LOG_LIMIT);
+    if (EDIT_KINDS.has(ev.kind)) pending = ev;
+    for (const fn of listeners) fn(ev);
+  }
+
+  function attach(el: HTMLElement | null) {
+    if (!el) return () => {};
+
+    const sel = () => getSelectionOffsets(el);
+
+    const onBeforeInput = (e: Event) => {
+      const ie = e as InputEvent;
+      const kind = kindForInputType(ie.inputType || "");
+      lastInputAt = timestamp();
+      // intermediate IME text: tag the change, log only the committed composition
+      if (kind === "compose") {
+        const { start, end } = sel();
+        pending = { kind, time: lastInputAt, start, end, data: ie.data ?? undefined, inputType: ie.inputType };
+        return;
+      }
+      // paste, cut and drop are logged by their own listeners (they know the size)
+      if (!kind || kind === "paste" || kind === "cut" || kind === "drop") return;
+      const { start, end } = sel();
+      let data = ie.data ?? undefined;
+      if (ie.inputType === "insertLineBreak" || ie.inputType === "insertParagraph") data = "\n";
+      push({ kind, time: lastInputAt, start, end, data, inputType: ie.inputType });
+    };
+
+    const onPaste = (e: Event) => {
+      const ce = e as ClipboardEvent;
+      const pasted = ce.clipboardData ? ce.clipboardData.getData("text/plain") : "";
+      const { start, end } = sel();
+      lastInputAt = timestamp();
+      push({ kind: "paste", time: lastInputAt, start, end, size: pasted.length });
+    };
+
+    const onCut = () => {
+      const { start, end } = sel();
+      lastInputAt = timestamp();
+      push({ kind: "cut", time: lastInputAt, start, end, size: Math.max(0, end - start) });
+    };
+
+    const onDrop = (e: Event) => {
+      const de = e as DragEvent;
+      const dropped = de.dataTransfer ? de.dataTransfer.getData("text/plain") : "";
+      const { start, end } = sel();
+      lastInputAt = timestamp();
+      push({ kind: "drop", time: lastInputAt, start, end, size: dropped.length });
+    };
+
+    const onCompositionStart = () => {
+      composing = true;
+    };
+
+    const onCompositionEnd = (e: Event) => {
+      composing = false;
+      const data = (e as CompositionEvent).data || "";
+      const { start, end } = sel();
+      lastInputAt = timestamp();
+      push({ kind: "compose", time: lastInputAt, start, end, data, size: data.length });
+    };
+
+    const onInput = () => {
+      lastInputAt = timestamp();
+      lastSel = sel();
+    };
+
+    const checkSelection = () => {
+      if (composing) return;
+      if (typeof document !== "undefined" && document.activeElement !== el) return;
+      const cur = sel();
+      if (cur.start < 0 || (cur.start === lastSel.start && cur.end === lastSel.end)) return;
+      const prev = lastSel;
+      lastSel = cur;
+      const t = timestamp();
+      if (t - lastInputAt < INPUT_SETTLE_MS) return;
+      if (cur.start !== cur.end) {
+        push({ kind: "select", time: t, start: cur.start, end: cur.end });
+      } else {
+        const jump = prev.start < 0 || Math.abs(cur.start - prev.start) > 1 || prev.start !== prev.end;
+        push({ kind: "caret", time: t, start: cur.start, end: cur.end, jump });
+      }
+    };
+
+    el.addEventListener("beforeinput", onBeforeInput);
+    el.addEventListener("input", onInput);
+    el.addEventListener("paste", onPaste);
+    el.addEventListener("cut", onCut);
+    el.addEventListener("drop", onDrop);
+    el.addEventListener("compositionstart", onCompositionStart);
+    el.addEventListener("compositionend", onCompositionEnd);
+    el.addEventListener("select", checkSelection);
+    el.addEventListener("keyup", checkSelection);
+    el.addEventListener("mouseup", checkSelection);
+    if (typeof document !== "undefined") document.addEventListener("selectionchange", checkSelection);
+
+    return () => {
+      el.removeEventListener("beforeinput", onBeforeInput);
+      el.removeEventListener("input", onInput);
+      el.removeEventListener("paste", onPaste);
+      el.removeEventListener("cut", onCut);
+      el.removeEventListener("drop", onDrop);
+      el.removeEventListener("compositionstart", onCompositionStart);
+      el.removeEventListener("compositionend", onCompositionEnd);
+      el.removeEventListener("select", checkSelection);
+      el.removeEventListener("keyup", checkSelection);
+      el.removeEventListener("mouseup", checkSelection);
+      if (typeof document !== "undefined") document.removeEventListener("selectionchange", checkSelection);
+    };
+  }
+
+  return {
+    attach,
+    events: () => log,
+    takePendingEdit: () => {
+      const ev = pending;
+      pending = null;
+      return ev && timestamp() - ev.time < PENDING_EDIT_MS ? ev : null;
+    },
+    subscribe: (fn) => {
+      listeners.push(fn);
+      return () => {
+        listeners = listeners.filter((l) => l !== fn);
+      };
+    },
+    clear: () => {
+      log = [];
+      pending = null;
+    },
+  };
+}
@@ -0,0 +1,172 @@
+// hashChain — tamper-evident session exports: every history event carries a SHA-256 hash of
+// itself chained to the previous event's hash, and the export is sealed with a final digest
+// over the last hash, the event count and the final text.
+// Exports:
+// - chainEvents(history, events) => events with their hashes, chained onto the end of history
+// - sealSession(doc, subtle?)    => Promise<doc with doc.integrity>; rejects when the chain isn't intact
+// - verifySession(doc, subtle?)  => Promise<{ status, ok, count, brokenAt, reason }>
+// - stripHashes(history)         => history without the per-event hashes
+// - CHAIN_VERSION, GENESIS_HASH
+//
+// Events are hashed as they are recorded (./history appendChange), not at export: sealing only
+// checks the chain that is already there and adds the seal. A history that didn't grow in this
+// app — opened from a CSV, an unsealed or altered file, or from before the chain existed — has
+// events without hashes, nothing is chained onto it, and it can't be sealed.
+//
+// status is "verified" (chain and seal intact), "broken" (brokenAt = index of the first event
+// whose hash doesn't match, or null when only the seal is wrong) or "unsealed" (no integrity
+// block). The chain shows that a file wasn't edited by hand after export; it has no secret,
+// so it can't prove who produced the file.
+//
+// No imports on purpose: api/verify-session.js loads this file directly in Node, where it
+// passes node:crypto's webcrypto.subtle.
+
+export const CHAIN_VERSION = "infraread-sha256-chain-v1";
+export const GENESIS_HASH = "0".repeat(64);
+
+function defaultSubtle() {
+  const subtle = typeof globalThis !== "undefined" && globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) throw new Error("SHA-256 is not available here (needs Web Crypto)");
+  return subtle;
+}
+
+async function sha256(subtle, str) {
+  const buf = await subtle.digest("SHA-256", new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Fixed field order, so the same event always hashes the same way.
+function canonicalEvent(ev) {
+  return JSON.stringify([ev.type ?? null, ev.pos ?? null, ev.text ?? null, ev.value ?? null, ev.time ?? null, ev.source ?? null]);
+}
+
+// Synchronous SHA-256 (FIPS 180-4), so an event can be hashed in the same call that records it.
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+function sha256Sync(str) {
+  const bytes = new TextEncoder().encode(str);
+  const blocks = Math.ceil((bytes.length + 9) / 64);
+  const data = new Uint8Array(blocks * 64);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(data.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(data.length - 4, (bytes.length * 8) >>> 0);
+  const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let b = 0; b < blocks; b++) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(b * 64 + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, bb, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & bb) ^ (a & c) ^ (bb & c))) >>> 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = bb;
+      bb = a;
+      a = (t1 + t2) >>> 0;
+    }
+    h[0] += a;
+    h[1] += bb;
+    h[2] += c;
+    h[3] += d;
+    h[4] += e;
+    h[5] += f;
+    h[6] += g;
+    h[7] += hh;
+  }
+  return Array.from(h, (x) => x.toString(16).padStart(8, "0")).join("");
+}
+
+function eventInput(prevHash, ev) {
+  return `${prevHash}\n${canonicalEvent(ev)}`;
+}
+
+function eventHash(subtle, prevHash, ev) {
+  return sha256(subtle, eventInput(prevHash, ev));
+}
+
+export function chainEvents(history = [], events = []) {
+  const last = history.length > 0 ? history[history.length - 1] : null;
+  if (last && typeof last.hash !== "string") return events; // the chain is already broken
+  let prev = last ? last.hash : GENESIS_HASH;
+  return events.map((ev) => {
+    const { hash, ...rest } = ev;
+    prev = sha256Sync(eventInput(prev, rest));
+    return { ...rest, hash: prev };
+  });
+}
+
+function sealHash(subtle, lastHash, count, text) {
+  return sha256(subtle, `${lastHash}\n${count}\n${JSON.stringify(String(text ?? ""))}`);
+}
+
+export function stripHashes(history = []) {
+  return history.map((ev) => {
+    if (!ev || ev.hash === undefined) return ev;
+    const { hash, ...rest } = ev;
+    return rest;
+  });
+}
+
+// => { last } when every event's hash matches, else { brokenAt, reason }
+async function checkChain(subtle, history) {
+  let prev = GENESIS_HASH;
+  for (let i = 0; i < history.length; i++) {
+    const { hash, ...ev } = history[i] || {};
+    const expected = await eventHash(subtle, prev, ev);
+    if (hash !== expected) {
+      const reason = hash === undefined ? `Event ${i} has no hash` : `Event ${i} was changed, or an event before it was added or removed`;
+      return { brokenAt: i, reason };
+    }
+    prev = hash;
+  }
+  return { last: prev };
+}
+
+export async function sealSession(doc, subtle = defaultSubtle()) {
+  const history = doc.history || [];
+  const chain = await checkChain(subtle, history);
+  if (chain.reason) throw new Error(`The history can't be sealed: ${chain.reason}`);
+  const seal = await sealHash(subtle, chain.last, history.length, doc.text);
+  return { ...doc, integrity: { chain: CHAIN_VERSION, algorithm: "SHA-256", count: history.length, seal } };
+}
+
+export async function verifySession(doc, subtle = defaultSubtle()) {
+  const integrity = doc && doc.integrity;
+  const history = (doc && Array.isArray(doc.history) && doc.history) || [];
+  if (!integrity || !integrity.seal) {
+    return { status: "unsealed", ok: false, count: history.length, brokenAt: null, reason: "The file has no integrity seal" };
+  }
+  if (integrity.chain !== CHAIN_VERSION) {
+    return { status: "broken", ok: false, count: history.length, brokenAt: null, reason: `Unknown chain format "${integrity.chain}"` };
+  }
+  const chain = await checkChain(subtle, history);
+  if (chain.reason) return { status: "broken", ok: false, count: history.length, brokenAt: chain.brokenAt, reason: chain.reason };
+  const prev = chain.last;
+  if (integrity.count !== history.length) {
+    return { status: "broken", ok: false, count: history.length, brokenAt: null, reason: `Sealed with ${integrity.count} events, found ${history.length}` };
+  }
+  if ((await sealHash(subtle, prev, history.length, doc.text)) !== integrity.seal) {
+    return { status: "broken", ok: false, count: history.length, brokenAt: null, reason: "The final text or the seal was changed" };
+  }
+  return { status: "verified", ok: true, count: history.length, brokenAt: null, reason: null };
+}
+
+export default { chainEvents, sealSession, verifySession, stripHashes, CHAIN_VERSION, GENESIS_HASH };
@@ -1,6 +1,23 @@
-import { analyzeTextEnergy } from "./lexicalAnalyzer";
+import { analyzeTextEnergy, energyToColor } from "./lexicalAnalyzer";
 
-export function generateHeatMap(text: string) {
-  const energies = analyzeTextEnergy(text);
-  return energies.map((e) => `${e.word} `).join("");
+// One range of the shared annotation model, see ./annotations.
+export interface Annotation {
+  start: number;
+  end: number;
+  source: string;
+  score: number | null;
+  color: string;
+  meta?: Record<string, unknown>;
+}
+
+// One "energy" annotation per word, coloured by its lexical energy; score is the energy.
+export function generateHeatMap(text: string): Annotation[] {
+  return analyzeTextEnergy(String(text || "")).map((w) => ({
+    start: w.start,
+    end: w.end,
+    source: "energy",
+    score: w.energy,
+    color: energyToColor(w.energy),
+    meta: { word: w.word },
+  }));
 }
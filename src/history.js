@@ -0,0 +1,134 @@
+// history — compact typing history built from diff events.
+// Exports:
+// - appendChange(history, prevText, nextText, time, meta)  // returns a new history with the change appended
+// - applyEvent(text, event)                          // apply one event to a text
+// - textAt(history, index)                           // rebuild the text after event `index`
+// - finalText(history)                               // text after the last event
+// - editEvents(history)                              // history without keyframes
+// - normalizeHistory(raw)                            // accepts old { value, time } snapshots too
+//
+// Event shapes:
+//   { type: "insert", pos, text, time }   // `text` was inserted at offset `pos`
+//   { type: "delete", pos, text, time }   // `text` was removed starting at offset `pos`
+//   { type: "keyframe", value, time }     // full document, written every KEYFRAME_INTERVAL edits
+//
+// Edit events may also carry `source`: the recorder kind that caused them
+// ("type", "compose", "paste", "cut", "drop", "delete", "undo", "redo"). A passage put back from
+// the graveyard is tagged source "restore" and `restored`: the id of its graveyard entry, and a
+// translation inserted from the Translator source "translate".
+//
+// A replacement (e.g. typing over a selection) is stored as a delete followed by an
+// insert with the same timestamp.
+//
+// appendChange also gives every event its `hash` in the session's hash chain (./hashChain), so
+// the chain is built as the writing happens rather than when the session is exported.
+
+import { chainEvents } from "./hashChain";
+
+export const KEYFRAME_INTERVAL = 250;
+
+// Smallest edit turning `prev` into `next`: common prefix + common suffix.
+export function diffText(prev = "", next = "") {
+  if (prev === next) return null;
+  const max = Math.min(prev.length, next.length);
+  let start = 0;
+  while (start < max && prev.charCodeAt(start) === next.charCodeAt(start)) start++;
+  let endPrev = prev.length;
+  let endNext = next.length;
+  while (endPrev > start && endNext > start && prev.charCodeAt(endPrev - 1) === next.charCodeAt(endNext - 1)) {
+    endPrev--;
+    endNext--;
+  }
+  return { pos: start, removed: prev.slice(start, endPrev), inserted: next.slice(start, endNext) };
+}
+
+export function applyEvent(text = "", ev) {
+  if (!ev) return text;
+  if (ev.type === "keyframe") return String(ev.value || "");
+  if (ev.type === "insert") return text.slice(0, ev.pos) + ev.text + text.slice(ev.pos);
+  if (ev.type === "delete") return text.slice(0, ev.pos) + text.slice(ev.pos + ev.text.length);
+  return text;
+}
+
+function editsSinceKeyframe(history) {
+  let n = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].type === "keyframe") break;
+    n++;
+  }
+  return n;
+}
+
+function changeEvents(history, prevText, nextText, time, meta) {
+  const d = diffText(prevText, nextText);
+  if (!d) return [];
+  const events = [];
+  if (d.removed) events.push({ type: "delete", pos: d.pos, text: d.removed, time, ...meta });
+  if (d.inserted) events.push({ type: "insert", pos: d.pos, text: d.inserted, time, ...meta });
+  if (editsSinceKeyframe(history) + events.length >= KEYFRAME_INTERVAL) {
+    events.push({ type: "keyframe", value: nextText, time });
+  }
+  return events;
+}
+
+export function appendChange(history = [], prevText = "", nextText = "", time = Date.now(), meta = {}) {
+  const events = changeEvents(history, prevText, nextText, time, meta);
+  return events.length > 0 ? [...history, ...chainEvents(history, events)] : history;
+}
+
+export function textAt(history = [], index = history.length - 1) {
+  if (!history || history.length === 0 || index < 0) return "";
+  const last = Math.min(index, history.length - 1);
+  let start = 0;
+  let text = "";
+  for (let i = last; i >= 0; i--) {
+    if (history[i].type === "keyframe") {
+      start = i + 1;
+      text = String(history[i].value || "");
+      break;
+    }
+  }
+  for (let i = start; i <= last; i++) text = applyEvent(text, history[i]);
+  return text;
+}
+
+export function finalText(history = []) {
+  return textAt(history, history.length - 1);
+}
+
+export function editEvents(history = []) {
+  return (history || []).filter((ev) => ev && ev.type !== "keyframe");
+}
+
+function isSnapshotHistory(raw) {
+  return raw.length > 0 && raw.every((h) => h && typeof h.type === "undefined" && typeof h.value === "string");
+}
+
+// Convert old full-text snapshots ({ value, time }) into diff events.
+export function fromSnapshots(snapshots = []) {
+  const history = [];
+  let prev = "";
+  for (const snap of snapshots) {
+    const value = String(snap.value || "");
+    history.push(...changeEvents(history, prev, value, snap.time || 0, {}));
+    prev = value;
+  }
+  return history;
+}
+
+export function normalizeHistory(raw) {
+  if (!Array.isArray(raw)) return [];
+  if (isSnapshotHistory(raw)) return fromSnapshots(raw);
+  return raw;
+}
+
+export default {
+  appendChange,
+  applyEvent,
+  diffText,
+  textAt,
+  finalText,
+  editEvents,
+  fromSnapshots,
+  normalizeHistory,
+};
@@ -1,9 +1,11 @@
 // Minimal client-side keyphrase extractor (n-gram + RAKE-like scoring).
-// Exports: extractKeyPhrases(text, opts) => [{ phrase, score, count }]
+// Exports: extractKeyPhrases(text, opts) => [{ phrase, score, count }], DEFAULT_STOPWORDS
 //
 // Lightweight, runs entirely in the browser. Tune maxN/minScore/minCount to adjust sensitivity.
+// `count` is how often the phrase occurs as written, its words separated only by whitespace; it
+// is tallied while the candidates are built, in the same single pass over the words.
 
-const DEFAULT_STOPWORDS = new Set([
+export const DEFAULT_STOPWORDS = new Set([
   "a","an","the","and","or","but","if","then","else","on","in","at","by","for","with","to","of",
   "is","are","was","were","be","been","it","this","that","these","those","as","from","i","you",
   "we","they","he","she","me","him","her","them","my","your","our","their"
@@ -13,23 +15,36 @@ function normalizeText(text) {
   return String(text || "").toLowerCase().replace(/\u2019/g, "'");
 }
 
+// words, and for each whether only whitespace separates it from the previous one
 function tokenizeWords(text) {
-  return normalizeText(text)
-    .split(/[^a-z0-9'\u00C0-\u017F]+/i)
-    .filter(Boolean);
+  const src = normalizeText(text);
+  const words = [];
+  const spaced = [];
+  let last = 0;
+  for (const m of src.matchAll(/[a-z0-9'\u00C0-\u017F]+/gi)) {
+    spaced.push(words.length > 0 && /^\s+$/.test(src.slice(last, m.index)));
+    words.push(m[0]);
+    last = m.index + m[0].length;
+  }
+  return { words, spaced };
 }
 
-function buildCandidates(words, maxN = 2, stopwords = DEFAULT_STOPWORDS) {
+function buildCandidates({ words, spaced }, maxN = 2, stopwords = DEFAULT_STOPWORDS) {
   const candidates = [];
+  const counts = new Map();
   for (let i = 0; i < words.length; i++) {
+    let contiguous = true;
     for (let n = 1; n <= maxN && i + n <= words.length; n++) {
+      if (n > 1 && !spaced[i + n - 1]) contiguous = false;
       const slice = words.slice(i, i + n);
       // skip candidate if it begins/ends with a stopword
       if (stopwords.has(slice[0]) || stopwords.has(slice[slice.length - 1])) continue;
-      candidates.push(slice.join(" "));
+      const phrase = slice.join(" ");
+      candidates.push(phrase);
+      if (contiguous) counts.set(phrase, (counts.get(phrase) || 0) + 1);
     }
   }
-  return candidates;
+  return { candidates, counts };
 }
 
 // RAKE-like scoring: compute degree/ frequency and give phrase scores.
@@ -74,18 +89,17 @@ export function extractKeyPhrases(text, opts = {}) {
   const minScore = typeof opts.minScore === "number" ? opts.minScore : 0.5;
   const minCount = opts.minCount || 1;
 
-  const words = tokenizeWords(text);
-  if (words.length === 0) return [];
+  const tokens = tokenizeWords(text);
+  if (tokens.words.length === 0) return [];
 
-  const candidates = buildCandidates(words, maxN, stopwords);
+  const { candidates, counts } = buildCandidates(tokens, maxN, stopwords);
   if (candidates.length === 0) return [];
 
-  const { phraseScores, wordFreq } = scoreWithRake(candidates);
+  const { phraseScores } = scoreWithRake(candidates);
 
   const results = [];
   for (const [phrase, score] of phraseScores.entries()) {
-    const re = new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\\]\\]/g, "\\$&")}\\b`, "gi");
-    const count = (String(text || "").match(re) || []).length;
+    const count = counts.get(phrase) || 0;
     if (count >= minCount && score >= minScore) {
       results.push({ phrase, score: Number(score.toFixed(3)), count });
     }
@@ -96,4 +110,4 @@ export function extractKeyPhrases(text, opts = {}) {
   return results;
 }
 
-export default { extractKeyPhrases };
+export default { extractKeyPhrases, DEFAULT_STOPWORDS };
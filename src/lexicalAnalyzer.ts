@@ -1,8 +1,271 @@
-export function analyzeTextEnergy(text: string) {
-  // Placeholder for narrative + cognitive scoring
-  // Returns array of word energies
-  return text.split(" ").map((word) => ({
-    word,
-    energy: Math.random(), // Replace with AI / lexical scoring
-  }));
+// lexicalAnalyzer — deterministic "energy" of every word in a text.
+//
+//   const words = analyzeTextEnergy("The door slammed. Silence!");
+//   // [{ word: "The", start: 0, end: 3, energy: 0.19, features: { … } }, …]
+//
+// Energy (0 calm … 1 intense) is a weighted mix of:
+//   rarity       rank in the bundled frequency list (./wordLists); unlisted words count as rare
+//   length       longer words carry more weight
+//   sentence     short sentences read as punchier than long ones
+//   punctuation  ! ? — … after the word or ending its sentence, and ALL-CAPS shouting
+//   sensory      concrete words of sight, sound, touch, taste, smell and bodily action
+//   position     the ends of a sentence (especially the last word) are stress positions
+// The same text always yields the same energies.
+//
+//   const report = analyzeReadability(text);
+//   // { document: TextStats, paragraphs: [TextStats & { index, start, end }] }
+//
+// Readability: Flesch reading ease, Flesch–Kincaid grade, Gunning fog, average sentence length.
+// Style: passive-voice candidates (a form of "to be"/"to get" + past participle), adverb density
+// (-ly words), nominalizations (-tion, -ment, -ness, …) and the spread of sentence lengths.
+// `difficulty` (0–1) folds these together so the hardest paragraphs can be picked out.
+// Sentences and paragraphs are split by ./segmentStats, like the process stats.
+
+import { COMMON_WORDS, SENSORY_WORDS } from "./wordLists";
+import { splitParagraphs, splitSentences } from "./segmentStats";
+
+export interface EnergyFeatures {
+  rarity: number;
+  length: number;
+  sentence: number;
+  punctuation: number;
+  sensory: number;
+  position: number;
+}
+
+export interface WordEnergy {
+  word: string;
+  start: number; // character offset in the text
+  end: number;
+  energy: number;
+  features: EnergyFeatures;
+}
+
+export const ENERGY_WEIGHTS: EnergyFeatures = {
+  rarity: 0.3,
+  length: 0.12,
+  sentence: 0.1,
+  punctuation: 0.16,
+  sensory: 0.2,
+  position: 0.12,
+};
+
+const RANK = new Map(COMMON_WORDS.map((w, i) => [w, i] as [string, number]));
+const SENSORY = new Set(SENSORY_WORDS);
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+const SENTENCE = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g;
+
+function clamp01(v: number) {
+  return Math.max(0, Math.min(1, v));
+}
+
+function normalize(word: string) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+function rarity(word: string) {
+  const rank = RANK.get(word);
+  if (rank === undefined) return 1;
+  return Math.log(rank + 2) / Math.log(COMMON_WORDS.length + 2);
+}
+
+// plural / tense endings, so "slammed" finds "slam" and "shadows" finds "shadow"
+function isSensory(word: string) {
+  if (SENSORY.has(word)) return true;
+  for (const suffix of ["s", "es", "ed", "ing", "d"]) {
+    if (word.endsWith(suffix) && SENSORY.has(word.slice(0, -suffix.length))) return true;
+  }
+  return false;
+}
+
+function punctuationAfter(text: string, end: number, sentenceEnd: string) {
+  const next = text.slice(end, end + 3);
+  let p = 0;
+  if (next.startsWith("!")) p = 1;
+  else if (next.startsWith("?")) p = 0.6;
+  else if (/^(—|--|…|\.\.\.)/.test(next)) p = 0.5;
+  else if (/^[;:]/.test(next)) p = 0.3;
+  if (sentenceEnd.includes("!")) p = Math.max(p, 0.5);
+  else if (sentenceEnd.includes("?")) p = Math.max(p, 0.3);
+  return p;
+}
+
+export function analyzeTextEnergy(text: string, weights: EnergyFeatures = ENERGY_WEIGHTS): WordEnergy[] {
+  const out: WordEnergy[] = [];
+  const src = String(text || "");
+  let m: RegExpExecArray | null;
+  SENTENCE.lastIndex = 0;
+  while ((m = SENTENCE.exec(src)) !== null) {
+    if (m[0].length === 0) {
+      SENTENCE.lastIndex += 1;
+      continue;
+    }
+    const base = m.index;
+    const body = m[0];
+    const sentenceEnd = (body.match(/[.!?…]+["'”’)\]]*$/) || [""])[0];
+    const words: RegExpExecArray[] = [];
+    let w: RegExpExecArray | null;
+    WORD.lastIndex = 0;
+    while ((w = WORD.exec(body)) !== null) words.push(w);
+    const n = words.length;
+    const sentence = n > 0 ? clamp01(1 - (n - 3) / 27) : 0; // 3 words or fewer: 1, 30+: 0
+
+    words.forEach((match, i) => {
+      const word = match[0];
+      const key = normalize(word);
+      const start = base + match.index;
+      const end = start + word.length;
+      const rel = n > 1 ? i / (n - 1) : 1;
+      const shouting = word.length > 1 && word === word.toUpperCase() && /\p{Lu}/u.test(word);
+      const features: EnergyFeatures = {
+        rarity: rarity(key),
+        length: clamp01((word.length - 3) / 9),
+        sentence,
+        punctuation: Math.max(punctuationAfter(src, end, sentenceEnd), shouting ? 1 : 0),
+        sensory: isSensory(key) ? 1 : 0,
+        position: i === n - 1 ? 1 : clamp01(Math.abs(2 * rel - 1) * 0.7),
+      };
+      let energy = 0;
+      let total = 0;
+      for (const k of Object.keys(weights) as (keyof EnergyFeatures)[]) {
+        energy += features[k] * weights[k];
+        total += weights[k];
+      }
+      out.push({ word, start, end, energy: Number((total > 0 ? energy / total : 0).toFixed(3)), features });
+    });
+  }
+  return out;
+}
+
+// blue (calm) -> red (intense), as the editor has always drawn it
+export function energyToColor(energy: number) {
+  const hue = 220 - clamp01(energy) * 180;
+  return `hsl(${Math.round(hue)}, 90%, 70%)`;
+}
+
+// ---------- readability & style ----------
+
+export interface TextRange {
+  start: number;
+  end: number;
+  text: string;
+}
+
+export interface TextStats {
+  words: number;
+  sentences: number;
+  syllables: number;
+  complexWords: number; // three syllables or more
+  avgSentenceLength: number;
+  sentenceLengthStdDev: number;
+  fleschReadingEase: number;
+  fleschKincaidGrade: number;
+  gunningFog: number;
+  passive: TextRange[];
+  adverbs: number;
+  adverbDensity: number; // adverbs / words
+  nominalizations: number;
+  nominalizationDensity: number;
+  difficulty: number;
+}
+
+export interface ParagraphStats extends TextStats {
+  index: number;
+  start: number;
+  end: number;
+}
+
+const BE_VERBS = "am|is|are|was|were|be|been|being|get|gets|got|gotten|getting";
+const IRREGULAR_PARTICIPLES =
+  "born|brought|built|bought|caught|chosen|done|drawn|driven|eaten|fallen|felt|found|forgotten|forgiven|given|gone|grown|heard|held|hidden|hit|hurt|kept|known|laid|led|left|lost|made|meant|met|paid|put|read|ridden|said|seen|sent|set|shaken|shot|shown|shut|sold|spent|spoken|stolen|struck|sung|taken|taught|thrown|told|thought|torn|understood|woken|won|worn|written";
+const PASSIVE = new RegExp(`\\b(?:${BE_VERBS})\\s+(?:\\w+ly\\s+)?(?:\\w+ed|${IRREGULAR_PARTICIPLES})\\b`, "gi");
+// -ly words that aren't adverbs
+const NOT_ADVERBS = new Set(["only", "family", "reply", "supply", "apply", "early", "holy", "ugly", "lonely", "friendly", "lovely", "likely", "daily", "july", "italy", "belly", "jelly", "fly", "ally", "rally", "silly", "bully", "curly", "jolly", "elderly", "costly", "lively", "deadly", "orderly", "monthly", "weekly", "yearly", "hourly", "assembly", "anomaly", "butterfly", "melancholy", "rely"]);
+const NOMINAL = /(?:tion|sion|ment|ness|ity|ance|ence|ism|ization)s?$/;
+
+// Spelling rules, good for most words: vowel groups, minus silent endings (-e, -es, -ed), plus
+// the vowel pairs that are usually two syllables (lion, video, actual, player). Poem mode
+// (./poetry) counts with it too, for words its dictionary doesn't know.
+export function countSyllables(word: string) {
+  const w = normalize(word).replace(/[^a-z]/g, "");
+  if (w.length === 0) return 0;
+  if (w.length <= 3) return 1;
+  const trimmed = w
+    .replace(/([^aeiouy])e(ly|ful|less|ment|ness)$/, "$1$2")
+    .replace(/([^aeiouyszxgch]|[^cs]h)es$/, "$1")
+    .replace(/([^aeiouytd])ed$/, "$1")
+    .replace(/([^aeiouyl])e$/, "$1")
+    .replace(/^y/, "");
+  const groups = trimmed.match(/[aeiouy]+/g);
+  const hiatus = trimmed.match(/[^cgstx]i[ao]|[^g]ua|[^aeiou]eo(?!p)|iet|uo|[aeiou]y[aeiou]/g);
+  return Math.max(1, (groups ? groups.length : 0) + (hiatus ? hiatus.length : 0));
+}
+
+function round1(v: number) {
+  return Math.round(v * 10) / 10;
+}
+
+function statsFor(text: string, start: number, end: number): TextStats {
+  const body = text.slice(start, end);
+  const sentenceLengths = splitSentences(body).map((sn: { start: number; end: number }) => (body.slice(sn.start, sn.end).match(WORD) || []).length);
+  const words = body.match(WORD) || [];
+  const n = words.length;
+  const sentences = Math.max(1, sentenceLengths.filter((l: number) => l > 0).length);
+  let syllables = 0;
+  let complexWords = 0;
+  let adverbs = 0;
+  let nominalizations = 0;
+  for (const w of words) {
+    const sy = countSyllables(w);
+    syllables += sy;
+    if (sy >= 3) complexWords += 1;
+    const key = normalize(w);
+    if (key.length > 4 && key.endsWith("ly") && !NOT_ADVERBS.has(key)) adverbs += 1;
+    if (key.length > 6 && NOMINAL.test(key)) nominalizations += 1;
+  }
+  const passive: TextRange[] = [];
+  PASSIVE.lastIndex = 0;
+  let m: RegExpExecArray | null;
+  while ((m = PASSIVE.exec(body)) !== null) passive.push({ start: start + m.index, end: start + m.index + m[0].length, text: m[0] });
+
+  const avg = n / sentences;
+  const variance = sentenceLengths.length > 0 ? sentenceLengths.reduce((acc: number, l: number) => acc + (l - avg) ** 2, 0) / sentenceLengths.length : 0;
+  const perWord = n > 0 ? syllables / n : 0;
+  const grade = n > 0 ? 0.39 * avg + 11.8 * perWord - 15.59 : 0;
+  const adverbDensity = n > 0 ? adverbs / n : 0;
+  const nominalizationDensity = n > 0 ? nominalizations / n : 0;
+  const difficulty =
+    0.5 * clamp01(grade / 16) + 0.2 * clamp01(passive.length / sentences) + 0.15 * clamp01(adverbDensity / 0.06) + 0.15 * clamp01(nominalizationDensity / 0.08);
+
+  return {
+    words: n,
+    sentences: n > 0 ? sentences : 0,
+    syllables,
+    complexWords,
+    avgSentenceLength: round1(n > 0 ? avg : 0),
+    sentenceLengthStdDev: round1(Math.sqrt(variance)),
+    fleschReadingEase: n > 0 ? round1(206.835 - 1.015 * avg - 84.6 * perWord) : 0,
+    fleschKincaidGrade: round1(Math.max(0, grade)),
+    gunningFog: n > 0 ? round1(0.4 * (avg + 100 * (complexWords / n))) : 0,
+    passive,
+    adverbs,
+    adverbDensity: Number(adverbDensity.toFixed(3)),
+    nominalizations,
+    nominalizationDensity: Number(nominalizationDensity.toFixed(3)),
+    difficulty: Number(difficulty.toFixed(3)),
+  };
+}
+
+export function analyzeReadability(text: string): { document: TextStats; paragraphs: ParagraphStats[] } {
+  const src = String(text || "");
+  const paragraphs = splitParagraphs(src).map((p: { start: number; end: number }, index: number) => ({ index, start: p.start, end: p.end, ...statsFor(src, p.start, p.end) }));
+  return { document: statsFor(src, 0, src.length), paragraphs };
+}
+
+// The `count` paragraphs with the highest difficulty, hardest first (only ones with real text).
+export function hardestParagraphs(paragraphs: ParagraphStats[], count = 3, minWords = 12) {
+  return paragraphs
+    .filter((p) => p.words >= minWords)
+    .sort((a, b) => b.difficulty - a.difficulty)
+    .slice(0, count);
 }
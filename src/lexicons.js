@@ -0,0 +1,264 @@
+// lexicons — sentiment lexicons beyond the built-in one: import, edit, layer.
+// Exports:
+// - parseLexicon(source, opts)        => { id, name, format, entries, emotionEntries, enabled, priority }
+// - detectLexiconFormat(source, name) => "json" | "nrc" | "afinn" | "list"
+// - layerLexicons(lexicons)           => one { word: score } table, for ./sentiment scoreText
+// - layerEmotionLexicons(lexicons)    => one { word: { emotions, arousal } } table, for ./emotions
+// - setLexiconWord(lexicon, word, score) / removeLexiconWord(lexicon, word)  => a new lexicon
+// - setLexiconEmotions(lexicon, word, emotions)  => a new lexicon; emotions: the word's emotions
+//                                     (./emotions EMOTIONS, [] for none) or null to leave them to the layers below
+// - createCustomLexicon()             => the writer's own, empty lexicon
+// - normalizeLexiconKey(word)
+// - BUILTIN_LEXICON, CUSTOM_LEXICON_ID
+//
+// Every entry ends up as a score from -1 to 1 keyed by the lowercased word or phrase (`entries`);
+// formats that know about emotions also fill `emotionEntries` { word: { emotions, arousal } }. Formats:
+//   afinn  "word<TAB>score", integers -5 … 5 (phrases allowed: "does not work<TAB>-3")
+//   nrc    NRC Emotion Lexicon "word<TAB>emotion<TAB>0|1": the positive / negative rows give
+//          the score, the eight emotion rows the word's emotions; or NRC VAD
+//          "word<TAB>valence<TAB>arousal<TAB>dominance" with 0 … 1 values (valence and arousal)
+//   list   any "word,score" / "word score" list; scores are divided by the nearest of 1, 4, 5,
+//          10, 100 that covers them. A "# scale: 0-1" line declares 0 … 1 scores with 0.5 as neutral
+//   json   { word: score }, [{ word, score }], or { name, entries } in either shape; scores
+//          within -1 … 1 are taken as they are, larger ones divided like a list's
+// Blank lines, "#" comments and a header row are skipped.
+//
+// Lexicons are layered in priority order (lower `priority` first): the first one that has a word
+// decides its score, and the built-in lexicon (./sentiment) is always the last layer. A score of 0
+// is an entry too, so a writer can make "blood" neutral for a medical thriller. Emotions layer the
+// same way: an emotion entry decides the word's emotions even when it lists none, except one
+// that only brings an arousal (NRC VAD), which keeps the emotions of the layers below.
+
+import { SENTIMENT_LEXICON } from "./sentiment";
+import { EMOTIONS, EMOTION_LEXICON } from "./emotions";
+
+export const CUSTOM_LEXICON_ID = "custom";
+
+export const BUILTIN_LEXICON = {
+  id: "builtin",
+  name: "Built-in",
+  format: "builtin",
+  entries: SENTIMENT_LEXICON,
+  enabled: true,
+  priority: Infinity,
+};
+
+const SCALES = [1, 4, 5, 10, 100];
+const NRC_POLARITY = { positive: 1, negative: -1 };
+const NRC_POLARITY_WEIGHT = 0.6; // the Emotion Lexicon only says whether a word leans one way
+
+export function normalizeLexiconKey(word) {
+  return String(word || "")
+    .trim()
+    .toLowerCase()
+    .replace(/’/g, "'")
+    .replace(/\s+/g, " ");
+}
+
+function isNumber(value) {
+  return value !== "" && value !== null && Number.isFinite(Number(value));
+}
+
+function round(score) {
+  return Number(Math.max(-1, Math.min(1, score)).toFixed(3));
+}
+
+// raw values -> -1 … 1. `unit` says they are 0 … 1 with 0.5 as neutral (NRC VAD, or a list
+// that declares it); otherwise they keep their sign and are divided by the scale they fit.
+function rescale(raw, unit = false) {
+  const values = Object.values(raw);
+  if (values.length === 0) return {};
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const out = {};
+  if (unit && min >= 0 && max <= 1) {
+    for (const [k, v] of Object.entries(raw)) out[k] = round(2 * v - 1);
+    return out;
+  }
+  const extent = Math.max(Math.abs(min), Math.abs(max));
+  const scale = SCALES.find((s) => extent <= s) || extent;
+  for (const [k, v] of Object.entries(raw)) out[k] = round(v / scale);
+  return out;
+}
+
+function splitRow(line) {
+  if (line.includes("\t")) return line.split("\t").map((c) => c.trim());
+  if (line.includes(",")) return line.split(",").map((c) => c.trim());
+  const m = line.match(/^(.*?)[\s:=]+(-?[\d.]+)(?:\s.*)?$/);
+  return m ? [m[1], m[2]] : [line.trim()];
+}
+
+function rows(source) {
+  return String(source || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#") && !l.startsWith("//"))
+    .map(splitRow);
+}
+
+export function detectLexiconFormat(source, name = "") {
+  const text = String(source || "").trimStart();
+  if (/\.json$/i.test(name) || text.startsWith("{") || text.startsWith("[")) return "json";
+  const sample = rows(text).slice(1, 50);
+  if (sample.some((r) => r.length >= 3 && !isNumber(r[1]) && isNumber(r[2]))) return "nrc";
+  if (sample.some((r) => r.length >= 4 && isNumber(r[1]) && r.slice(1, 4).every((c) => isNumber(c) && Number(c) >= 0 && Number(c) <= 1))) return "nrc";
+  if (/afinn/i.test(name) || (text.includes("\t") && sample.length > 0 && sample.every((r) => Number.isInteger(Number(r[1])) && Math.abs(Number(r[1])) <= 5))) return "afinn";
+  return "list";
+}
+
+// => { entries, emotionEntries }
+function parseRows(source, format) {
+  const raw = {};
+  const emotionEntries = {};
+  if (format === "nrc") {
+    const polarity = {};
+    for (const r of rows(source)) {
+      const key = normalizeLexiconKey(r[0]);
+      if (r.length >= 3 && !isNumber(r[1])) {
+        // Emotion Lexicon: positive / negative rows carry a direction, the others an emotion
+        const column = r[1].toLowerCase();
+        if (!(Number(r[2]) > 0)) continue;
+        if (column in NRC_POLARITY) polarity[key] = (polarity[key] || 0) + NRC_POLARITY[column];
+        else if (EMOTIONS.includes(column)) {
+          emotionEntries[key] = emotionEntries[key] || { emotions: [] };
+          emotionEntries[key].emotions.push(column);
+        }
+      } else if (isNumber(r[1])) {
+        raw[key] = Number(r[1]); // VAD: the valence column
+        if (isNumber(r[2])) emotionEntries[key] = { emotions: [], arousal: Number(r[2]) };
+      }
+    }
+    if (Object.keys(polarity).length > 0) {
+      const entries = {};
+      for (const [k, p] of Object.entries(polarity)) entries[k] = round(Math.sign(p) * NRC_POLARITY_WEIGHT);
+      return { entries, emotionEntries };
+    }
+    return { entries: rescale(raw, true), emotionEntries };
+  }
+  for (const r of rows(source)) {
+    if (r.length < 2 || !isNumber(r[1])) continue; // header rows, stray text
+    raw[normalizeLexiconKey(r[0])] = Number(r[1]);
+  }
+  const unit = /^\s*#\s*(?:scale|range)\s*[:=]?\s*0\s*(?:-|–|…|\.\.|to)\s*1\s*$/im.test(String(source || ""));
+  const entries = format === "afinn" ? Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, round(v / 5)])) : rescale(raw, unit);
+  return { entries, emotionEntries };
+}
+
+function parseJSON(source) {
+  const data = typeof source === "string" ? JSON.parse(source) : source;
+  const body = data && !Array.isArray(data) && data.entries ? data.entries : data;
+  const raw = {};
+  if (Array.isArray(body)) {
+    for (const item of body) {
+      const word = item && (item.word ?? item.term ?? item.phrase);
+      const score = item && (item.score ?? item.valence ?? item.value);
+      if (word && isNumber(score)) raw[normalizeLexiconKey(word)] = Number(score);
+    }
+  } else if (body && typeof body === "object") {
+    for (const [word, score] of Object.entries(body)) if (isNumber(score)) raw[normalizeLexiconKey(word)] = Number(score);
+  } else {
+    throw new Error("Unrecognised lexicon JSON: expected an object or an array of { word, score }");
+  }
+  return { name: data && !Array.isArray(data) && typeof data.name === "string" ? data.name : null, entries: rescale(raw) };
+}
+
+// `opts`: { name, format (detected when missing), id, priority }
+export function parseLexicon(source, opts = {}) {
+  const format = opts.format || detectLexiconFormat(source, opts.name);
+  let name = opts.name || "Imported lexicon";
+  let entries;
+  let emotionEntries = {};
+  if (format === "json") {
+    const parsed = parseJSON(source);
+    entries = parsed.entries;
+    if (parsed.name && !opts.name) name = parsed.name;
+  } else {
+    ({ entries, emotionEntries } = parseRows(source, format));
+  }
+  delete entries[""];
+  delete emotionEntries[""];
+  if (Object.keys(entries).length === 0 && Object.keys(emotionEntries).length === 0) throw new Error(`No word/score entries found in ${name}`);
+  return {
+    id: opts.id || `lex-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.replace(/\.(json|tsv|txt|csv|lex)$/i, ""),
+    format,
+    entries,
+    emotionEntries,
+    enabled: true,
+    priority: opts.priority ?? Date.now(),
+  };
+}
+
+export function createCustomLexicon() {
+  return { id: CUSTOM_LEXICON_ID, name: "My words", format: "custom", entries: {}, emotionEntries: {}, enabled: true, priority: 0 };
+}
+
+export function setLexiconWord(lexicon, word, score) {
+  const key = normalizeLexiconKey(word);
+  if (!key) return lexicon;
+  return { ...lexicon, entries: { ...lexicon.entries, [key]: round(Number(score) || 0) } };
+}
+
+export function setLexiconEmotions(lexicon, word, emotions) {
+  const key = normalizeLexiconKey(word);
+  if (!key) return lexicon;
+  const emotionEntries = { ...(lexicon.emotionEntries || {}) };
+  if (emotions === null) delete emotionEntries[key];
+  else emotionEntries[key] = { emotions: EMOTIONS.filter((e) => emotions.includes(e)) };
+  return { ...lexicon, emotionEntries };
+}
+
+export function removeLexiconWord(lexicon, word) {
+  const key = normalizeLexiconKey(word);
+  const entries = { ...lexicon.entries };
+  const emotionEntries = { ...(lexicon.emotionEntries || {}) };
+  delete entries[key];
+  delete emotionEntries[key];
+  return { ...lexicon, entries, emotionEntries };
+}
+
+// enabled lexicons, highest priority first
+function activeLayers(lexicons) {
+  return lexicons.filter((l) => l && l.enabled !== false && l.id !== BUILTIN_LEXICON.id).sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+}
+
+export function layerLexicons(lexicons = []) {
+  const layers = activeLayers(lexicons);
+  if (layers.length === 0) return SENTIMENT_LEXICON;
+  const out = { ...SENTIMENT_LEXICON };
+  for (let i = layers.length - 1; i >= 0; i--) Object.assign(out, layers[i].entries);
+  return out;
+}
+
+// A layer that only knows a word's arousal (NRC VAD) keeps the emotions of the layers below; any
+// other entry replaces them, so an entry without emotions makes the word neutral.
+export function layerEmotionLexicons(lexicons = []) {
+  const layers = activeLayers(lexicons).filter((l) => l.emotionEntries && Object.keys(l.emotionEntries).length > 0);
+  if (layers.length === 0) return EMOTION_LEXICON;
+  const out = { ...EMOTION_LEXICON };
+  for (let i = layers.length - 1; i >= 0; i--) {
+    for (const [word, entry] of Object.entries(layers[i].emotionEntries)) {
+      const below = out[word];
+      const arousalOnly = entry.emotions.length === 0 && entry.arousal !== undefined;
+      out[word] = {
+        emotions: arousalOnly && below ? below.emotions : entry.emotions,
+        arousal: entry.arousal ?? (below ? below.arousal : undefined),
+      };
+    }
+  }
+  return out;
+}
+
+export default {
+  parseLexicon,
+  detectLexiconFormat,
+  layerLexicons,
+  layerEmotionLexicons,
+  setLexiconWord,
+  setLexiconEmotions,
+  removeLexiconWord,
+  createCustomLexicon,
+  normalizeLexiconKey,
+  BUILTIN_LEXICON,
+  CUSTOM_LEXICON_ID,
+};
@@ -0,0 +1,173 @@
+// offsetTracker — follows every character of the document through the history.
+// Exports:
+// - trackCharacters(history, opts) => { text, chars }
+//     chars[i] describes text[i] of the final document:
+//       revisions  how many times this spot was deleted and typed again (0 = typed once)
+//       dwell      ms the caret spent within `radius` characters of it, following the
+//                  edits and the recorded caret moves (`opts.caretMoves`)
+//       born       time of the edit that typed it
+//       pause      ms of silence before that edit
+//       pasted     true if it arrived by paste, drop or a graveyard restore
+//       source     the recorded source of that edit (type, paste, compose, …) or null
+//       effort     ms of writing time spent on this spot: the gap before each edit (up to
+//                  maxGapMs) shared by the characters it typed, or given to the neighbour
+//                  of what it deleted
+// - wordStats(text, chars)  => [{ start, end, revisions, dwell }] per word
+// - infraredColor(t)   // t in [0,1] -> rgba string (cool/transparent -> hot)
+//
+// Deleted text leaves a "scar" at its offset. Text typed into the scar while it is
+// still open inherits the scar's revision count; if the writer edits elsewhere first,
+// the scar is closed and the surviving neighbours are marked instead.
+//
+// opts.caretMoves: [{ time, pos }] where the caret went without editing (the session's
+// `caretMoves`, recorded from ./engine/keystrokeRecorder caret and selection events). Without
+// them the caret is taken to stay where the last edit left it.
+
+import { editEvents } from "./history";
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  radius: 20, // characters either side of the caret that collect dwell time
+  maxGapMs: 60000, // longer gaps count as this much (the writer walked away)
+  caretMoves: [],
+};
+
+function newCell(ev, gap) {
+  const source = ev.source || null;
+  const pasted = source === "paste" || source === "drop" || source === "restore" || source === "translate";
+  return { revisions: 0, dwell: 0, born: ev.time || 0, pause: gap, pasted, source, effort: 0 };
+}
+
+export function trackCharacters(history = [], opts = {}) {
+  const o = { ...DEFAULT_TRACKER_OPTIONS, ...opts };
+  const events = editEvents(history);
+  let text = "";
+  let cells = [];
+  let scar = null; // { pos, weight, budget }
+  let caret = 0;
+  let dwellFrom = null; // time the caret arrived where it is
+  const moves = (o.caretMoves || []).filter((m) => m && isFinite(m.time) && Number.isInteger(m.pos)).sort((a, b) => a.time - b.time);
+  let nextMove = 0;
+
+  // the time since the caret last moved is spent around it
+  const dwellUntil = (time) => {
+    const gap = dwellFrom === null ? 0 : Math.min(o.maxGapMs, Math.max(0, time - dwellFrom));
+    if (gap > 0 && cells.length > 0) {
+      const from = Math.max(0, caret - o.radius);
+      const to = Math.min(cells.length, caret + o.radius);
+      for (let k = from; k < to; k++) cells[k].dwell += gap;
+    }
+    dwellFrom = time;
+  };
+  const moveCaretsUntil = (time) => {
+    while (nextMove < moves.length && moves[nextMove].time <= time) {
+      const m = moves[nextMove++];
+      dwellUntil(m.time);
+      caret = Math.max(0, Math.min(cells.length, m.pos));
+    }
+  };
+
+  const bumpNeighbours = (pos) => {
+    if (pos - 1 >= 0 && cells[pos - 1]) cells[pos - 1].revisions += 1;
+    if (cells[pos]) cells[pos].revisions += 1;
+  };
+  const closeScar = () => {
+    if (scar) bumpNeighbours(scar.pos);
+    scar = null;
+  };
+
+  for (let i = 0; i < events.length; i++) {
+    const ev = events[i];
+
+    moveCaretsUntil(ev.time || 0);
+    dwellUntil(ev.time || 0);
+
+    const rawGap = i > 0 ? Math.max(0, (ev.time || 0) - (events[i - 1].time || 0)) : 0;
+    const gap = Math.min(o.maxGapMs, rawGap);
+
+    if (ev.type === "delete") {
+      const removed = cells.splice(ev.pos, ev.text.length);
+      const neighbour = cells[ev.pos - 1] || cells[ev.pos];
+      if (neighbour) neighbour.effort += gap;
+      const weight = 1 + removed.reduce((m, c) => Math.max(m, c.revisions), 0);
+      const end = ev.pos + ev.text.length;
+      // backspacing / forward-deleting next to an open scar extends it
+      if (scar && (scar.pos === end || scar.pos === ev.pos)) {
+        scar = { pos: ev.pos, weight: Math.max(scar.weight, weight), budget: scar.budget + removed.length };
+      } else {
+        closeScar();
+        scar = { pos: ev.pos, weight, budget: removed.length };
+      }
+      text = text.slice(0, ev.pos) + text.slice(end);
+      caret = ev.pos;
+    } else if (ev.type === "insert") {
+      const added = [];
+      let inherited = 0;
+      if (scar && scar.pos === ev.pos) {
+        inherited = Math.min(ev.text.length, scar.budget);
+      } else {
+        closeScar();
+      }
+      for (let k = 0; k < ev.text.length; k++) {
+        const cell = newCell(ev, rawGap);
+        cell.effort = gap / ev.text.length;
+        if (k < inherited) cell.revisions = scar.weight;
+        added.push(cell);
+      }
+      // spreading a huge paste into splice() would overflow the argument limit
+      if (added.length > 10000) cells = cells.slice(0, ev.pos).concat(added, cells.slice(ev.pos));
+      else cells.splice(ev.pos, 0, ...added);
+      if (scar && scar.pos === ev.pos) {
+        scar.budget -= inherited;
+        scar.pos += ev.text.length;
+        if (scar.budget <= 0) scar = null;
+      }
+      text = text.slice(0, ev.pos) + ev.text + text.slice(ev.pos);
+      caret = ev.pos + ev.text.length;
+    }
+  }
+  // moves after the last edit: reading back over the text
+  moveCaretsUntil(Infinity);
+  closeScar();
+
+  return { text, chars: cells };
+}
+
+// Word-level summary for each non-whitespace run: highest revision count, mean dwell.
+export function wordStats(text, chars) {
+  const out = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const start = m.index;
+    const end = start + m[0].length;
+    let revisions = 0;
+    let dwell = 0;
+    for (let k = start; k < end; k++) {
+      const c = chars[k];
+      if (!c) continue;
+      revisions = Math.max(revisions, c.revisions);
+      dwell += c.dwell;
+    }
+    out.push({ start, end, revisions, dwell: dwell / Math.max(1, end - start) });
+  }
+  return out;
+}
+
+// transparent -> amber -> red -> magenta, like a thermal camera
+export function infraredColor(t) {
+  const x = Math.max(0, Math.min(1, Number(t) || 0));
+  if (x === 0) return "transparent";
+  const stops = [
+    [255, 214, 102, 0.25],
+    [255, 138, 61, 0.55],
+    [229, 57, 53, 0.7],
+    [179, 36, 145, 0.8],
+  ];
+  const f = x * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(f));
+  const u = f - i;
+  const c = stops[i].map((v, k) => v + (stops[i + 1][k] - v) * u);
+  return `rgba(${Math.round(c[0])}, ${Math.round(c[1])}, ${Math.round(c[2])}, ${c[3].toFixed(2)})`;
+}
+
+export default { trackCharacters, wordStats, infraredColor, DEFAULT_TRACKER_OPTIONS };
@@ -0,0 +1,322 @@
+// poetry — Poem mode: syllables, stress, meter and end rhymes of every line, checked against a form.
+//
+//   const poem = analyzePoem(text, "shakespearean-sonnet");
+//   // { form, lines: [PoemLine], meter: { id, label, fit } | null, scheme: "ABAB CDCD …", problems }
+//
+// One PoemLine per line of the text (blank lines included, so a gutter can sit next to the
+// editor). Stress is "1" stressed, "0" unstressed or "2" secondary (fits either beat).
+// Monosyllables are flexible: function words lean unstressed, the rest stressed, and a
+// flexible syllable against the beat costs half a mismatch. Iambic lines may open with an
+// inverted foot and any line may end on one extra unstressed syllable (a feminine ending).
+//
+// Pronunciations come from the bundled dictionary (./pronunciations) with spelling rules as
+// the fallback, so everything works offline. Two words rhyme when their sounds match from the
+// last stressed vowel on (both in the dictionary) or, failing that, their spelled endings do.
+//
+// `meter` is the form's meter, or the best-fitting common meter when the form has none and
+// the fit is good enough to call. Lines get `problems` only for what the chosen form asks for.
+
+import { PRONUNCIATIONS } from "./pronunciations";
+import { countSyllables } from "./lexicalAnalyzer";
+
+export interface Meter {
+  id: string;
+  label: string;
+  pattern: string; // "0101010101" for iambic pentameter
+}
+
+export interface PoemForm {
+  id: string;
+  label: string;
+  lines?: number; // exact line count
+  syllables?: number[]; // per line, cycled
+  meter?: string; // Meter id
+  scheme?: string; // rhyme scheme, repeated with fresh letters when the poem is longer
+}
+
+export interface WordScan {
+  word: string;
+  syllables: number;
+  stress: string;
+  flexible: boolean;
+  known: boolean; // found in the pronunciation dictionary
+}
+
+export interface PoemLine {
+  index: number; // line number in the text, 0-based
+  start: number;
+  end: number;
+  text: string;
+  blank: boolean;
+  verse: number | null; // index among the non-blank lines
+  stanza: number;
+  words: WordScan[];
+  syllables: number;
+  stress: string;
+  flexible: boolean[];
+  endWord: string | null;
+  rhyme: string | null; // scheme letter
+  meterFit: number | null; // 0–1 against `meter`
+  problems: string[];
+}
+
+export interface PoemAnalysis {
+  form: PoemForm;
+  lines: PoemLine[];
+  meter: (Meter & { fit: number }) | null;
+  scheme: string;
+  problems: string[];
+}
+
+const FEET: [string, string][] = [
+  ["iambic", "01"],
+  ["trochaic", "10"],
+  ["anapestic", "001"],
+  ["dactylic", "100"],
+];
+const LENGTHS: [string, number][] = [
+  ["dimeter", 2],
+  ["trimeter", 3],
+  ["tetrameter", 4],
+  ["pentameter", 5],
+  ["hexameter", 6],
+];
+
+export const METERS: Meter[] = FEET.flatMap(([foot, unit]) =>
+  LENGTHS.map(([name, n]) => ({ id: `${foot}-${name}`, label: `${foot[0].toUpperCase()}${foot.slice(1)} ${name}`, pattern: unit.repeat(n) }))
+);
+
+export const POEM_FORMS: PoemForm[] = [
+  { id: "free", label: "Free verse" },
+  { id: "haiku", label: "Haiku", lines: 3, syllables: [5, 7, 5] },
+  { id: "shakespearean-sonnet", label: "Shakespearean sonnet", lines: 14, meter: "iambic-pentameter", scheme: "ABABCDCDEFEFGG" },
+  { id: "petrarchan-sonnet", label: "Petrarchan sonnet", lines: 14, meter: "iambic-pentameter", scheme: "ABBAABBACDECDE" },
+  { id: "blank-verse", label: "Blank verse", meter: "iambic-pentameter" },
+  { id: "heroic-couplets", label: "Heroic couplets", meter: "iambic-pentameter", scheme: "AA" },
+  { id: "quatrains", label: "Quatrains (ABAB)", scheme: "ABAB" },
+  { id: "couplets", label: "Couplets (AABB)", scheme: "AABB" },
+];
+
+// below this a line is called off the meter, and a detected meter isn't reported
+export const METER_FIT = 0.75;
+
+const FUNCTION_WORDS = new Set(
+  `a an the and or but nor so yet if as at by for from in into of off on onto out to up upon with
+  am are is was were be been has have had do does did can could shall should will would may might must
+  i me my he him his she her it its we us our you your they them their thee thou thy thine ye
+  this that these those who whom whose which what than then there when where while not no o oh
+  let how such too`.split(/\s+/)
+);
+const PREFIXES = /^(?:be|de|re|un|in|im|ex|con|com|dis|mis|pre|pro|per|for|sur|en|em|ob|sub|sus|trans|with|a(?=[^aeiou][aeiouy]))/;
+const WORD = /\p{L}[\p{L}'’]*/gu;
+
+function normalize(word: string) {
+  return word.toLowerCase().replace(/’/g, "'").replace(/^'+|'+$/g, "");
+}
+
+// dictionary phonemes for a word, trying plain plurals and possessives of listed words too
+function phonemesOf(word: string) {
+  const direct = PRONUNCIATIONS.get(word);
+  if (direct) return direct;
+  const base = word.replace(/(?:'s|s')$/, "").replace(/([^s])s$/, "$1");
+  const found = base !== word && PRONUNCIATIONS.get(base);
+  return found ? [...found, /[ptkf]$/.test(base) ? "S" : "Z"] : null;
+}
+
+// primary stress by rule, for words the dictionary doesn't know
+function ruleStress(word: string, n: number) {
+  let primary = 0;
+  if (/(?:tion|sion|cian|tial|cial|ic|ics|ious|eous)$/.test(word)) primary = n - 2;
+  else if (/(?:ity|ical|ify|ology|ography|ian)$/.test(word)) primary = n - 3;
+  else if (/(?:ee|eer|ese|ique|ette|oon)$/.test(word)) primary = n - 1;
+  else if (PREFIXES.test(word)) primary = 1;
+  primary = Math.max(0, Math.min(n - 1, primary));
+  let out = "";
+  for (let i = 0; i < n; i++) out += i === primary ? "1" : Math.abs(i - primary) % 2 === 0 ? "2" : "0";
+  return out;
+}
+
+// A capitalised word inside a line is taken for a name even when it is spelled like a function
+// word (the month May, Will); at the start of a line the capital says nothing.
+export function scanWord(raw: string, lineStart = true): WordScan {
+  const word = normalize(raw);
+  const phonemes = phonemesOf(word);
+  let stress: string;
+  if (phonemes) stress = phonemes.filter((p) => /\d$/.test(p)).map((p) => p.slice(-1)).join("") || "1";
+  else {
+    const n = countSyllables(word);
+    stress = n > 1 ? ruleStress(word, n) : "1";
+  }
+  const flexible = stress.length === 1;
+  const name = !lineStart && word.length > 1 && /^\p{Lu}/u.test(raw);
+  if (flexible) stress = FUNCTION_WORDS.has(word) && !name ? "0" : "1";
+  return { word: raw, syllables: stress.length, stress, flexible, known: Boolean(phonemes) };
+}
+
+function fitPattern(stress: string, flexible: boolean[], pattern: string) {
+  let n = stress.length;
+  let target = pattern;
+  if (n === target.length + 1 && (stress[n - 1] !== "1" || flexible[n - 1])) n -= 1; // feminine ending
+  else if (n === target.length - 1 && target.endsWith("0")) target = target.slice(0, -1); // catalexis
+  let score = 0;
+  for (let i = 0; i < Math.min(n, target.length); i++) {
+    if (stress[i] === "2" || stress[i] === target[i]) score += 1;
+    else if (flexible[i]) score += 0.5;
+  }
+  return score / Math.max(n, target.length, 1);
+}
+
+export function meterFit(stress: string, flexible: boolean[], meter: Meter) {
+  const plain = fitPattern(stress, flexible, meter.pattern);
+  // an iambic line opening with a trochee is still iambic
+  if (!meter.pattern.startsWith("01")) return plain;
+  return Math.max(plain, fitPattern(stress, flexible, `10${meter.pattern.slice(2)}`));
+}
+
+// the sound (or failing that, the spelling) a line-end word rhymes on
+export function rhymeSound(raw: string): { phonetic: string | null; spelled: string } {
+  const word = normalize(raw);
+  const phonemes = phonemesOf(word);
+  let phonetic: string | null = null;
+  if (phonemes) {
+    let from = -1;
+    for (let i = phonemes.length - 1; i >= 0 && from < 0; i--) if (/[12]$/.test(phonemes[i])) from = i;
+    if (from < 0) from = phonemes.findIndex((p) => /\d$/.test(p));
+    phonetic = phonemes.slice(Math.max(0, from)).map((p) => p.replace(/\d$/, "")).join(" ");
+  }
+  const w = word
+    .replace(/[^a-z]/g, "")
+    .replace(/igh$/, "i")
+    .replace(/(?:ie|ye)$/, "i")
+    .replace(/^([^aeiou]+)y$/, "$1i")
+    .replace(/(?:eigh|ey)$/, "ay")
+    .replace(/(?:ue|ew)$/, "oo")
+    .replace(/ea/g, "ee")
+    .replace(/^([^aeiou]+)e$/, "$1ee");
+  // unstressed endings rhyme together with the syllable before them (summer / drummer)
+  const ending = w.match(/[aeiouy]+[^aeiouy]*(?:e|y|er|ing|ed|en|le|ow|ly)$/) && countSyllables(word) > 1 ? /[aeiouy]+[^aeiouy]*[aeiouy]+[^aeiouy]*$/ : /[aeiouy]+[^aeiouy]*e?$/;
+  const m = w.match(ending);
+  const spelled = (m ? m[0] : w).replace(/y(?=[^aeiou]|$)/g, "i");
+  return { phonetic, spelled };
+}
+
+export function rhymes(a: string, b: string) {
+  const x = rhymeSound(a);
+  const y = rhymeSound(b);
+  if (x.phonetic && y.phonetic) return x.phonetic === y.phonetic;
+  return x.spelled.length > 0 && x.spelled === y.spelled;
+}
+
+function schemeLetter(k: number) {
+  return String.fromCharCode(65 + (k % 26)).repeat(Math.floor(k / 26) + 1);
+}
+
+function findMeter(id: string | undefined) {
+  return id ? METERS.find((m) => m.id === id) || null : null;
+}
+
+export function analyzePoem(text: string, formId = "free"): PoemAnalysis {
+  const form = POEM_FORMS.find((f) => f.id === formId) || POEM_FORMS[0];
+  const src = String(text || "");
+  const lines: PoemLine[] = [];
+  let start = 0;
+  let verse = 0;
+  let stanza = 0;
+  for (const [index, lineText] of src.split("\n").entries()) {
+    const blank = lineText.trim() === "";
+    if (blank && verse > 0 && lines.length > 0 && !lines[lines.length - 1].blank) stanza += 1;
+    const words = blank ? [] : (lineText.match(WORD) || []).map((w, i) => scanWord(w, i === 0));
+    const stress = words.map((w) => w.stress).join("");
+    const flexible = words.flatMap((w) => Array.from(w.stress, () => w.flexible));
+    lines.push({
+      index,
+      start,
+      end: start + lineText.length,
+      text: lineText,
+      blank,
+      verse: blank ? null : verse,
+      stanza,
+      words,
+      syllables: stress.length,
+      stress,
+      flexible,
+      endWord: words.length > 0 ? words[words.length - 1].word : null,
+      rhyme: null,
+      meterFit: null,
+      problems: [],
+    });
+    if (!blank) verse += 1;
+    start += lineText.length + 1;
+  }
+  const verses = lines.filter((l) => !l.blank);
+
+  // rhyme scheme: each end word joins the first earlier group it rhymes with
+  const groups: string[][] = [];
+  for (const line of verses) {
+    if (!line.endWord) continue;
+    let k = groups.findIndex((g) => g.some((w) => rhymes(w, line.endWord as string)));
+    if (k < 0) {
+      k = groups.length;
+      groups.push([]);
+    }
+    groups[k].push(line.endWord);
+    line.rhyme = schemeLetter(k);
+  }
+  const scheme = verses
+    .map((l, i) => (i > 0 && l.stanza !== verses[i - 1].stanza ? " " : "") + (l.rhyme || "-"))
+    .join("");
+
+  // meter: the form's, or the best common one if it fits well enough
+  let meter: (Meter & { fit: number }) | null = null;
+  const fitOf = (m: Meter) => (verses.length > 0 ? verses.reduce((acc, l) => acc + meterFit(l.stress, l.flexible, m), 0) / verses.length : 0);
+  const formMeter = findMeter(form.meter);
+  if (formMeter) meter = { ...formMeter, fit: fitOf(formMeter) };
+  else if (!form.syllables) {
+    for (const m of METERS) {
+      const fit = fitOf(m);
+      if (fit >= METER_FIT && (!meter || fit > meter.fit)) meter = { ...m, fit };
+    }
+  }
+  if (meter) for (const l of verses) l.meterFit = Number(meterFit(l.stress, l.flexible, meter).toFixed(2));
+  if (meter) meter.fit = Number(meter.fit.toFixed(2));
+
+  // what the form asks for
+  const problems: string[] = [];
+  if (form.lines && verses.length > 0 && verses.length !== form.lines) {
+    problems.push(`A ${form.label.toLowerCase()} has ${form.lines} lines; this has ${verses.length}`);
+  }
+  const expected = form.scheme
+    ? verses.map((_, i) => `${form.lines ? 0 : Math.floor(i / (form.scheme as string).length)}:${(form.scheme as string)[i % (form.scheme as string).length]}`)
+    : null;
+  verses.forEach((line, i) => {
+    if (form.lines && i >= form.lines) {
+      line.problems.push(`Beyond the ${form.lines} lines of a ${form.label.toLowerCase()}`);
+      return;
+    }
+    if (form.syllables) {
+      const want = form.syllables[i % form.syllables.length];
+      if (line.syllables !== want) line.problems.push(`${line.syllables} syllables; line ${i + 1} of a ${form.label.toLowerCase()} has ${want}`);
+    }
+    if (formMeter) {
+      const want = formMeter.pattern.length;
+      if (line.syllables !== want && line.syllables !== want + 1) line.problems.push(`${line.syllables} syllables; ${formMeter.label.toLowerCase()} has ${want}`);
+      else if ((line.meterFit ?? 0) < METER_FIT) line.problems.push(`Off the meter (${Math.round((line.meterFit ?? 0) * 100)}% ${formMeter.label.toLowerCase()})`);
+    }
+    if (expected) {
+      const j = expected.indexOf(expected[i]);
+      const partner = verses[j];
+      if (j < i && partner.endWord && line.endWord && !rhymes(partner.endWord, line.endWord)) {
+        line.problems.push(`Should rhyme with line ${partner.index + 1} ("${partner.endWord}")`);
+      }
+    }
+  });
+
+  return { form, lines, meter, scheme, problems };
+}
+
+// "˘ / ˘ /" for a stress string, secondary stress as "\"
+export function scansion(stress: string) {
+  return Array.from(stress, (s) => (s === "1" ? "/" : s === "2" ? "\\" : "˘")).join(" ");
+}
+
+export default { analyzePoem, scanWord, meterFit, rhymeSound, rhymes, scansion, METERS, POEM_FORMS, METER_FIT };
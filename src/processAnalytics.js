@@ -0,0 +1,271 @@
+// processAnalytics — writing-process metrics computed from a diff-event history.
+// Exports:
+// - analyzeProcess(history, opts) => metrics | null
+// - segmentBursts(history, opts)  => [burst]
+// - DEFAULT_THRESHOLDS
+//
+// opts: any DEFAULT_THRESHOLDS key, plus `sessionStart` (same clock as event times)
+// to measure the time before the first keystroke.
+//
+// Metrics object:
+//   durationMs           first to last edit
+//   avgSpeed             mean ms between changes
+//   bursts               changes that followed the previous one within burstMs
+//   pauses               gaps longer than pauseMs
+//   deletions            delete events
+//   flowIndex, stressIndex, energyIndex   0–100 summary indices (unchanged formulas)
+//   charsTyped           characters inserted by typing / IME (not pasted or dropped)
+//   charsPasted          characters inserted by paste, drop or a graveyard restore
+//   charsDeleted         characters removed
+//   finalChars           length of the final text
+//   cpm, wpm             typed characters / words (5 chars) per active minute
+//   speedWindows         [{ start, end, cpm, wpm }] sliding windows in ms from the first edit, leaving out those without an edit
+//   peakWpm              best window
+//   pauseTaxonomy        { withinWord, betweenWords, betweenSentences, betweenParagraphs }
+//                        each { count, totalMs } for gaps longer than pauseMs, by where the caret was
+//   timeToFirstKeystrokeMs   null when opts.sessionStart is unknown
+//   activeMs, idleMs     gaps up to idleMs count as active writing time, longer ones as idle
+//   productProcessRatio  finalChars / all inserted characters (1 = nothing was ever removed)
+//   burstSegments        segmentBursts() output
+//   pBursts, rBursts     how many bursts ended in a pause / a revision
+//   editKinds            { insertion, deletion, replacement, move, "typo-fix" } counts, see ./editClassifier
+//   provenance           typed / pasted / composed shares and review signals, see ./provenance
+//   thresholds           the thresholds used
+//
+// Burst objects (production runs of text typed at a moving caret):
+//   kind        "P" (ended by a pause over pBurstPauseMs, or the end of the session) | "R" (ended by a revision)
+//   endedBy     "pause" | "revision" | "end"
+//   startMs, endMs       ms from the first edit
+//   chars, text          what the burst produced
+//   docStart, docEnd     where that text sits in the final document (null once it was all deleted)
+
+import { editEvents } from "./history";
+import { classifyEdits, EDIT_KINDS } from "./editClassifier";
+import { buildProvenance } from "./provenance";
+
+export const DEFAULT_THRESHOLDS = {
+  burstMs: 120,
+  pauseMs: 600,
+  idleMs: 5000,
+  windowMs: 60000,
+  windowStepMs: 10000,
+  pBurstPauseMs: 2000,
+};
+
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+
+// Where a pause happened, judged from the text before the caret and what came next.
+function classifyPause(textBefore, next) {
+  if (textBefore.length === 0 || /\n\s*$/.test(textBefore) || next.startsWith("\n")) return "betweenParagraphs";
+  const trimmed = textBefore.replace(/[ \t]+$/, "");
+  if (SENTENCE_END.test(trimmed)) return "betweenSentences";
+  const prevChar = textBefore[textBefore.length - 1];
+  if (/\s/.test(prevChar) || /^[\s.,!?;:]/.test(next)) return "betweenWords";
+  return "withinWord";
+}
+
+function emptyTaxonomy() {
+  return {
+    withinWord: { count: 0, totalMs: 0 },
+    betweenWords: { count: 0, totalMs: 0 },
+    betweenSentences: { count: 0, totalMs: 0 },
+    betweenParagraphs: { count: 0, totalMs: 0 },
+  };
+}
+
+function isPasted(ev) {
+  return ev.source === "paste" || ev.source === "drop" || ev.source === "restore" || ev.source === "translate";
+}
+
+// Moves a [start, end) range of the document through one edit.
+function mapRange(r, ev) {
+  const len = ev.text.length;
+  if (ev.type === "insert") {
+    if (ev.pos <= r.start && r.start < r.end) {
+      r.start += len;
+      r.end += len;
+    } else if (ev.pos < r.end) {
+      r.end += len;
+    }
+  } else if (ev.type === "delete") {
+    const dEnd = ev.pos + len;
+    const map = (x) => (x <= ev.pos ? x : x < dEnd ? ev.pos : x - len);
+    r.start = map(r.start);
+    r.end = map(r.end);
+  }
+}
+
+// Splits the session into bursts. A burst grows while inserts continue at the caret
+// and no gap exceeds pBurstPauseMs; a deletion or typing somewhere else ends it as a revision.
+export function segmentBursts(history = [], opts = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...opts };
+  const events = editEvents(history);
+  const out = [];
+  if (events.length === 0) return out;
+  const t0 = events[0].time || 0;
+  const ranges = []; // document ranges of closed bursts, parallel to `out`
+  let open = null;
+
+  const close = (endedBy) => {
+    if (!open) return;
+    out.push({
+      kind: endedBy === "revision" ? "R" : "P",
+      endedBy,
+      startMs: open.startMs,
+      endMs: open.endMs,
+      chars: open.text.length,
+      text: open.text,
+    });
+    ranges.push({ start: open.start, end: open.start + open.text.length });
+    open = null;
+  };
+
+  for (let i = 0; i < events.length; i++) {
+    const ev = events[i];
+    const at = Math.max(0, (ev.time || 0) - t0);
+    if (open && at - open.endMs > t.pBurstPauseMs) close("pause");
+
+    const continues = ev.type === "insert" && open && ev.pos === open.start + open.text.length;
+    if (!continues) close("revision");
+    // every edit moves the closed bursts, including the ones that extend the open burst
+    for (const r of ranges) mapRange(r, ev);
+    if (continues) {
+      open.text += ev.text;
+      open.endMs = at;
+    } else if (ev.type === "insert") {
+      open = { start: ev.pos, text: ev.text, startMs: at, endMs: at };
+    }
+  }
+  close("end");
+
+  return out.map((b, k) => {
+    const r = ranges[k];
+    const alive = r.end > r.start;
+    return { ...b, docStart: alive ? r.start : null, docEnd: alive ? r.end : null };
+  });
+}
+
+function clampIndex(v) {
+  return Math.max(0, Math.min(100, v));
+}
+
+export function analyzeProcess(history = [], opts = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...opts };
+  const events = editEvents(history);
+  if (events.length === 0) return null;
+
+  const t0 = events[0].time || 0;
+  const durationMs = Math.max(0, (events[events.length - 1].time || 0) - t0);
+
+  const deltas = [];
+  const pauseTaxonomy = emptyTaxonomy();
+  let deletions = 0;
+  let charsTyped = 0;
+  let charsPasted = 0;
+  let charsDeleted = 0;
+  let activeMs = 0;
+  let idleMs = 0;
+  let text = "";
+
+  for (let i = 0; i < events.length; i++) {
+    const cur = events[i];
+    if (i > 0) {
+      const dt = (cur.time || 0) - (events[i - 1].time || 0);
+      // delete + insert pairs of a single replacement share a timestamp
+      if (!(dt === 0 && cur.time)) {
+        deltas.push(dt || 0);
+        if (dt > t.idleMs) idleMs += dt;
+        else activeMs += dt;
+        if (dt > t.pauseMs) {
+          const kind = classifyPause(text.slice(0, cur.pos), cur.type === "insert" ? cur.text : "");
+          pauseTaxonomy[kind].count += 1;
+          pauseTaxonomy[kind].totalMs += dt;
+        }
+      }
+    }
+
+    if (cur.type === "delete") {
+      deletions++;
+      charsDeleted += cur.text.length;
+      text = text.slice(0, cur.pos) + text.slice(cur.pos + cur.text.length);
+    } else if (cur.type === "insert") {
+      if (isPasted(cur)) charsPasted += cur.text.length;
+      else charsTyped += cur.text.length;
+      text = text.slice(0, cur.pos) + cur.text + text.slice(cur.pos);
+    }
+  }
+
+  // sliding windows over typed characters
+  const speedWindows = [];
+  const step = Math.max(1000, t.windowStepMs);
+  const span = Math.max(t.windowMs, durationMs);
+  let lo = 0;
+  let hi = 0;
+  let inWindow = 0;
+  for (let start = 0; ; start += step) {
+    const end = start + t.windowMs;
+    while (hi < events.length && (events[hi].time || 0) - t0 < end) {
+      if (events[hi].type === "insert" && !isPasted(events[hi])) inWindow += events[hi].text.length;
+      hi++;
+    }
+    while (lo < hi && (events[lo].time || 0) - t0 < start) {
+      if (events[lo].type === "insert" && !isPasted(events[lo])) inWindow -= events[lo].text.length;
+      lo++;
+    }
+    // timestamps carry on across reloads, so a resumed session can have weeks of idle time in
+    // it: windows without an edit are skipped up to the next one
+    if (lo === hi && speedWindows.length > 0) {
+      if (hi >= events.length) break;
+      const next = (events[hi].time || 0) - t0;
+      start = Math.max(start, Math.floor((next - t.windowMs) / step) * step);
+      continue;
+    }
+    const cpm = inWindow / (t.windowMs / 60000);
+    speedWindows.push({ start, end, cpm: Math.round(cpm), wpm: Math.round(cpm / 5) });
+    if (start + t.windowMs >= span) break;
+  }
+
+  const activeMinutes = activeMs / 60000;
+  const cpm = activeMinutes > 0 ? charsTyped / activeMinutes : 0;
+  const changes = deltas.length + 1;
+  const avgSpeed = deltas.length > 0 ? Math.round(deltas.reduce((a, b) => a + b, 0) / deltas.length) : 0;
+  const bursts = deltas.filter((d) => d < t.burstMs).length;
+  const pauses = deltas.filter((d) => d > t.pauseMs).length;
+  const inserted = charsTyped + charsPasted;
+  const sessionStart = typeof opts.sessionStart === "number" ? opts.sessionStart : null;
+  const burstSegments = segmentBursts(events, t);
+  const editKinds = Object.fromEntries(EDIT_KINDS.map((k) => [k, 0]));
+  for (const e of classifyEdits(events)) editKinds[e.kind] += 1;
+
+  return {
+    durationMs,
+    avgSpeed,
+    bursts,
+    pauses,
+    deletions,
+    flowIndex: clampIndex(100 - avgSpeed / 10),
+    stressIndex: clampIndex((deletions / Math.max(1, changes)) * 100),
+    energyIndex: clampIndex((bursts / Math.max(1, changes)) * 100),
+    charsTyped,
+    charsPasted,
+    charsDeleted,
+    finalChars: text.length,
+    cpm: Math.round(cpm),
+    wpm: Math.round(cpm / 5),
+    speedWindows,
+    peakWpm: speedWindows.reduce((m, w) => Math.max(m, w.wpm), 0),
+    pauseTaxonomy,
+    timeToFirstKeystrokeMs: sessionStart != null ? Math.max(0, t0 - sessionStart) : null,
+    activeMs,
+    idleMs,
+    productProcessRatio: inserted > 0 ? Number((text.length / inserted).toFixed(3)) : 1,
+    burstSegments,
+    pBursts: burstSegments.filter((b) => b.kind === "P").length,
+    rBursts: burstSegments.filter((b) => b.kind === "R").length,
+    editKinds,
+    provenance: buildProvenance(events),
+    thresholds: Object.fromEntries(Object.keys(DEFAULT_THRESHOLDS).map((k) => [k, t[k]])),
+  };
+}
+
+export default { analyzeProcess, segmentBursts, DEFAULT_THRESHOLDS };
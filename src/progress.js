@@ -0,0 +1,195 @@
+// progress — combines stored sessions into day-by-day and week-by-week writing progress.
+// Exports:
+// - dayKey(time)                       // local "YYYY-MM-DD"
+// - dailyActivity(history, opts)       // { [day]: DayTotals } for one session; opts.since skips older edits
+// - accumulateDaily(daily, counted, history, opts) // { daily, counted }: adds what the history gained since the last save
+// - combineDays(metas)                 // [DayRow] over all sessions, oldest first
+// - groupByWeek(days)                  // [WeekRow] (weeks start on Monday), oldest first
+// - streaks(days, dailyGoalWords, today)   // { current, longest } in days
+// - progressCSV(days)                  // spreadsheet-friendly CSV of the day rows
+// - shiftDay(day, by)                  // day key `by` days later (negative = earlier)
+// - CHARS_PER_WORD
+//
+// DayTotals (stored in session metadata): { charsWritten, charsDeleted, activeMs, changes, deletions, gapMs, gaps }
+// Counted (stored next to them): { events, lastTime, daily } — how many edits the totals already
+// include, the time of the last one and that history's own dailyActivity()
+// DayRow / WeekRow: { day | week, wordsWritten, wordsDeleted, wordsKept, activeMs, sessions, flowIndex, stressIndex }
+//
+// Words are counted the way words-per-minute is: CHARS_PER_WORD characters make a word.
+// wordsKept is what survived: written minus deleted. Flow and stress use the formulas of
+// ./processAnalytics, recomputed from the pooled totals.
+
+import { editEvents } from "./history";
+import { DEFAULT_THRESHOLDS } from "./processAnalytics";
+
+export const CHARS_PER_WORD = 5;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export function dayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function emptyTotals() {
+  return { charsWritten: 0, charsDeleted: 0, activeMs: 0, changes: 0, deletions: 0, gapMs: 0, gaps: 0 };
+}
+
+export function dailyActivity(history = [], opts = {}) {
+  const idleMs = opts.idleMs ?? DEFAULT_THRESHOLDS.idleMs;
+  const since = opts.since ?? null;
+  const events = editEvents(history);
+  const out = {};
+  for (let i = 0; i < events.length; i++) {
+    const ev = events[i];
+    if (!ev.time || (since != null && ev.time < since)) continue;
+    const day = dayKey(ev.time);
+    const d = out[day] || (out[day] = emptyTotals());
+    const prev = events[i - 1];
+    // replacements write a delete and an insert with one timestamp; count them as one change
+    const sameChange = prev && prev.time === ev.time;
+    if (!sameChange) d.changes += 1;
+    if (prev && prev.time && !sameChange && dayKey(prev.time) === day) {
+      const dt = Math.max(0, ev.time - prev.time);
+      d.gapMs += dt;
+      d.gaps += 1;
+      if (dt <= idleMs) d.activeMs += dt;
+    }
+    if (ev.type === "insert") d.charsWritten += ev.text.length;
+    else if (ev.type === "delete") {
+      d.charsDeleted += ev.text.length;
+      d.deletions += 1;
+    }
+  }
+  return out;
+}
+
+// Totals written before `counted` was stored: they already cover the history, so keep the larger.
+function mergeLarger(prev, next) {
+  const out = { ...prev };
+  for (const [day, t] of Object.entries(next)) {
+    const p = prev[day] || emptyTotals();
+    const merged = {};
+    for (const k of Object.keys(emptyTotals())) merged[k] = Math.max(p[k] || 0, t[k] || 0);
+    out[day] = merged;
+  }
+  return out;
+}
+
+// Each save adds only the difference to what the last one counted, so a day's totals follow
+// the writing done on it. While the history still starts with the counted edits that is the
+// tail written since; a history that was cleared or replaced counts in full, and the days
+// already written stay as they were.
+export function accumulateDaily(daily = {}, counted = null, history = [], opts = {}) {
+  const events = editEvents(history);
+  const activity = dailyActivity(history, opts);
+  const last = events[events.length - 1];
+  const next = { events: events.length, lastTime: last ? last.time : null, daily: activity };
+  if (!counted) return { daily: mergeLarger(daily, activity), counted: next };
+  const continues = counted.events <= events.length && (counted.events === 0 || events[counted.events - 1].time === counted.lastTime);
+  const base = continues ? counted.daily || {} : {};
+  const out = { ...daily };
+  for (const [day, t] of Object.entries(activity)) {
+    const was = base[day] || emptyTotals();
+    const sum = { ...emptyTotals(), ...out[day] };
+    for (const k of Object.keys(emptyTotals())) sum[k] += Math.max(0, (t[k] || 0) - (was[k] || 0));
+    out[day] = sum;
+  }
+  return { daily: out, counted: next };
+}
+
+function clampIndex(v) {
+  return Math.max(0, Math.min(100, v));
+}
+
+function toRow(key, t, sessions) {
+  const written = t.charsWritten / CHARS_PER_WORD;
+  const deleted = t.charsDeleted / CHARS_PER_WORD;
+  const avgSpeed = t.gaps > 0 ? t.gapMs / t.gaps : 0;
+  return {
+    ...key,
+    wordsWritten: Math.round(written),
+    wordsDeleted: Math.round(deleted),
+    wordsKept: Math.max(0, Math.round(written - deleted)),
+    activeMs: t.activeMs,
+    sessions,
+    flowIndex: t.changes > 0 ? clampIndex(100 - avgSpeed / 10) : 0,
+    stressIndex: clampIndex((t.deletions / Math.max(1, t.changes)) * 100),
+  };
+}
+
+function addTotals(a, b) {
+  const out = { ...a };
+  for (const k of Object.keys(emptyTotals())) out[k] = (a[k] || 0) + (b[k] || 0);
+  return out;
+}
+
+// metas: session metadata from sessionStore.listSessions(), each with a `daily` map
+export function combineDays(metas = []) {
+  const byDay = new Map();
+  for (const m of metas) {
+    for (const [day, t] of Object.entries(m.daily || {})) {
+      const cur = byDay.get(day) || { totals: emptyTotals(), sessions: 0 };
+      cur.totals = addTotals(cur.totals, t);
+      cur.sessions += 1;
+      byDay.set(day, cur);
+    }
+  }
+  return [...byDay.entries()]
+    .sort((a, b) => (a[0] < b[0] ? -1 : 1))
+    .map(([day, v]) => ({ ...toRow({ day }, v.totals, v.sessions), totals: v.totals }));
+}
+
+function mondayOf(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  const date = new Date(y, m - 1, d);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return dayKey(date.getTime());
+}
+
+export function groupByWeek(days = []) {
+  const byWeek = new Map();
+  for (const row of days) {
+    const week = mondayOf(row.day);
+    const cur = byWeek.get(week) || { totals: emptyTotals(), sessions: 0 };
+    cur.totals = addTotals(cur.totals, row.totals || emptyTotals());
+    cur.sessions += row.sessions;
+    byWeek.set(week, cur);
+  }
+  return [...byWeek.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1)).map(([week, v]) => toRow({ week }, v.totals, v.sessions));
+}
+
+export function shiftDay(day, by) {
+  const [y, m, d] = day.split("-").map(Number);
+  return dayKey(new Date(y, m - 1, d + by).getTime());
+}
+
+// A day counts when its kept words reach the daily goal (or anything was written, without a goal).
+// Today not being done yet doesn't break the current streak.
+export function streaks(days = [], dailyGoalWords = 0, today = dayKey(Date.now())) {
+  const done = new Set(days.filter((r) => (dailyGoalWords > 0 ? r.wordsKept >= dailyGoalWords : r.wordsWritten > 0)).map((r) => r.day));
+  let longest = 0;
+  for (const day of done) {
+    if (done.has(shiftDay(day, -1))) continue; // not the start of a run
+    let len = 0;
+    for (let d = day; done.has(d); d = shiftDay(d, 1)) len += 1;
+    longest = Math.max(longest, len);
+  }
+  let current = 0;
+  for (let d = done.has(today) ? today : shiftDay(today, -1); done.has(d); d = shiftDay(d, -1)) current += 1;
+  return { current, longest };
+}
+
+export function progressCSV(days = []) {
+  const rows = [["day", "sessions", "words_written", "words_deleted", "words_kept", "active_minutes", "flow_index", "stress_index"].join(",")];
+  for (const r of days) {
+    rows.push(
+      [r.day, r.sessions, r.wordsWritten, r.wordsDeleted, r.wordsKept, (r.activeMs / 60000).toFixed(1), r.flowIndex.toFixed(1), r.stressIndex.toFixed(1)].join(",")
+    );
+  }
+  return rows.join("\n");
+}
+
+export default { dayKey, shiftDay, dailyActivity, accumulateDaily, combineDays, groupByWeek, streaks, progressCSV, CHARS_PER_WORD };
@@ -0,0 +1,281 @@
+// pronunciations — a small bundled pronunciation dictionary for Poem mode (./poetry).
+//
+// One entry per line: the word, then its ARPAbet phonemes as in the CMU Pronouncing
+// Dictionary. Vowels carry a stress digit: 1 primary, 2 secondary, 0 unstressed.
+// The list favours words common in verse and words whose syllables or stress the
+// rule-based fallback in ./poetry gets wrong; everything else goes through the rules.
+
+const ENTRIES = `
+about AH0 B AW1 T
+above AH0 B AH1 V
+across AH0 K R AO1 S
+after AE1 F T ER0
+again AH0 G EH1 N
+against AH0 G EH1 N S T
+ago AH0 G OW1
+air EH1 R
+alive AH0 L AY1 V
+all AO1 L
+almost AO1 L M OW2 S T
+alone AH0 L OW1 N
+along AH0 L AO1 NG
+already AO0 L R EH1 D IY0
+also AO1 L S OW0
+always AO1 L W EY2 Z
+among AH0 M AH1 NG
+angel EY1 N JH AH0 L
+another AH0 N AH1 DH ER0
+answer AE1 N S ER0
+any EH1 N IY0
+apart AH0 P AA1 R T
+are AA1 R
+around ER0 AW1 N D
+art AA1 R T
+autumn AO1 T AH0 M
+awake AH0 W EY1 K
+away AH0 W EY1
+beautiful B Y UW1 T AH0 F AH0 L
+beauty B Y UW1 T IY0
+because B IH0 K AO1 Z
+become B IH0 K AH1 M
+been B IH1 N
+before B IH0 F AO1 R
+began B IH0 G AE1 N
+begin B IH0 G IH1 N
+behind B IH0 HH AY1 N D
+being B IY1 IH0 NG
+believe B IH0 L IY1 V
+below B IH0 L OW1
+beneath B IH0 N IY1 TH
+beside B IH0 S AY1 D
+between B IH0 T W IY1 N
+beyond B IH0 AA1 N D
+bird B ER1 D
+birth B ER1 TH
+bitter B IH1 T ER0
+blood B L AH1 D
+blossom B L AA1 S AH0 M
+bloom B L UW1 M
+blue B L UW1
+body B AA1 D IY0
+bone B OW1 N
+breath B R EH1 TH
+breathe B R IY1 DH
+broken B R OW1 K AH0 N
+brother B R AH1 DH ER0
+burning B ER1 N IH0 NG
+calm K AA1 M
+candle K AE1 N D AH0 L
+care K EH1 R
+carry K AE1 R IY0
+cherry CH EH1 R IY0
+children CH IH1 L D R AH0 N
+cicada S IH0 K EY1 D AH0
+city S IH1 T IY0
+clear K L IH1 R
+close K L OW1 Z
+color K AH1 L ER0
+come K AH1 M
+country K AH1 N T R IY0
+cover K AH1 V ER0
+create K R IY0 EY1 T
+darkness D AA1 R K N AH0 S
+daughter D AO1 T ER0
+dead D EH1 D
+dear D IH1 R
+death D EH1 TH
+delight D IH0 L AY1 T
+desire D IH0 Z AY1 ER0
+different D IH1 F ER0 AH0 N T
+divine D IH0 V AY1 N
+do D UW1
+does D AH1 Z
+done D AH1 N
+door D AO1 R
+dove D AH1 V
+dream D R IY1 M
+dying D AY1 IH0 NG
+early ER1 L IY0
+earth ER1 TH
+echo EH1 K OW0
+empty EH1 M P T IY0
+eternal IH0 T ER1 N AH0 L
+even IY1 V AH0 N
+evening IY1 V N IH0 NG
+ever EH1 V ER0
+every EH1 V R IY0
+everyone EH1 V R IY0 W AH2 N
+everything EH1 V R IY0 TH IH2 NG
+eye AY1
+eyes AY1 Z
+fair F EH1 R
+father F AA1 DH ER0
+fear F IH1 R
+feather F EH1 DH ER0
+fire F AY1 ER0
+flower F L AW1 ER0
+follow F AA1 L OW0
+forever F ER0 EH1 V ER0
+forget F ER0 G EH1 T
+forgotten F ER0 G AA1 T AH0 N
+frog F R AA1 G
+friend F R EH1 N D
+garden G AA1 R D AH0 N
+gentle JH EH1 N T AH0 L
+ghost G OW1 S T
+give G IH1 V
+glory G L AO1 R IY0
+go G OW1
+golden G OW1 L D AH0 N
+gone G AO1 N
+great G R EY1 T
+guest G EH1 S T
+hair HH EH1 R
+happy HH AE1 P IY0
+have HH AE1 V
+head HH EH1 D
+heard HH ER1 D
+heart HH AA1 R T
+heaven HH EH1 V AH0 N
+here HH IH1 R
+hollow HH AA1 L OW0
+honey HH AH1 N IY0
+hour AW1 ER0
+idea AY0 D IY1 AH0
+into IH0 N T UW1
+island AY1 L AH0 N D
+journey JH ER1 N IY0
+knew N UW1
+know N OW1
+known N OW1 N
+lion L AY1 AH0 N
+little L IH1 T AH0 L
+live L IH1 V
+lonely L OW1 N L IY0
+love L AH1 V
+lover L AH1 V ER0
+loving L AH1 V IH0 NG
+many M EH1 N IY0
+maybe M EY1 B IY0
+memory M EH1 M ER0 IY0
+midnight M IH1 D N AY2 T
+mirror M IH1 R ER0
+moment M OW1 M AH0 N T
+morning M AO1 R N IH0 NG
+mother M AH1 DH ER0
+mountain M AW1 N T AH0 N
+move M UW1 V
+music M Y UW1 Z IH0 K
+myself M AY2 S EH1 L F
+near N IH1 R
+never N EH1 V ER0
+nevermore N EH1 V ER0 M AO2 R
+none N AH1 N
+nothing N AH1 TH IH0 NG
+ocean OW1 SH AH0 N
+of AH1 V
+once W AH1 N S
+one W AH1 N
+only OW1 N L IY0
+open OW1 P AH0 N
+other AH1 DH ER0
+our AW1 ER0
+over OW1 V ER0
+own OW1 N
+paper P EY1 P ER0
+people P IY1 P AH0 L
+perfect P ER1 F IH0 K T
+petal P EH1 T AH0 L
+pity P IH1 T IY0
+pleasure P L EH1 ZH ER0
+poem P OW1 AH0 M
+poet P OW1 AH0 T
+poetry P OW1 AH0 T R IY0
+power P AW1 ER0
+prayer P R EH1 R
+quiet K W AY1 AH0 T
+rather R AE1 DH ER0
+really R IH1 L IY0
+remember R IH0 M EH1 M B ER0
+river R IH1 V ER0
+sacred S EY1 K R AH0 D
+said S EH1 D
+says S EH1 Z
+science S AY1 AH0 N S
+season S IY1 Z AH0 N
+shadow SH AE1 D OW0
+shoe SH UW1
+shore SH AO1 R
+silence S AY1 L AH0 N S
+silent S AY1 L AH0 N T
+silver S IH1 L V ER0
+sister S IH1 S T ER0
+slowly S L OW1 L IY0
+some S AH1 M
+someone S AH1 M W AH2 N
+something S AH1 M TH IH2 NG
+sometime S AH1 M T AY2 M
+sometimes S AH1 M T AY2 M Z
+sorrow S AA1 R OW0
+soul S OW1 L
+spirit S P IH1 R AH0 T
+summer S AH1 M ER0
+sunlight S AH1 N L AY2 T
+sure SH UH1 R
+sweetly S W IY1 T L IY0
+temple T EH1 M P AH0 L
+tender T EH1 N D ER0
+their DH EH1 R
+there DH EH1 R
+thee DH IY1
+though DH OW1
+through TH R UW1
+thunder TH AH1 N D ER0
+to T UW1
+today T AH0 D EY1
+together T AH0 G EH1 DH ER0
+tomorrow T AH0 M AA1 R OW2
+tonight T AH0 N AY1 T
+too T UW1
+two T UW1
+under AH1 N D ER0
+until AH0 N T IH1 L
+upon AH0 P AA1 N
+very V EH1 R IY0
+wander W AA1 N D ER0
+was W AA1 Z
+water W AO1 T ER0
+were W ER1
+what W AH1 T
+where W EH1 R
+whisper W IH1 S P ER0
+who HH UW1
+whole HH OW1 L
+wind W IH1 N D
+window W IH1 N D OW0
+winter W IH1 N T ER0
+within W IH0 DH IH1 N
+without W IH0 TH AW1 T
+woman W UH1 M AH0 N
+women W IH1 M AH0 N
+wonder W AH1 N D ER0
+word W ER1 D
+work W ER1 K
+world W ER1 L D
+year Y IH1 R
+yellow Y EH1 L OW0
+yesterday Y EH1 S T ER0 D EY2
+you Y UW1
+young Y AH1 NG
+`;
+
+export const PRONUNCIATIONS: Map<string, string[]> = new Map(
+  ENTRIES.trim()
+    .split("\n")
+    .map((line) => {
+      const [word, ...phonemes] = line.trim().split(/\s+/);
+      return [word, phonemes] as [string, string[]];
+    })
+);
+
+export default { PRONUNCIATIONS };
@@ -0,0 +1,121 @@
+// provenance — where the final text came from: typed, pasted or composed (IME / dictation).
+// Exports:
+// - buildProvenance(history, opts) => report
+// - provenanceRegions(chars)       => [{ start, end, origin }] runs of non-typed text
+// - originOf(source)               => "typed" | "pasted" | "composed" | "other" | "unrecorded"
+// - DEFAULT_PROVENANCE_OPTIONS
+//
+// Report:
+//   chars         { typed, pasted, composed, other, unrecorded } characters of the final text
+//   percent       same keys, share of the final text (0–100, one decimal)
+//   regions       provenanceRegions() of the final text
+//   keystrokes    { count, meanMs, cv }  timing of single typed characters inside bursts
+//   signals       [{ kind, severity: "info" | "warn", message }] things a reviewer should look at
+//
+// "other" is text put back by undo/redo or restored from the graveyard; "unrecorded" is text
+// from sessions saved before sources were recorded. Signals are prompts for a closer look,
+// not verdicts.
+
+import { editEvents } from "./history";
+import { trackCharacters } from "./offsetTracker";
+
+export const DEFAULT_PROVENANCE_OPTIONS = {
+  burstGapMs: 2000, // keystroke gaps longer than this are pauses, not typing rhythm
+  minKeystrokes: 50, // rhythm checks need at least this many samples
+  steadyCv: 0.2, // human inter-key intervals vary far more than this
+  pastedShare: 30, // % of the final text pasted before it is called out
+  largePasteChars: 200,
+  bulkInsertChars: 20, // a "typed" event inserting this much at once
+  minCorrectionRate: 0.01, // deleted / typed characters below this is unusually clean
+  cleanTypingChars: 500,
+};
+
+const ORIGINS = ["typed", "pasted", "composed", "other", "unrecorded"];
+
+export function originOf(source) {
+  if (source === "type") return "typed";
+  if (source === "paste" || source === "drop") return "pasted";
+  if (source === "compose") return "composed";
+  if (!source) return "unrecorded";
+  return "other";
+}
+
+export function provenanceRegions(chars = []) {
+  const out = [];
+  let run = null;
+  for (let i = 0; i < chars.length; i++) {
+    const origin = originOf(chars[i] && chars[i].source);
+    if (origin === "typed") {
+      run = null;
+      continue;
+    }
+    if (run && run.origin === origin && run.end === i) run.end = i + 1;
+    else {
+      run = { start: i, end: i + 1, origin };
+      out.push(run);
+    }
+  }
+  return out;
+}
+
+function keystrokeTiming(events, o) {
+  const gaps = [];
+  for (let i = 1; i < events.length; i++) {
+    const a = events[i - 1];
+    const b = events[i];
+    if (a.type !== "insert" || b.type !== "insert" || a.source !== "type" || b.source !== "type") continue;
+    if (a.text.length !== 1 || b.text.length !== 1) continue;
+    const dt = (b.time || 0) - (a.time || 0);
+    if (dt > 0 && dt <= o.burstGapMs) gaps.push(dt);
+  }
+  if (gaps.length === 0) return { count: 0, meanMs: 0, cv: null };
+  const mean = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+  const variance = gaps.reduce((acc, g) => acc + (g - mean) ** 2, 0) / gaps.length;
+  return { count: gaps.length, meanMs: Math.round(mean), cv: mean > 0 ? Number((Math.sqrt(variance) / mean).toFixed(3)) : null };
+}
+
+export function buildProvenance(history = [], opts = {}) {
+  const o = { ...DEFAULT_PROVENANCE_OPTIONS, ...opts };
+  const events = editEvents(history);
+  const { chars: cells } = trackCharacters(events);
+
+  const chars = Object.fromEntries(ORIGINS.map((k) => [k, 0]));
+  for (const c of cells) chars[originOf(c.source)] += 1;
+  const total = cells.length;
+  const percent = Object.fromEntries(ORIGINS.map((k) => [k, total > 0 ? Number(((chars[k] / total) * 100).toFixed(1)) : 0]));
+
+  const keystrokes = keystrokeTiming(events, o);
+  const signals = [];
+
+  if (keystrokes.count >= o.minKeystrokes && keystrokes.cv != null && keystrokes.cv < o.steadyCv) {
+    signals.push({
+      kind: "steady-timing",
+      severity: "warn",
+      message: `Very steady inter-key timing (variation ${Math.round(keystrokes.cv * 100)}% over ${keystrokes.count} keystrokes); people rarely type this evenly`,
+    });
+  }
+  if (percent.pasted >= o.pastedShare) {
+    signals.push({ kind: "pasted-share", severity: "warn", message: `${percent.pasted}% of the final text was pasted or dropped in` });
+  }
+  const largePastes = events.filter((e) => e.type === "insert" && originOf(e.source) === "pasted" && e.text.length >= o.largePasteChars);
+  if (largePastes.length > 0) {
+    const biggest = largePastes.reduce((m, e) => Math.max(m, e.text.length), 0);
+    signals.push({ kind: "large-paste", severity: "info", message: `${largePastes.length} paste${largePastes.length === 1 ? "" : "s"} of ${o.largePasteChars}+ characters (largest ${biggest})` });
+  }
+  const bulk = events.filter((e) => e.type === "insert" && e.source === "type" && e.text.trim().length >= o.bulkInsertChars);
+  if (bulk.length > 0) {
+    signals.push({ kind: "bulk-insert", severity: "warn", message: `${bulk.length} typing event${bulk.length === 1 ? "" : "s"} inserted ${o.bulkInsertChars}+ characters at once (autocomplete or scripted input?)` });
+  }
+  const typedIn = events.reduce((n, e) => n + (e.type === "insert" && e.source === "type" ? e.text.length : 0), 0);
+  const deleted = events.reduce((n, e) => n + (e.type === "delete" ? e.text.length : 0), 0);
+  if (typedIn >= o.cleanTypingChars && deleted / typedIn < o.minCorrectionRate) {
+    signals.push({ kind: "no-corrections", severity: "info", message: `Almost no corrections: ${deleted} characters deleted for ${typedIn} typed, which looks like transcription` });
+  }
+  if (percent.unrecorded > 0) {
+    signals.push({ kind: "unrecorded", severity: "info", message: `${percent.unrecorded}% of the text has no recorded source (older or imported session)` });
+  }
+
+  return { chars, percent, regions: provenanceRegions(cells), keystrokes, signals };
+}
+
+export default { buildProvenance, provenanceRegions, originOf, DEFAULT_PROVENANCE_OPTIONS };
@@ -0,0 +1,167 @@
+// repetition — echoes: distinctive words and phrases repeated close together.
+// Exports:
+// - findRepetitions(text, opts) => [{ key, label, words, occurrences, count, minGap, score, severity }]
+// - echoRanges(repetitions)     => [{ start, end, key, severity }] non-overlapping, in text order
+// - stemWord(word)              => crude lemma used to group word forms
+// - DEFAULT_REPETITION_OPTIONS, SEVERITY_COLORS (overlay colour per severity)
+//
+// A word or an n-gram (up to maxN words) is an echo when it appears minCount times within
+// windowWords words. Words are grouped by a crude stem, so "walk", "walks" and "walked" echo
+// each other; stopwords are ignored (a phrase may contain them but not start or end with one).
+// Only occurrences that take part in an echo are reported.
+//
+// Per repetition: count is the most occurrences inside one window, minGap the fewest words
+// between two of them. score (0–1) grows with count, closeness and how rare the word is
+// (./wordLists); severity is "high", "medium" or "low" by score.
+
+import { DEFAULT_STOPWORDS } from "./keyphrase";
+import { COMMON_WORDS } from "./wordLists";
+
+export const DEFAULT_REPETITION_OPTIONS = {
+  windowWords: 100,
+  minCount: 2,
+  maxN: 4,
+  minLength: 3, // single words shorter than this are never echoes
+  ignoreNames: true, // words that are always capitalised mid-sentence (names) repeat on purpose
+  minScore: 0.2,
+};
+
+export const SEVERITY_COLORS = {
+  high: "rgba(229, 57, 53, 0.30)",
+  medium: "rgba(245, 133, 41, 0.28)",
+  low: "rgba(250, 204, 21, 0.30)",
+};
+
+const STOPWORDS = new Set([
+  ...DEFAULT_STOPWORDS,
+  ..."am has have had do does did not no so than too very can could will would shall should may might must just also only there here what which who whom when where why how all any some each every into out up down over about its his hers ours theirs mine yours one said says like then".split(" "),
+]);
+const RANK = new Map(COMMON_WORDS.map((w, i) => [w, i]));
+const TOKEN = /[\p{L}\p{N}][\p{L}\p{N}'’]*/gu;
+
+export function stemWord(word) {
+  let w = String(word || "").toLowerCase().replace(/’/g, "'").replace(/'s$/, "");
+  if (w.length <= 3) return w;
+  if (/ies$/.test(w) && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (/(?:sh|ch|[sxz])es$/.test(w)) w = w.slice(0, -2);
+  else if (/s$/.test(w) && !/(?:ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  if (/ing$/.test(w) && w.length > 5) w = w.slice(0, -3);
+  else if (/[^e]ed$/.test(w) && w.length > 4) w = w.slice(0, -2);
+  if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1); // running -> run, stopped -> stop
+  if (/[^aeiou]e$/.test(w) && w.length > 3) w = w.slice(0, -1); // hope / hoped / hoping
+  return w;
+}
+
+function rarity(word) {
+  const rank = RANK.get(word);
+  return rank === undefined ? 1 : 0.3 + 0.7 * (rank / COMMON_WORDS.length);
+}
+
+function tokenize(text) {
+  const out = [];
+  let m;
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(text)) !== null) {
+    const lower = m[0].toLowerCase().replace(/’/g, "'");
+    const before = text.slice(Math.max(0, m.index - 3), m.index);
+    out.push({
+      start: m.index,
+      end: m.index + m[0].length,
+      lower,
+      stem: stemWord(lower),
+      stop: STOPWORDS.has(lower),
+      capital: /^\p{Lu}/u.test(m[0]),
+      midSentence: m.index > 0 && !/[.!?…"“]\s*$|^\s*$/.test(before),
+    });
+  }
+  return out;
+}
+
+// occurrences (token indices) that fall minCount-or-more to a window; count and closest gap
+function clusters(positions, o) {
+  const flagged = new Set();
+  let count = 0;
+  let minGap = Infinity;
+  let i = 0;
+  for (let j = 0; j < positions.length; j++) {
+    while (positions[j] - positions[i] >= o.windowWords) i += 1;
+    if (j > 0) minGap = Math.min(minGap, positions[j] - positions[j - 1]);
+    if (j - i + 1 >= o.minCount) {
+      for (let k = i; k <= j; k++) flagged.add(k);
+      count = Math.max(count, j - i + 1);
+    }
+  }
+  return { flagged, count, minGap };
+}
+
+export function findRepetitions(text, opts = {}) {
+  const o = { ...DEFAULT_REPETITION_OPTIONS, ...opts };
+  const src = String(text || "");
+  const tokens = tokenize(src);
+
+  // key -> token indices where it starts
+  const groups = new Map();
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].stop) continue;
+    for (let n = 1; n <= o.maxN && i + n <= tokens.length; n++) {
+      const last = tokens[i + n - 1];
+      if (n === 1 && last.lower.length < o.minLength) continue;
+      if (n > 1 && last.stop) continue;
+      const key = tokens
+        .slice(i, i + n)
+        .map((t) => t.stem)
+        .join(" ");
+      if (!groups.has(key)) groups.set(key, { n, starts: [] });
+      groups.get(key).starts.push(i);
+    }
+  }
+
+  const reps = [];
+  for (const [key, { n, starts }] of groups) {
+    if (starts.length < o.minCount) continue;
+    if (n === 1 && o.ignoreNames && starts.every((i) => tokens[i].capital) && starts.some((i) => tokens[i].midSentence)) continue;
+    const { flagged, count, minGap } = clusters(starts, o);
+    if (flagged.size === 0) continue;
+
+    const occurrences = starts
+      .filter((_, k) => flagged.has(k))
+      .map((i) => ({ start: tokens[i].start, end: tokens[i + n - 1].end, text: src.slice(tokens[i].start, tokens[i + n - 1].end) }));
+    const distinct = n === 1 ? rarity(tokens[starts[0]].lower) : Math.min(1, 0.7 + 0.1 * n);
+    const density = Math.min(1, (count - 1) / 2);
+    const proximity = Math.max(0, 1 - minGap / o.windowWords);
+    const score = Number((distinct * (0.6 * density + 0.4 * proximity)).toFixed(3));
+    if (score < o.minScore) continue;
+
+    // most frequent spelling as the label
+    const spellings = new Map();
+    for (const occ of occurrences) {
+      const s = occ.text.toLowerCase();
+      spellings.set(s, (spellings.get(s) || 0) + 1);
+    }
+    const label = [...spellings.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    reps.push({ key, label, words: n, occurrences, count, minGap, score, severity: score >= 0.6 ? "high" : score >= 0.35 ? "medium" : "low" });
+  }
+
+  // a phrase's words echo along with it; drop single words whose echoes are all inside a reported phrase
+  const phraseCover = reps.filter((r) => r.words > 1).flatMap((r) => r.occurrences);
+  const covered = (occ) => phraseCover.some((p) => p.start <= occ.start && occ.end <= p.end);
+  return reps
+    .filter((r) => r.words > 1 || !r.occurrences.every(covered))
+    .sort((a, b) => b.score - a.score || b.words - a.words || a.occurrences[0].start - b.occurrences[0].start);
+}
+
+// Ranges for an overlay: longer and more severe repetitions win where they overlap.
+export function echoRanges(repetitions = []) {
+  const all = repetitions.flatMap((r) => r.occurrences.map((occ) => ({ start: occ.start, end: occ.end, key: r.key, severity: r.severity, words: r.words, score: r.score })));
+  all.sort((a, b) => b.words - a.words || b.score - a.score);
+  const used = new Uint8Array(all.reduce((m, r) => Math.max(m, r.end), 0));
+  const taken = [];
+  for (const r of all) {
+    if (used.subarray(r.start, r.end).some((u) => u)) continue;
+    used.fill(1, r.start, r.end);
+    taken.push(r);
+  }
+  return taken.sort((a, b) => a.start - b.start).map(({ start, end, key, severity }) => ({ start, end, key, severity }));
+}
+
+export default { findRepetitions, echoRanges, stemWord, DEFAULT_REPETITION_OPTIONS, SEVERITY_COLORS };
@@ -0,0 +1,210 @@
+// replayExport — builds a single self-contained HTML file that replays a session.
+// Exports:
+// - buildReplayHTML({ history, title, mode, analysis })  => HTML string
+//
+// The file has no external references: the session events are embedded as JSON and
+// a small vanilla-JS player (play/pause, speed, scrubber, idle compression) is inlined,
+// so it opens offline in any browser.
+
+import { editEvents } from "./history";
+import { findMarkers } from "./replayMarkers";
+
+function escapeHTML(s) {
+  return String(s || "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// JSON that is safe inside a <script> element
+function embedJSON(data) {
+  return JSON.stringify(data).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+const STYLE = `
+body { margin: 0; padding: 28px; background: linear-gradient(180deg, #fffdfb 0%, #fff8f4 100%); color: #0f172a;
+  font-family: Inter, system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; }
+main { max-width: 880px; margin: 0 auto; }
+h1 { font-family: Georgia, "Times New Roman", serif; font-size: 30px; margin: 0 0 4px 0;
+  background: linear-gradient(90deg, #f58529 0%, #dd2a7b 50%, #8134af 100%); -webkit-background-clip: text; background-clip: text; color: transparent; }
+.meta { font-size: 13px; color: #64748b; margin-bottom: 16px; }
+#text { min-height: 320px; padding: 22px; border-radius: 16px; background: #fff; border: 1px solid rgba(11,29,65,0.06);
+  box-shadow: 0 18px 40px rgba(11,29,65,0.06); font-family: "Palatino Linotype", "Book Antiqua", Palatino, Georgia, serif;
+  font-size: 18px; line-height: 1.75; white-space: pre-wrap; word-wrap: break-word; }
+.caret { display: inline-block; width: 2px; height: 1.2em; margin: 0 -1px; vertical-align: text-bottom; background: #dd2a7b;
+  animation: blink 1s steps(1) infinite; }
+@keyframes blink { 50% { opacity: 0; } }
+.track { position: relative; padding-top: 14px; margin-top: 12px; }
+.markers { position: absolute; top: 0; left: 8px; right: 8px; height: 14px; }
+.marker { position: absolute; top: 0; width: 10px; height: 10px; margin-left: -5px; padding: 0; border: none; border-radius: 50%; cursor: pointer; }
+.marker.pause { background: #94a3b8; } .marker.deletion { background: #4f46e5; } .marker.paste { background: #dd2a7b; } .marker.burst { background: #f58529; }
+input[type=range] { width: 100%; accent-color: #dd2a7b; }
+.controls { display: flex; align-items: center; gap: 12px; flex-wrap: wrap; margin-top: 8px; font-size: 13px; color: #3a2b4a; }
+button.play { padding: 10px 18px; border-radius: 12px; border: none; cursor: pointer; color: #fff; font-weight: 700;
+  background: linear-gradient(90deg, #f58529 0%, #dd2a7b 50%, #8134af 100%); }
+#clock { font-variant-numeric: tabular-nums; }
+footer { margin-top: 18px; font-size: 12px; color: #94a3b8; }
+`;
+
+// Runs inside the exported file. Kept ES5 so it works in old browsers too.
+const PLAYER = `
+(function () {
+  var data = JSON.parse(document.getElementById("infraread-data").textContent);
+  var ev = data.events;
+  var IDLE = 3000, SQUASH = 800, CHECK = 200;
+  var t0 = ev.length ? ev[0].time : 0;
+  var times = ev.map(function (e) { return Math.max(0, e.time - t0); });
+  var duration = times.length ? times[times.length - 1] : 0;
+
+  function apply(text, e) {
+    if (e.type === "insert") return text.slice(0, e.pos) + e.text + text.slice(e.pos);
+    if (e.type === "delete") return text.slice(0, e.pos) + text.slice(e.pos + e.text.length);
+    return text;
+  }
+
+  // text after every CHECK events, so seeking never replays from zero
+  var checkpoints = [""], acc = "";
+  for (var i = 0; i < ev.length; i++) {
+    acc = apply(acc, ev[i]);
+    if ((i + 1) % CHECK === 0) checkpoints.push(acc);
+  }
+  function textAfter(n) {
+    var k = Math.floor(n / CHECK), t = checkpoints[k];
+    for (var j = k * CHECK; j < n; j++) t = apply(t, ev[j]);
+    return t;
+  }
+
+  var elText = document.getElementById("text"), elPlay = document.getElementById("play"),
+      elSpeed = document.getElementById("speed"), elIdle = document.getElementById("idle"),
+      elScrub = document.getElementById("scrub"), elClock = document.getElementById("clock"),
+      elMarkers = document.getElementById("markers");
+
+  var cursor = 0, clock = 0, text = "", playing = false, last = 0;
+
+  function fmt(ms) {
+    var s = Math.max(0, Math.round(ms / 1000));
+    return Math.floor(s / 60) + ":" + ("0" + (s % 60)).slice(-2);
+  }
+
+  function caretPos() {
+    var e = cursor > 0 ? ev[cursor - 1] : null;
+    if (!e) return text.length;
+    return e.type === "insert" ? e.pos + e.text.length : e.pos;
+  }
+
+  function render() {
+    var c = Math.min(caretPos(), text.length);
+    elText.textContent = text.slice(0, c);
+    var caret = document.createElement("span");
+    caret.className = "caret";
+    elText.appendChild(caret);
+    elText.appendChild(document.createTextNode(text.slice(c)));
+    elScrub.value = String(Math.round(clock));
+    elClock.textContent = fmt(clock) + " / " + fmt(duration);
+    elPlay.textContent = playing ? "Pause" : cursor > 0 && cursor < ev.length ? "Resume" : "Play";
+  }
+
+  function seek(ms) {
+    clock = Math.max(0, Math.min(duration, ms));
+    var n = 0;
+    while (n < ev.length && times[n] <= clock) n++;
+    cursor = n;
+    text = textAfter(n);
+    render();
+  }
+
+  function tick(now) {
+    if (!playing) return;
+    var dt = last ? now - last : 0;
+    last = now;
+    clock += dt * Number(elSpeed.value);
+    // squash long idle gaps: jump ahead to SQUASH ms before the next event
+    if (elIdle.checked && cursor > 0 && cursor < ev.length && times[cursor] - times[cursor - 1] > IDLE) {
+      clock = Math.max(clock, times[cursor] - SQUASH);
+    }
+    var changed = false;
+    while (cursor < ev.length && times[cursor] <= clock) {
+      text = apply(text, ev[cursor]);
+      cursor++;
+      changed = true;
+    }
+    if (cursor >= ev.length) {
+      clock = duration;
+      playing = false;
+    }
+    if (changed || dt > 0) render();
+    if (playing) requestAnimationFrame(tick);
+  }
+
+  elPlay.onclick = function () {
+    if (playing) {
+      playing = false;
+    } else {
+      if (cursor >= ev.length) seek(0);
+      playing = true;
+      last = 0;
+      requestAnimationFrame(tick);
+    }
+    render();
+  };
+  elScrub.max = String(Math.max(1, Math.round(duration)));
+  elScrub.oninput = function () { seek(Number(elScrub.value)); };
+
+  (data.markers || []).forEach(function (m) {
+    var b = document.createElement("button");
+    b.className = "marker " + m.kind;
+    b.title = m.label + " at " + fmt(m.time);
+    b.style.left = (duration > 0 ? (m.time / duration) * 100 : 0) + "%";
+    b.onclick = function () { seek(m.index > 0 ? times[m.index - 1] : 0); };
+    elMarkers.appendChild(b);
+  });
+
+  render();
+})();
+`;
+
+export function buildReplayHTML({ history = [], title = "Infraread replay", mode, analysis } = {}) {
+  const edits = editEvents(history);
+  const events = edits.map((e) => ({ type: e.type, pos: e.pos, text: e.text, time: e.time }));
+  // computed on the same keyframe-free list, so marker indexes line up with `events`
+  const markers = findMarkers(edits).map((m) => ({ kind: m.kind, index: m.index, time: m.time, label: m.label }));
+  const stats = analysis && typeof analysis === "object" ? analysis : null;
+  const exported = new Date().toLocaleString();
+  const meta = [mode, `${events.length} edits`, `exported ${exported}`].filter(Boolean).join(" · ");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHTML(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHTML(title)}</h1>
+  <div class="meta">${escapeHTML(meta)}</div>
+  <div id="text"></div>
+  <div class="track">
+    <div class="markers" id="markers"></div>
+    <input id="scrub" type="range" min="0" max="1" step="1" value="0" />
+  </div>
+  <div class="controls">
+    <button class="play" id="play">Play</button>
+    <label>Speed
+      <select id="speed">
+        <option value="0.25">0.25×</option><option value="0.5">0.5×</option><option value="1" selected>1×</option>
+        <option value="2">2×</option><option value="4">4×</option><option value="8">8×</option>
+        <option value="16">16×</option><option value="32">32×</option>
+      </select>
+    </label>
+    <label><input id="idle" type="checkbox" checked /> Compress idle gaps</label>
+    <span id="clock">0:00 / 0:00</span>
+  </div>
+  <footer>Recorded with Infraread${stats && stats.durationMs ? ` · ${Math.round(stats.durationMs / 1000)}s of writing` : ""}</footer>
+</main>
+<script type="application/json" id="infraread-data">${embedJSON({ events, markers })}</script>
+<script>${PLAYER}</script>
+</body>
+</html>
+`;
+}
+
+export default { buildReplayHTML };
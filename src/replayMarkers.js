@@ -0,0 +1,93 @@
+// replayMarkers — notable moments in a history, for the replay scrubber.
+// Exports:
+// - findMarkers(history, opts) => [{ kind, index, time, size, label }]
+// - caretAfter(event)          => caret offset right after an event
+//
+// kind is one of "pause", "deletion", "paste", "burst". `index` is the number of
+// history events applied at that moment (pass it to TimelinePlayer.seekIndex) and
+// `time` is session ms since the first event.
+
+export const DEFAULT_MARKER_OPTIONS = {
+  pauseMs: 2000, // gap that counts as a pause
+  deletionChars: 20, // characters removed in one run to count as a large deletion
+  deletionGapMs: 1000, // deletes closer than this belong to the same run
+  pasteChars: 30, // a single insert this long without a recorded source is treated as a paste
+  burstGapMs: 300, // inserts closer than this belong to the same burst
+  burstChars: 30, // characters a burst needs to get a marker
+};
+
+export function caretAfter(ev) {
+  if (!ev) return 0;
+  if (ev.type === "insert") return ev.pos + ev.text.length;
+  if (ev.type === "delete") return ev.pos;
+  return String(ev.value || "").length;
+}
+
+function fmtSeconds(ms) {
+  return `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+}
+
+export function findMarkers(history = [], opts = {}) {
+  const o = { ...DEFAULT_MARKER_OPTIONS, ...opts };
+  const out = [];
+  if (!history || history.length === 0) return out;
+  const t0 = history[0].time || 0;
+  const at = (i) => Math.max(0, (history[i].time || 0) - t0);
+
+  let prevEdit = -1;
+  let del = null; // current deletion run
+  let burst = null; // current insert burst
+
+  const closeDeletion = () => {
+    if (del && del.size >= o.deletionChars) {
+      out.push({ kind: "deletion", index: del.index, time: del.time, size: del.size, label: `Deleted ${del.size} chars` });
+    }
+    del = null;
+  };
+  const closeBurst = () => {
+    if (burst && burst.size >= o.burstChars) {
+      out.push({ kind: "burst", index: burst.index, time: burst.time, size: burst.size, label: `Burst of ${burst.size} chars` });
+    }
+    burst = null;
+  };
+
+  for (let i = 0; i < history.length; i++) {
+    const ev = history[i];
+    if (ev.type === "keyframe") continue;
+    const gap = prevEdit >= 0 ? at(i) - at(prevEdit) : 0;
+
+    if (prevEdit >= 0 && gap >= o.pauseMs) {
+      out.push({ kind: "pause", index: prevEdit + 1, time: at(prevEdit), size: gap, label: `Paused ${fmtSeconds(gap)}` });
+    }
+
+    if (ev.type === "delete") {
+      closeBurst();
+      if (del && gap < o.deletionGapMs) del.size += ev.text.length;
+      else {
+        closeDeletion();
+        del = { index: i, time: at(i), size: ev.text.length };
+      }
+    } else if (ev.type === "insert") {
+      // a replacement's delete + insert share a timestamp; only a real gap ends the deletion run
+      if (gap > 0) closeDeletion();
+      const pasted = ev.source === "paste" || ev.source === "drop" || (!ev.source && ev.text.length >= o.pasteChars);
+      if (pasted) {
+        closeBurst();
+        out.push({ kind: "paste", index: i, time: at(i), size: ev.text.length, label: `Pasted ${ev.text.length} chars` });
+      } else if (burst && gap < o.burstGapMs) {
+        burst.size += ev.text.length;
+      } else {
+        closeBurst();
+        burst = { index: i, time: at(i), size: ev.text.length };
+      }
+    }
+    prevEdit = i;
+  }
+  closeDeletion();
+  closeBurst();
+
+  out.sort((a, b) => a.time - b.time || a.index - b.index);
+  return out;
+}
+
+export default { findMarkers, caretAfter, DEFAULT_MARKER_OPTIONS };
@@ -0,0 +1,122 @@
+// segmentStats — writing-process stats for each sentence and paragraph of the final text.
+// Exports:
+// - splitParagraphs(text) => [{ start, end }]
+// - splitSentences(text)  => [{ start, end, paragraph }]
+// - segmentStats(text, chars) => { sentences, paragraphs }
+// - segmentAt(segments, offset) => segment | null
+//
+// `chars` is trackCharacters(history).chars (see ./offsetTracker). Each segment:
+//   kind            "sentence" | "paragraph"
+//   index, start, end, text
+//   composeMs       writing time spent on it, deletions inside it included (sum of char effort)
+//   revisions       reworked words: sum over its words of their revision count
+//   longestPauseMs  longest silence before any of its characters were typed
+//   pastedChars, pasted   pasted characters, and whether they make up at least half of it
+//   startedAt, finishedAt  when its first / last surviving character was typed
+//
+// Boundaries: paragraphs break at newlines; sentences end at . ! ? … (plus closing quotes or
+// brackets) followed by whitespace — the same punctuation renderHeatText treats as a word edge.
+
+// a full stop only ends a sentence when a capital, digit or the end of the paragraph follows ("e.g. this")
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s+["'“‘(\[]?[\p{Lu}\p{N}]|\s*$)/gu;
+
+export function splitParagraphs(text = "") {
+  const out = [];
+  const re = /[^\n]+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[0].trim()) out.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+export function splitSentences(text = "") {
+  const out = [];
+  splitParagraphs(text).forEach((p, paragraph) => {
+    const body = text.slice(p.start, p.end);
+    let from = 0;
+    const push = (to) => {
+      const raw = body.slice(from, to);
+      const lead = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (trimmed) out.push({ start: p.start + from + lead, end: p.start + from + lead + trimmed.length, paragraph });
+    };
+    SENTENCE_END.lastIndex = 0;
+    let m;
+    while ((m = SENTENCE_END.exec(body)) !== null) {
+      const to = m.index + m[0].length;
+      push(to);
+      from = to;
+    }
+    push(body.length);
+  });
+  return out;
+}
+
+function wordRevisions(text, chars, start, end) {
+  let total = 0;
+  const re = /\S+/g;
+  re.lastIndex = start;
+  let m;
+  while ((m = re.exec(text)) !== null && m.index < end) {
+    let best = 0;
+    for (let k = m.index; k < Math.min(end, m.index + m[0].length); k++) {
+      if (chars[k]) best = Math.max(best, chars[k].revisions);
+    }
+    total += best;
+  }
+  return total;
+}
+
+function describe(kind, index, seg, text, chars) {
+  let composeMs = 0;
+  let longestPauseMs = 0;
+  let pastedChars = 0;
+  let startedAt = null;
+  let finishedAt = null;
+  for (let k = seg.start; k < seg.end; k++) {
+    const c = chars[k];
+    if (!c) continue;
+    composeMs += c.effort || 0;
+    longestPauseMs = Math.max(longestPauseMs, c.pause || 0);
+    if (c.pasted) pastedChars += 1;
+    if (startedAt == null || c.born < startedAt) startedAt = c.born;
+    if (finishedAt == null || c.born > finishedAt) finishedAt = c.born;
+  }
+  const len = seg.end - seg.start;
+  return {
+    ...seg,
+    kind,
+    index,
+    text: text.slice(seg.start, seg.end),
+    composeMs: Math.round(composeMs),
+    revisions: wordRevisions(text, chars, seg.start, seg.end),
+    longestPauseMs,
+    pastedChars,
+    pasted: len > 0 && pastedChars * 2 >= len,
+    startedAt,
+    finishedAt,
+  };
+}
+
+export function segmentStats(text = "", chars = []) {
+  return {
+    sentences: splitSentences(text).map((s, i) => describe("sentence", i, s, text, chars)),
+    paragraphs: splitParagraphs(text).map((p, i) => describe("paragraph", i, p, text, chars)),
+  };
+}
+
+export function segmentAt(segments = [], offset) {
+  let lo = 0;
+  let hi = segments.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const s = segments[mid];
+    if (offset < s.start) hi = mid - 1;
+    else if (offset >= s.end) lo = mid + 1;
+    else return s;
+  }
+  return null;
+}
+
+export default { splitParagraphs, splitSentences, segmentStats, segmentAt };
@@ -0,0 +1,236 @@
+// sentiment — rule-based connotation scoring of words, phrases and sentences (VADER-style rules).
+// Exports:
+// - scoreText(text, lexicon?)       => { score, sentences: [{ start, end, score }], words: [{ start, end, word, valence, from }] }
+// - scorePhrase(phrase, lexicon?)   => score of the phrase read on its own
+// - contextScore(words, start, end) => score of [start, end) from scoreText().words, i.e. read in its context
+// - normalizeScore(sum)             => squash a sum of valences into -1 … 1
+// - tokenizeClauses(text)           => [{ start, end, word, lower, clause }]
+// - modifiersBefore(tokens, i)      => { boost, negated, from }: what the words before tokens[i] do to it
+// - SENTIMENT_LEXICON, INTENSIFIERS, NEGATIONS
+//
+// Scores run from -1 (negative) to 1 (positive). A word's valence comes from the lexicon
+// (SENTIMENT_LEXICON unless a layered one from ./lexicons is passed; entries may be phrases of
+// up to a few words, which then count as one word) and is then adjusted by its context,
+// within its clause (commas, semicolons, dashes … end a clause):
+//   intensifiers / dampeners  up to three words before ("very happy", "slightly worried"),
+//                             fading with distance; "kind of", "a bit" … count as dampeners
+//   negation                  "not", "never", "n't" … up to three words before flip and soften a
+//                             positive word ("not happy"); a negative one ("without fear") turns
+//                             neutral, as in ./emotions (but "never so happy" is emphasis)
+//   capitals                  an ALL-CAPS word in mixed-case text is emphasised
+//   contrast                  in a sentence with "but" / "however", what comes before counts half
+//                             and what comes after one and a half times
+// A sentence's score is its valences summed, pushed further by "!" (and by "??"), then
+// normalised; the text's score is the mean over the sentences that carry any sentiment.
+// A word's `from` is where the words that modified it begin ("not very" in "not very happy").
+
+import { splitSentences } from "./segmentStats";
+
+export const SENTIMENT_LEXICON = {
+  // positive
+  love: 0.95, loved: 0.9, lovely: 0.8, adore: 0.85, joy: 0.85, joyful: 0.85, happy: 0.85, happiness: 0.8,
+  delight: 0.8, delighted: 0.8, delightful: 0.8, excellent: 0.9, wonderful: 0.85, fantastic: 0.85,
+  amazing: 0.8, brilliant: 0.8, beautiful: 0.75, great: 0.75, good: 0.65, nice: 0.55, fine: 0.3,
+  pleasant: 0.55, glad: 0.6, pleased: 0.6, proud: 0.6, hope: 0.5, hopeful: 0.55, calm: 0.35,
+  peace: 0.55, peaceful: 0.55, warm: 0.35, kind: 0.5, gentle: 0.4, grateful: 0.7, thankful: 0.65,
+  success: 0.65, succeed: 0.6, win: 0.6, won: 0.55, triumph: 0.75, celebrate: 0.6, laugh: 0.55,
+  smile: 0.5, fun: 0.55, exciting: 0.65, excited: 0.65, best: 0.7, better: 0.45, perfect: 0.8,
+  safe: 0.4, free: 0.4, bright: 0.35, sweet: 0.5, comfort: 0.45, trust: 0.5, brave: 0.55, strong: 0.35,
+  // negative
+  hate: -0.95, hated: -0.9, awful: -0.85, terrible: -0.85, horrible: -0.85, dreadful: -0.8,
+  sad: -0.85, sadness: -0.8, unhappy: -0.75, miserable: -0.85, depressed: -0.8, grief: -0.8,
+  anger: -0.85, angry: -0.85, furious: -0.9, rage: -0.85, bitter: -0.6, bad: -0.6, worse: -0.65,
+  worst: -0.8, poor: -0.45, wrong: -0.5, failure: -0.75, fail: -0.65, failed: -0.65, lose: -0.5,
+  lost: -0.45, loss: -0.55, worried: -0.55, worry: -0.5, anxious: -0.6, afraid: -0.65, fear: -0.7,
+  scared: -0.65, terrified: -0.85, nervous: -0.45, lonely: -0.65, alone: -0.3, hurt: -0.65,
+  pain: -0.7, painful: -0.7, cry: -0.55, cried: -0.55, tears: -0.45, ugly: -0.6, cold: -0.25,
+  dark: -0.3, broken: -0.55, cruel: -0.8, guilty: -0.55, shame: -0.65, ashamed: -0.65,
+  disappointed: -0.65, disappointing: -0.6, boring: -0.45, tired: -0.35, sick: -0.5, dead: -0.6,
+  death: -0.65, die: -0.6, kill: -0.8, war: -0.6, danger: -0.55, dangerous: -0.55, problem: -0.4,
+  trouble: -0.45, sorry: -0.35, regret: -0.6,
+};
+
+// added to the size of a valence (before the sign), negative ones dampen
+export const INTENSIFIERS = {
+  very: 0.25, really: 0.25, so: 0.2, too: 0.15, extremely: 0.35, incredibly: 0.35, absolutely: 0.35,
+  completely: 0.3, totally: 0.3, utterly: 0.35, deeply: 0.3, truly: 0.25, highly: 0.25, most: 0.2,
+  more: 0.15, especially: 0.2, particularly: 0.2, remarkably: 0.25, terribly: 0.3, awfully: 0.3,
+  slightly: -0.25, somewhat: -0.2, barely: -0.3, hardly: -0.3, scarcely: -0.3, marginally: -0.25,
+  partly: -0.2, fairly: -0.1, rather: -0.1, quite: 0.1, little: -0.2, less: -0.2, kinda: -0.25,
+  "kind of": -0.25, "sort of": -0.25, "a bit": -0.25, "a little": -0.25,
+};
+
+export const NEGATIONS = new Set(
+  "not no never none nobody nothing neither nor nowhere cannot without lack lacks lacking ain't aint".split(" ")
+);
+
+const NEGATION_SCALAR = -0.74;
+const CAPS_BOOST = 0.18;
+const SCOPE = 3; // words back that an intensifier or a negation reaches
+const FADE = [1, 0.95, 0.9];
+const CONTRAST = new Set(["but", "however"]);
+const ALPHA = 0.5; // normalisation constant: a lone "happy" (0.85) scores about 0.77
+
+const TOKEN = /[\p{L}\p{N}][\p{L}\p{N}'’]*/gu;
+const CLAUSE_BREAK = /[,;:.!?…—–()\n]/;
+
+export function normalizeScore(sum) {
+  if (!Number.isFinite(sum) || sum === 0) return 0;
+  return Number((sum / Math.sqrt(sum * sum + ALPHA)).toFixed(3));
+}
+
+function isNegation(word) {
+  return NEGATIONS.has(word) || /n['’]t$/.test(word);
+}
+
+export function tokenizeClauses(text) {
+  const out = [];
+  let clause = 0;
+  let last = 0;
+  let m;
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(text)) !== null) {
+    if (CLAUSE_BREAK.test(text.slice(last, m.index))) clause += 1;
+    const lower = m[0].toLowerCase().replace(/’/g, "'");
+    if (CONTRAST.has(lower)) clause += 1;
+    out.push({ start: m.index, end: m.index + m[0].length, word: m[0], lower, clause });
+    last = m.index + m[0].length;
+  }
+  return out;
+}
+
+function lookup(lexicon, key) {
+  return Object.prototype.hasOwnProperty.call(lexicon, key) ? Number(lexicon[key]) || 0 : 0;
+}
+
+// most words in one lexicon entry, cached per lexicon object
+const phraseLengths = new WeakMap();
+function longestEntry(lexicon) {
+  let n = phraseLengths.get(lexicon);
+  if (n === undefined) {
+    n = 1;
+    for (const key of Object.keys(lexicon)) n = Math.max(n, key.split(" ").length);
+    phraseLengths.set(lexicon, n);
+  }
+  return n;
+}
+
+// the longest lexicon entry starting at tokens[i] inside its clause: { n (tokens), base (valence) }
+function entryAt(tokens, i, lexicon) {
+  for (let n = Math.min(longestEntry(lexicon), tokens.length - i); n > 1; n--) {
+    if (tokens[i + n - 1].clause !== tokens[i].clause) continue;
+    const key = tokens
+      .slice(i, i + n)
+      .map((t) => t.lower)
+      .join(" ");
+    // a phrase scored 0 is an entry too: it makes its words neutral
+    if (Object.prototype.hasOwnProperty.call(lexicon, key)) return { n, base: lookup(lexicon, key) };
+  }
+  return { n: 1, base: lookup(lexicon, tokens[i].lower) };
+}
+
+// valence of the lexicon entry at tokens[i] (n tokens long) with the words before it in its
+// clause taken into account, and where the earliest of those modifiers starts
+function contextualValence(tokens, i, n, base, shouting) {
+  const t = tokens[i];
+  const none = { valence: 0, from: t.start };
+  if (!base) return none;
+  const next = tokens[i + n];
+  if (n === 1 && next && INTENSIFIERS[`${t.lower} ${next.lower}`]) return none; // the "kind" of "kind of"
+  const { boost, negated, from } = modifiersBefore(tokens, i);
+  let size = Math.abs(base) + boost;
+  if (shouting && n === 1 && t.word.length > 1 && t.word === t.word.toUpperCase()) size += CAPS_BOOST;
+  const v = Math.sign(base) * Math.max(0, size);
+  // negating something bad doesn't make it good: "without fear" is neutral, not brave
+  if (negated) return { valence: v > 0 ? v * NEGATION_SCALAR : 0, from };
+  return { valence: v, from };
+}
+
+// intensifiers / dampeners and negation among the (up to SCOPE) words before tokens[i] in its clause
+export function modifiersBefore(tokens, i) {
+  const t = tokens[i];
+  let boost = 0;
+  let negated = false;
+  let from = t.start;
+  for (let k = 1; k <= SCOPE && i - k >= 0; k++) {
+    const prev = tokens[i - k];
+    if (prev.clause !== t.clause) break;
+    const pair = i - k - 1 >= 0 && tokens[i - k - 1].clause === t.clause ? `${tokens[i - k - 1].lower} ${prev.lower}` : "";
+    const b = INTENSIFIERS[pair] ?? INTENSIFIERS[prev.lower];
+    if (b) {
+      boost += b * FADE[k - 1];
+      from = INTENSIFIERS[pair] ? tokens[i - k - 1].start : prev.start;
+    }
+    // "never so happy" / "never this good" intensify instead of negating
+    if (prev.lower === "never" && tokens.slice(i - k + 1, i).some((w) => w.lower === "so" || w.lower === "this")) {
+      boost += INTENSIFIERS.so;
+      from = prev.start;
+    } else if (isNegation(prev.lower)) {
+      negated = true;
+      from = prev.start;
+    }
+  }
+  return { boost, negated, from };
+}
+
+// extra push from "!" and repeated "?" at the end of a sentence
+function punctuationEmphasis(sentence) {
+  const bangs = Math.min(4, (sentence.match(/!/g) || []).length);
+  const questions = (sentence.match(/\?/g) || []).length;
+  const q = questions > 1 ? (questions <= 3 ? questions * 0.045 : 0.24) : 0;
+  return bangs * 0.07 + q;
+}
+
+export function scoreText(text = "", lexicon = SENTIMENT_LEXICON) {
+  const src = String(text || "");
+  const tokens = tokenizeClauses(src);
+  const shouting = /\p{Ll}/u.test(src); // capitals only stand out in mixed-case text
+  const words = [];
+  const sentences = [];
+  const ranges = splitSentences(src);
+  let t = 0;
+  for (const s of ranges) {
+    const inSentence = [];
+    while (t < tokens.length && tokens[t].start < s.end) {
+      if (tokens[t].end > s.start) inSentence.push(t);
+      t += 1;
+    }
+    const contrastAt = inSentence.findIndex((k) => CONTRAST.has(tokens[k].lower));
+    let sum = 0;
+    for (let j = 0; j < inSentence.length; j++) {
+      const k = inSentence[j];
+      const { n, base } = entryAt(tokens, k, lexicon);
+      let { valence, from } = contextualValence(tokens, k, n, base, shouting);
+      if (contrastAt >= 0 && valence !== 0) valence *= j < contrastAt ? 0.5 : 1.5;
+      valence = Number(valence.toFixed(3));
+      sum += valence;
+      const end = tokens[k + n - 1].end;
+      words.push({ start: tokens[k].start, end, word: src.slice(tokens[k].start, end), valence, from });
+      j += n - 1; // the rest of a multi-word entry
+    }
+    if (sum !== 0) sum += Math.sign(sum) * punctuationEmphasis(src.slice(s.start, s.end));
+    sentences.push({ start: s.start, end: s.end, score: normalizeScore(sum) });
+  }
+  const felt = sentences.filter((s) => s.score !== 0);
+  const score = felt.length ? Number((felt.reduce((a, s) => a + s.score, 0) / felt.length).toFixed(3)) : 0;
+  return { score, sentences, words };
+}
+
+export function scorePhrase(phrase = "", lexicon = SENTIMENT_LEXICON) {
+  return scoreText(phrase, lexicon).score;
+}
+
+export function contextScore(words = [], start = 0, end = Infinity) {
+  let lo = 0;
+  let hi = words.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (words[mid].end <= start) lo = mid + 1;
+    else hi = mid;
+  }
+  let sum = 0;
+  for (let i = lo; i < words.length && words[i].start < end; i++) sum += words[i].valence;
+  return normalizeScore(sum);
+}
+
+export default { scoreText, scorePhrase, contextScore, normalizeScore, tokenizeClauses, modifiersBefore, SENTIMENT_LEXICON, INTENSIFIERS, NEGATIONS };
@@ -0,0 +1,286 @@
+// sessionFile — versioned export format for sessions, plus import/validation/migration.
+// Exports:
+// - SESSION_SCHEMA_VERSION
+// - buildSessionExport({ text, history, caretMoves, heatMap, analysis, mode, poemForm, name })  // object written by "Download Report"
+// - parseSessionJSON(jsonText)   // validate + migrate an exported JSON file, returns a session
+// - parseSessionCSV(csvText)     // rebuild a session from "Download CSV" output (old or new columns)
+// - readSessionFile(file)        // async: picks JSON/CSV from a File and parses it; JSON files also get
+//                                //   `integrity`, the hash-chain check of ./hashChain (null for CSV).
+//                                //   Only a verified file keeps its event hashes, so only its chain can
+//                                //   be continued and sealed again.
+//
+// Schema history:
+//   v1 (no schemaVersion field): { history: [{ value, time }], analysis }  — full-text snapshots
+//   v2: { schemaVersion: 2, app, exportedAt, name, mode, poemForm?, text, history: [diff events], caretMoves?,
+//         heatMap, analysis, integrity? }  — sealed exports add a `hash` to every event plus the `integrity` block;
+//         `caretMoves` ([{ time, pos }], see ./offsetTracker) is optional and not part of the hash chain
+//
+// Parsers throw an Error whose `problems` array lists every validation failure.
+
+import { applyEvent, finalText, fromSnapshots } from "./history";
+import { stripHashes, verifySession } from "./hashChain";
+import { POEM_FORMS } from "./poetry";
+
+export const SESSION_SCHEMA_VERSION = 2;
+
+const MODES = ["Manuscript", "Essay", "Journal", "Poem"];
+
+function fail(message, problems = []) {
+  const err = new Error(problems.length > 0 ? `${message}: ${problems.slice(0, 5).join("; ")}` : message);
+  err.problems = problems;
+  throw err;
+}
+
+export function buildSessionExport({ text = "", history = [], caretMoves = [], heatMap = [], analysis = null, mode = "Manuscript", poemForm = "free", name } = {}) {
+  return {
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    app: "infraread",
+    exportedAt: new Date().toISOString(),
+    ...(name ? { name } : {}),
+    mode,
+    poemForm,
+    text,
+    history,
+    caretMoves,
+    heatMap,
+    analysis,
+  };
+}
+
+// ---------- migrations: each step takes version N and returns version N + 1 ----------
+
+const MIGRATIONS = {
+  1: (doc) => {
+    const history = fromSnapshots(Array.isArray(doc.history) ? doc.history : []);
+    return {
+      schemaVersion: 2,
+      app: "infraread",
+      exportedAt: doc.exportedAt || null,
+      mode: "Manuscript",
+      text: finalText(history),
+      history,
+      heatMap: Array.isArray(doc.heatMap) ? doc.heatMap : [],
+      analysis: doc.analysis || null,
+    };
+  },
+};
+
+function detectVersion(doc) {
+  if (typeof doc.schemaVersion === "number") return doc.schemaVersion;
+  return 1;
+}
+
+export function migrateSession(doc) {
+  let version = detectVersion(doc);
+  if (version > SESSION_SCHEMA_VERSION) {
+    fail(`Session file uses schema v${version}; this version of Infraread reads up to v${SESSION_SCHEMA_VERSION}`);
+  }
+  let out = doc;
+  while (version < SESSION_SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) fail(`No migration from schema v${version}`);
+    out = step(out);
+    version = out.schemaVersion;
+  }
+  return out;
+}
+
+// ---------- validation (current schema) ----------
+
+function validateEvent(ev, i, problems) {
+  if (!ev || typeof ev !== "object") {
+    problems.push(`history[${i}] is not an object`);
+    return;
+  }
+  if (typeof ev.time !== "number" || !isFinite(ev.time)) problems.push(`history[${i}].time must be a number`);
+  if (ev.type === "keyframe") {
+    if (typeof ev.value !== "string") problems.push(`history[${i}].value must be a string`);
+  } else if (ev.type === "insert" || ev.type === "delete") {
+    if (!Number.isInteger(ev.pos) || ev.pos < 0) problems.push(`history[${i}].pos must be a non-negative integer`);
+    if (typeof ev.text !== "string") problems.push(`history[${i}].text must be a string`);
+  } else {
+    problems.push(`history[${i}].type "${ev.type}" is not insert, delete or keyframe`);
+  }
+}
+
+// Replay the history and check every delete removes text that is actually there.
+function checkReplay(history, problems) {
+  let text = "";
+  for (let i = 0; i < history.length; i++) {
+    const ev = history[i];
+    if (ev.type === "delete" && text.slice(ev.pos, ev.pos + ev.text.length) !== ev.text) {
+      problems.push(`history[${i}] deletes text that is not present at offset ${ev.pos}`);
+      return text;
+    }
+    if (ev.type === "insert" && ev.pos > text.length) {
+      problems.push(`history[${i}] inserts past the end of the document`);
+      return text;
+    }
+    text = applyEvent(text, ev);
+  }
+  return text;
+}
+
+export function validateSession(doc) {
+  const problems = [];
+  const warnings = [];
+  if (!doc || typeof doc !== "object") return { problems: ["file is not a JSON object"], warnings };
+  if (!Array.isArray(doc.history)) problems.push("history must be an array");
+  else doc.history.forEach((ev, i) => validateEvent(ev, i, problems));
+  if (doc.text != null && typeof doc.text !== "string") problems.push("text must be a string");
+  if (doc.heatMap != null && !Array.isArray(doc.heatMap)) problems.push("heatMap must be an array");
+  if (Array.isArray(doc.heatMap)) {
+    doc.heatMap.forEach((a, i) => {
+      if (!a || typeof a.phrase !== "string") problems.push(`heatMap[${i}].phrase must be a string`);
+    });
+  }
+  if (doc.analysis != null && typeof doc.analysis !== "object") problems.push("analysis must be an object or null");
+  if (doc.caretMoves != null && !Array.isArray(doc.caretMoves)) problems.push("caretMoves must be an array");
+  else if (Array.isArray(doc.caretMoves) && !doc.caretMoves.every(isCaretMove)) warnings.push("dropped caret moves without a numeric time and position");
+  if (doc.mode != null && !MODES.includes(doc.mode)) warnings.push(`unknown document mode "${doc.mode}", using Manuscript`);
+  if (doc.poemForm != null && !isPoemForm(doc.poemForm)) warnings.push(`unknown poem form "${doc.poemForm}", using free verse`);
+
+  if (problems.length === 0) {
+    const replayed = checkReplay(doc.history, problems);
+    if (problems.length === 0 && typeof doc.text === "string" && doc.text !== replayed) {
+      warnings.push("saved text differs from the replayed history; keeping the saved text");
+    }
+  }
+  return { problems, warnings };
+}
+
+function isPoemForm(id) {
+  return POEM_FORMS.some((f) => f.id === id);
+}
+
+function isCaretMove(m) {
+  return Boolean(m) && typeof m.time === "number" && isFinite(m.time) && Number.isInteger(m.pos) && m.pos >= 0;
+}
+
+function toSession(doc, warnings) {
+  return {
+    name: typeof doc.name === "string" ? doc.name : undefined,
+    mode: MODES.includes(doc.mode) ? doc.mode : "Manuscript",
+    poemForm: isPoemForm(doc.poemForm) ? doc.poemForm : "free",
+    text: typeof doc.text === "string" ? doc.text : finalText(doc.history),
+    history: doc.history,
+    caretMoves: Array.isArray(doc.caretMoves) ? doc.caretMoves.filter(isCaretMove).map((m) => ({ time: m.time, pos: m.pos })) : [],
+    heatMap: (doc.heatMap || []).map((a) => ({ phrase: a.phrase, color: a.color || "#f58529" })),
+    analysis: doc.analysis || null,
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    warnings,
+  };
+}
+
+export function parseSessionJSON(jsonText) {
+  let doc;
+  try {
+    doc = JSON.parse(jsonText);
+  } catch (e) {
+    fail("File is not valid JSON");
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) fail("File is not an Infraread session");
+  const migrated = migrateSession(doc);
+  const { problems, warnings } = validateSession(migrated);
+  if (problems.length > 0) fail("Invalid session file", problems);
+  return toSession(migrated, warnings);
+}
+
+// ---------- CSV ----------
+
+// Split one CSV line written by downloadCSV (quoted fields, "" escapes, no raw newlines).
+function splitCSVLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+// v1 files only turned line breaks into \n; downloadCSV now also writes \r, and a backslash as \\
+const unescapeNewlines = (s) => s.replace(/\\n/g, "\n");
+const CSV_UNESCAPES = { "\\": "\\", n: "\n", r: "\r" };
+const unescapeText = (s) => s.replace(/\\([\\nr])/g, (_, ch) => CSV_UNESCAPES[ch]);
+
+export function parseSessionCSV(csvText) {
+  const lines = String(csvText || "").split(/\r?\n/).filter((l) => l.length > 0);
+  if (lines.length === 0) fail("CSV file is empty");
+  const header = splitCSVLine(lines[0]).map((h) => h.trim().toLowerCase());
+  const rows = lines.slice(1).map(splitCSVLine);
+  const problems = [];
+  let history;
+
+  if (header.join(",") === "time,value") {
+    // v1 CSV: one full-text snapshot per row
+    const snapshots = rows.map((r, i) => {
+      const time = Number(r[0]);
+      if (!isFinite(time)) problems.push(`row ${i + 2}: time is not a number`);
+      return { value: unescapeNewlines(r[1] || ""), time };
+    });
+    if (problems.length > 0) fail("Invalid CSV", problems);
+    history = fromSnapshots(snapshots);
+  } else if (header.join(",") === "time,type,pos,text") {
+    history = rows.map((r) => {
+      const [time, type, pos, text] = r;
+      if (type === "keyframe") return { type, value: unescapeText(text || ""), time: Number(time) };
+      return { type, pos: Number(pos), text: unescapeText(text || ""), time: Number(time) };
+    });
+  } else {
+    fail(`Unrecognised CSV columns: ${header.join(", ")}`);
+  }
+
+  const doc = { schemaVersion: SESSION_SCHEMA_VERSION, history, heatMap: [], analysis: null };
+  const result = validateSession(doc);
+  if (result.problems.length > 0) fail("Invalid CSV", result.problems);
+  return toSession(doc, result.warnings);
+}
+
+export async function readSessionFile(file) {
+  if (!file) fail("No file selected");
+  const content = await file.text();
+  const name = String(file.name || "").toLowerCase();
+  const looksJSON = name.endsWith(".json") || (!name.endsWith(".csv") && /^\s*[[{]/.test(content));
+  const session = looksJSON ? parseSessionJSON(content) : parseSessionCSV(content);
+  if (!session.name && file.name) session.name = file.name.replace(/\.(json|csv)$/i, "");
+  session.integrity = null;
+  if (looksJSON) {
+    try {
+      session.integrity = await verifySession(JSON.parse(content));
+    } catch (e) {
+      // no Web Crypto (e.g. an insecure origin): the file still opens, just unchecked
+      session.warnings.push(`could not check the integrity seal: ${e.message}`);
+    }
+  }
+  if (!session.integrity || session.integrity.status !== "verified") session.history = stripHashes(session.history);
+  return session;
+}
+
+export default {
+  SESSION_SCHEMA_VERSION,
+  buildSessionExport,
+  migrateSession,
+  validateSession,
+  parseSessionJSON,
+  parseSessionCSV,
+  readSessionFile,
+};
@@ -0,0 +1,286 @@
+// sessionStore — IndexedDB-backed session library.
+// Exports:
+// - listSessions()            // async: metadata of every stored session, newest first
+// - loadSession(id)           // async: full session record (text, history, heatMap, analysis, …)
+// - saveSession(session)      // async: upsert a session and refresh its metadata
+// - renameSession(id, name)   // async
+// - duplicateSession(id)      // async: returns the new metadata
+// - deleteSession(id)         // async
+// - setSessionGoal(id, words) // async: per-document word goal (null clears it)
+// - listProgress()            // async: metadata of every session, each with its `daily` totals (see ./progress)
+// - listLexicons()            // async: imported and custom sentiment lexicons (see ./lexicons), in priority order
+// - saveLexicon(lexicon)      // async: upsert
+// - deleteLexicon(id)         // async
+// - createSessionId()
+// - getLastSessionId() / setLastSessionId(id)   // localStorage pointer used to reopen on load
+// - getDailyGoal() / setDailyGoal(words)        // localStorage, words per day across all sessions
+//
+// Full records (with the potentially large history) live in the "sessions" store;
+// the "meta" store keeps only what the library panel lists, so listing stays cheap.
+// Sentiment lexicons belong to the writer rather than to one session: the "lexicons" store.
+
+import { editEvents } from "./history";
+import { accumulateDaily, dailyActivity } from "./progress";
+
+const DB_NAME = "infraread";
+const DB_VERSION = 2;
+const SESSIONS = "sessions";
+const META = "meta";
+const LEXICONS = "lexicons";
+const LAST_SESSION_KEY = "infraread:lastSessionId";
+const DAILY_GOAL_KEY = "infraread:dailyGoal";
+
+// kept from the stored record when a save leaves them undefined
+const STICKY_FIELDS = ["name", "createdAt", "goal", "countsFrom"];
+
+let dbPromise = null;
+
+export function isStorageAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function openDB() {
+  if (!isStorageAvailable()) return Promise.reject(new Error("IndexedDB is not available"));
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(SESSIONS)) db.createObjectStore(SESSIONS, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(META)) {
+        const meta = db.createObjectStore(META, { keyPath: "id" });
+        meta.createIndex("updatedAt", "updatedAt");
+      }
+      if (!db.objectStoreNames.contains(LEXICONS)) db.createObjectStore(LEXICONS, { keyPath: "id" });
+    };
+    let blocked = false;
+    req.onsuccess = () => {
+      const db = req.result;
+      if (blocked) {
+        // opened after we gave up waiting; the next call opens afresh
+        db.close();
+        return;
+      }
+      // a newer version opened in another tab: let it upgrade, reopen on the next call
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+    // another tab still holds the old version open and hasn't closed it
+    req.onblocked = () => {
+      blocked = true;
+      dbPromise = null;
+      reject(new Error("The session library is being upgraded; close other Infraread tabs and reload"));
+    };
+  });
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+export function createSessionId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function countWords(text = "") {
+  const m = String(text || "").match(/\S+/g);
+  return m ? m.length : 0;
+}
+
+function sessionDuration(history = []) {
+  const events = editEvents(history);
+  if (events.length < 2) return 0;
+  return Math.max(0, (events[events.length - 1].time || 0) - (events[0].time || 0));
+}
+
+function toMeta(session) {
+  return {
+    id: session.id,
+    name: session.name || "Untitled session",
+    mode: session.mode || "Manuscript",
+    wordCount: countWords(session.text),
+    durationMs: sessionDuration(session.history),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    goal: session.goal ?? null,
+    countsFrom: session.countsFrom ?? null,
+    daily: session.daily || {},
+    counted: session.counted ?? null,
+  };
+}
+
+export async function listSessions() {
+  const db = await openDB();
+  const all = await promisify(db.transaction(META, "readonly").objectStore(META).getAll());
+  return all.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export async function loadSession(id) {
+  if (!id) return null;
+  const db = await openDB();
+  const rec = await promisify(db.transaction(SESSIONS, "readonly").objectStore(SESSIONS).get(id));
+  return rec || null;
+}
+
+// Fields left undefined (e.g. `name` during autosave) keep their stored value,
+// so a rename from the library isn't overwritten by the editor. Daily progress totals
+// grow by what each save adds to the history, so clearing it doesn't erase the days
+// already written and writing after that still counts.
+export async function saveSession(session) {
+  if (!session || !session.id) throw new Error("saveSession: session.id is required");
+  const now = Date.now();
+  const db = await openDB();
+  const tx = db.transaction([SESSIONS, META], "readwrite");
+  const metaStore = tx.objectStore(META);
+  let record = null;
+  metaStore.get(session.id).onsuccess = (e) => {
+    const prev = e.target.result || {};
+    record = { ...session };
+    for (const k of STICKY_FIELDS) record[k] = session[k] !== undefined ? session[k] : prev[k];
+    record.name = record.name ?? "Untitled session";
+    record.createdAt = record.createdAt ?? now;
+    record.updatedAt = now;
+    const progress = accumulateDaily(prev.daily, prev.counted, session.history, { since: record.countsFrom });
+    record.daily = progress.daily;
+    record.counted = progress.counted;
+    tx.objectStore(SESSIONS).put(record);
+    metaStore.put(toMeta(record));
+  };
+  await txDone(tx);
+  return toMeta(record);
+}
+
+export async function renameSession(id, name) {
+  const rec = await loadSession(id);
+  if (!rec) return null;
+  return saveSession({ ...rec, name: String(name || "").trim() || rec.name });
+}
+
+export async function duplicateSession(id) {
+  const rec = await loadSession(id);
+  if (!rec) return null;
+  // the copy's past edits were already counted for the original
+  const now = Date.now();
+  return saveSession({ ...rec, id: createSessionId(), name: `${rec.name || "Untitled session"} (copy)`, createdAt: now, countsFrom: now, daily: undefined });
+}
+
+export async function deleteSession(id) {
+  const db = await openDB();
+  const tx = db.transaction([SESSIONS, META], "readwrite");
+  tx.objectStore(SESSIONS).delete(id);
+  tx.objectStore(META).delete(id);
+  await txDone(tx);
+  if (getLastSessionId() === id) setLastSessionId(null);
+}
+
+export async function setSessionGoal(id, words) {
+  const rec = await loadSession(id);
+  if (!rec) return null;
+  const goal = Number(words) > 0 ? Math.round(Number(words)) : null;
+  return saveSession({ ...rec, goal });
+}
+
+// Sessions saved before progress tracking have no `daily` totals yet; work them out once.
+export async function listProgress() {
+  const metas = await listSessions();
+  for (const m of metas) {
+    if (m.daily) continue; // stored with the next save
+    const rec = await loadSession(m.id);
+    m.daily = rec ? dailyActivity(rec.history, { since: m.countsFrom }) : {};
+  }
+  return metas;
+}
+
+export async function listLexicons() {
+  const db = await openDB();
+  const all = await promisify(db.transaction(LEXICONS, "readonly").objectStore(LEXICONS).getAll());
+  return all.sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+}
+
+export async function saveLexicon(lexicon) {
+  if (!lexicon || !lexicon.id) throw new Error("saveLexicon: lexicon.id is required");
+  const db = await openDB();
+  const tx = db.transaction(LEXICONS, "readwrite");
+  tx.objectStore(LEXICONS).put({ ...lexicon, updatedAt: Date.now() });
+  await txDone(tx);
+}
+
+export async function deleteLexicon(id) {
+  const db = await openDB();
+  const tx = db.transaction(LEXICONS, "readwrite");
+  tx.objectStore(LEXICONS).delete(id);
+  await txDone(tx);
+}
+
+export function getDailyGoal() {
+  try {
+    return Number(localStorage.getItem(DAILY_GOAL_KEY)) || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+export function setDailyGoal(words) {
+  try {
+    if (Number(words) > 0) localStorage.setItem(DAILY_GOAL_KEY, String(Math.round(Number(words))));
+    else localStorage.removeItem(DAILY_GOAL_KEY);
+  } catch (e) {
+    // private mode / storage disabled
+  }
+}
+
+export function getLastSessionId() {
+  try {
+    return localStorage.getItem(LAST_SESSION_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function setLastSessionId(id) {
+  try {
+    if (id) localStorage.setItem(LAST_SESSION_KEY, id);
+    else localStorage.removeItem(LAST_SESSION_KEY);
+  } catch (e) {
+    // private mode / storage disabled
+  }
+}
+
+export default {
+  listSessions,
+  loadSession,
+  saveSession,
+  renameSession,
+  duplicateSession,
+  deleteSession,
+  setSessionGoal,
+  listProgress,
+  listLexicons,
+  saveLexicon,
+  deleteLexicon,
+  createSessionId,
+  getLastSessionId,
+  setLastSessionId,
+  getDailyGoal,
+  setDailyGoal,
+};
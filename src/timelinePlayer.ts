@@ -1,4 +1,290 @@
-// Skeleton for playback timeline
-export function playTimeline(events: any[], speed = 5) {
-  console.log("Playing timeline at speed", speed);
-}
\ No newline at end of file
+// TimelinePlayer — replays a diff-event history (see ./history.js) in real rhythm.
+//
+//   const player = new TimelinePlayer(history, { speed: 2, idleThreshold: 3000, idleDuration: 800 });
+//   player.subscribe((frame) => setText(frame.text));
+//   player.play();
+//   player.seek(60_000);   // one minute into the session
+//   player.setSpeed(8);
+//   player.destroy();
+//
+// Two clocks are involved: session time (ms since the first event, as recorded) and
+// playback time (session time with idle gaps squashed). Seeking and frames report
+// session time; speed scales playback time.
+
+import { applyEvent, textAt } from "./history";
+
+export interface HistoryEvent {
+  type: "insert" | "delete" | "keyframe";
+  time: number;
+  pos?: number;
+  text?: string;
+  value?: string;
+  source?: string;
+}
+
+export interface PlayerFrame {
+  index: number; // events applied so far (0 … events.length)
+  event: HistoryEvent | null; // last applied event
+  text: string;
+  time: number; // session ms since the first event
+  duration: number; // session ms of the whole history
+  playing: boolean;
+  speed: number;
+  ended: boolean;
+}
+
+export interface TimelinePlayerOptions {
+  speed?: number;
+  idleThreshold?: number | null; // gaps longer than this (session ms) are squashed; null = off
+  idleDuration?: number; // what a squashed gap lasts (session ms, before speed)
+}
+
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 32;
+
+type Listener = (frame: PlayerFrame) => void;
+
+const raf: (cb: (t: number) => void) => number =
+  typeof requestAnimationFrame !== "undefined"
+    ? (cb) => requestAnimationFrame(cb)
+    : (cb) => setTimeout(() => cb(Date.now()), 16) as unknown as number;
+const caf: (id: number) => void =
+  typeof cancelAnimationFrame !== "undefined" ? (id) => cancelAnimationFrame(id) : (id) => clearTimeout(id);
+
+function clampSpeed(s: number) {
+  if (!isFinite(s)) return 1;
+  return Math.max(MIN_SPEED, Math.min(MAX_SPEED, s));
+}
+
+export class TimelinePlayer {
+  private events: HistoryEvent[];
+  private sessionAt: number[] = []; // session ms of event i
+  private playAt: number[] = []; // playback ms of event i
+  private listeners: Listener[] = [];
+  private cursor = 0;
+  private text = "";
+  private playhead = 0; // playback ms
+  private rafId: number | null = null;
+  private lastTick = 0;
+  private speed: number;
+  private idleThreshold: number | null;
+  private idleDuration: number;
+  private playing = false;
+
+  constructor(events: HistoryEvent[] = [], options: TimelinePlayerOptions = {}) {
+    this.events = events || [];
+    this.speed = clampSpeed(options.speed ?? 1);
+    this.idleThreshold = options.idleThreshold ?? null;
+    this.idleDuration = options.idleDuration ?? 1000;
+    this.buildClock();
+  }
+
+  // ---------- clock ----------
+
+  private buildClock() {
+    const n = this.events.length;
+    this.sessionAt = new Array(n);
+    this.playAt = new Array(n);
+    const t0 = n > 0 ? this.events[0].time || 0 : 0;
+    let play = 0;
+    for (let i = 0; i < n; i++) {
+      const s = Math.max(0, (this.events[i].time || 0) - t0);
+      if (i > 0) {
+        let gap = Math.max(0, s - this.sessionAt[i - 1]);
+        if (this.idleThreshold != null && gap > this.idleThreshold) gap = this.idleDuration;
+        play += gap;
+      }
+      this.sessionAt[i] = s;
+      this.playAt[i] = play;
+    }
+  }
+
+  // playback ms -> session ms (linear between events)
+  private toSession(playMs: number) {
+    const n = this.events.length;
+    if (n === 0) return 0;
+    const i = this.lastIndexAtOrBefore(this.playAt, playMs);
+    if (i < 0) return 0;
+    if (i >= n - 1) return this.sessionAt[n - 1];
+    const span = this.playAt[i + 1] - this.playAt[i];
+    const frac = span > 0 ? (playMs - this.playAt[i]) / span : 0;
+    return this.sessionAt[i] + frac * (this.sessionAt[i + 1] - this.sessionAt[i]);
+  }
+
+  // session ms -> playback ms
+  private toPlayback(sessionMs: number) {
+    const n = this.events.length;
+    if (n === 0) return 0;
+    const i = this.lastIndexAtOrBefore(this.sessionAt, sessionMs);
+    if (i < 0) return 0;
+    if (i >= n - 1) return this.playAt[n - 1];
+    const span = this.sessionAt[i + 1] - this.sessionAt[i];
+    const frac = span > 0 ? (sessionMs - this.sessionAt[i]) / span : 0;
+    return this.playAt[i] + frac * (this.playAt[i + 1] - this.playAt[i]);
+  }
+
+  private lastIndexAtOrBefore(arr: number[], v: number) {
+    let lo = 0;
+    let hi = arr.length - 1;
+    let ans = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (arr[mid] <= v) {
+        ans = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return ans;
+  }
+
+  // ---------- state ----------
+
+  get duration() {
+    return this.sessionAt.length > 0 ? this.sessionAt[this.sessionAt.length - 1] : 0;
+  }
+
+  get playbackDuration() {
+    return this.playAt.length > 0 ? this.playAt[this.playAt.length - 1] : 0;
+  }
+
+  get length() {
+    return this.events.length;
+  }
+
+  get isPlaying() {
+    return this.playing;
+  }
+
+  frame(): PlayerFrame {
+    return {
+      index: this.cursor,
+      event: this.cursor > 0 ? this.events[this.cursor - 1] : null,
+      text: this.text,
+      time: this.toSession(this.playhead),
+      duration: this.duration,
+      playing: this.playing,
+      speed: this.speed,
+      ended: this.cursor >= this.events.length,
+    };
+  }
+
+  subscribe(fn: Listener) {
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== fn);
+    };
+  }
+
+  private emit() {
+    const f = this.frame();
+    for (const fn of this.listeners) fn(f);
+  }
+
+  // ---------- transport ----------
+
+  play() {
+    if (this.events.length === 0) return;
+    if (this.cursor >= this.events.length) this.seekIndex(0);
+    if (this.playing) return;
+    this.playing = true;
+    this.lastTick = 0;
+    this.rafId = raf(this.tick);
+    this.emit();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    if (this.rafId != null) caf(this.rafId);
+    this.rafId = null;
+    this.emit();
+  }
+
+  resume() {
+    this.play();
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  stop() {
+    this.pause();
+    this.seekIndex(0);
+  }
+
+  setSpeed(speed: number) {
+    this.speed = clampSpeed(speed);
+    this.emit();
+  }
+
+  setIdleCompression(threshold: number | null, duration = this.idleDuration) {
+    const sessionMs = this.toSession(this.playhead);
+    this.idleThreshold = threshold;
+    this.idleDuration = duration;
+    this.buildClock();
+    this.playhead = this.toPlayback(sessionMs);
+    this.emit();
+  }
+
+  // Jump so that `index` events have been applied.
+  seekIndex(index: number) {
+    const n = this.events.length;
+    const i = Math.max(0, Math.min(n, Math.round(index)));
+    this.cursor = i;
+    this.text = i > 0 ? textAt(this.events, i - 1) : "";
+    this.playhead = i > 0 ? this.playAt[i - 1] : 0;
+    this.emit();
+  }
+
+  // Jump to a session time (ms since the first event).
+  seek(sessionMs: number) {
+    const target = Math.max(0, Math.min(this.duration, sessionMs));
+    const i = this.lastIndexAtOrBefore(this.sessionAt, target);
+    this.cursor = i + 1;
+    this.text = i >= 0 ? textAt(this.events, i) : "";
+    this.playhead = this.toPlayback(target);
+    this.emit();
+  }
+
+  destroy() {
+    this.pause();
+    this.listeners = [];
+  }
+
+  private tick = (now: number) => {
+    if (!this.playing) return;
+    const dt = this.lastTick ? now - this.lastTick : 0;
+    this.lastTick = now;
+    this.playhead += dt * this.speed;
+
+    const n = this.events.length;
+    let changed = false;
+    while (this.cursor < n && this.playAt[this.cursor] <= this.playhead) {
+      this.text = applyEvent(this.text, this.events[this.cursor]);
+      this.cursor += 1;
+      changed = true;
+    }
+
+    if (this.cursor >= n) {
+      this.playhead = this.playbackDuration;
+      this.playing = false;
+      this.rafId = null;
+      this.emit();
+      return;
+    }
+    // time-only frames keep scrubbers moving through pauses
+    if (changed || dt > 0) this.emit();
+    this.rafId = raf(this.tick);
+  };
+}
+
+// Kept for callers of the old skeleton: plays a history from the start.
+export function playTimeline(events: HistoryEvent[], speed = 5) {
+  const player = new TimelinePlayer(events, { speed });
+  player.play();
+  return player;
+}
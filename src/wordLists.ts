@@ -0,0 +1,65 @@
+// wordLists — small bundled vocabularies for the lexical scorer (./lexicalAnalyzer).
+//
+// COMMON_WORDS are the 500 most frequent words of SUBTLEX-US (Brysbaert & New 2009, word counts
+// from 51 million words of film and TV subtitles), most frequent first, so a word's index is its
+// frequency rank. The corpus splits words at the apostrophe: the n't forms take the count of their
+// first half (don't ← "don") and i'm that of "m". Contractions it can't attribute ('s, 're, 'll,
+// 've) follow the ranked words, so they still count as common. SENSORY_WORDS are concrete words
+// that appeal to the senses (sight, sound, touch, taste, smell) or to bodily action.
+
+export const COMMON_WORDS: string[] = `
+you i the to a it that and of what in me is we this he on for my i'm your don't have do no be know
+was not can are all with just get here but there so they right like out go she up about if him got
+oh at now come one how well yeah her want think good see let did why who as his will going from when
+back okay yes gonna time look take an man where them would been some hey tell or us had were say
+could didn't something really down then little way our make too never by over more need mean very
+off mr sorry give has thank love said am people please sure any thing only because two should doing
+much sir maybe help anything these god even night call talk nothing into first find wait put great
+thought day work life before better again still home guy won those than around other away new last
+uh ever stop keep told must things big after long does always their everything nice name money
+doesn't guys feel believe thanks old place fine kind isn't hello lot years made leave hi girl hear
+father through every bad listen remember three boy coming wrong might stay house may baby another ok
+dad gotta wanna wanted enough talking happened show course being care done getting mind left ask car
+understand mother which try shit hell miss came wouldn't own world guess next kill else dead trying
+someone real room morning huh hold ain't woman yourself today looking wasn't mom friend move same
+job tonight went son best saw found pretty ready heard whole seen together fuck minute men head
+matter haven't knew excuse many idea without play family meet most run while wife once live somebody
+everybody used use myself took yet start called couldn't kid tomorrow happy school problem watch
+bring fucking actually business says hope open already since looks sit mrs cause alone hard wants
+stuff turn days friends until few kids honey dr gone both door later saying such killed having face
+worry ago five second brother damn case thinking probably beautiful hand check year forget hit lost
+minutes crazy late phone nobody end easy doctor shut under part deal die soon four anyone pay happen
+true each supposed eat jack mine working town afraid drink exactly whatever hurt knows heart gave
+young everyone chance read makes number taking change anyway week married point hands police word
+fun wish bit aren't game party set cut comes sleep shot anybody ass stand water boys trouble dear
+couple gets making eyes break story far times um close means funny goes lady death asked walk fire
+hours hate gun rest person inside waiting different girls captain least important ah also line yours
+office dinner quite against fight side six half pick question ahead michael cool women body high
+husband john reason almost dog buy truth met telling hot anymore behind started speak bed
+it's that's there's what's let's he's she's you're we're they're i'll you'll i've can't won't
+`
+  .trim()
+  .split(/\s+/);
+
+export const SENSORY_WORDS: string[] = `
+red blue green yellow black white gold silver grey gray crimson scarlet amber violet purple pale dark
+bright shining glowing gleaming glittering dazzling flicker flickering shadow shadows blaze flash
+glare shimmer sparkle dim murky foggy misty hazy vivid blurred
+loud quiet silent hush whisper whispered whispering roar roaring scream screamed shout shouted
+crash crashing thunder thud bang boom clatter rattle hiss hum buzz creak crack crackle snap
+ring ringing echo echoing howl murmur rustle sizzle shriek wail sob sigh groan
+rough smooth soft hard sharp cold hot warm icy freezing burning wet damp dry sticky slimy silky
+velvet prickly itchy sore raw tender numb heavy brittle fuzzy greasy slippery jagged coarse
+sweet sour bitter salty spicy tangy bland savory rotten ripe juicy crisp crunchy creamy
+honey salt sugar lemon smoke smoky fragrant perfume stench stink reek musty acrid pungent
+scent smell odor aroma rancid fresh
+blood bone bones skin flesh sweat tears breath heartbeat pulse ache pain throat lips tongue
+teeth fist fingers spine gut belly
+run ran sprint sprinted leap leapt jump jumped slam slammed smash smashed shatter shattered tear
+tore rip ripped grab grabbed seize seized punch punched kick kicked throw threw hurl hurled
+stumble stumbled crawl crawled race raced dash dashed plunge plunged surge surged explode exploded
+`
+  .trim()
+  .split(/\s+/);
+
+export default { COMMON_WORDS, SENSORY_WORDS };